@@ -0,0 +1,217 @@
+// API key stores: keys bound to a role and a tenant allow-list (config-backed and file-backed)
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import config from '../config.js';
+
+const ALL_TENANTS = '*';
+const RATE_LIMIT_FIELDS = ['requestsPerMinute', 'tokensPerDay'];
+
+// Shared key bookkeeping; subclasses only decide where records are kept (readRecords / writeRecords)
+// Records hold a SHA-256 of the key, never the key itself
+class ApiKeyStore {
+  constructor(options = {}) {
+    this.roles = options.roles || config.auth.roles;
+    this.rotationGraceSeconds = options.rotationGraceSeconds ?? config.auth.rotationGraceSeconds;
+  }
+
+  generateKey() {
+    return `sk_${crypto.randomBytes(24).toString('base64url')}`;
+  }
+
+  hashKey(key) {
+    return crypto.createHash('sha256').update(String(key)).digest('hex');
+  }
+
+  // Validate key settings, throwing on an unknown role, a malformed tenant list or bad rate limits
+  // limits ({ requestsPerMinute, tokensPerDay }) override config.rateLimits.key for this key; 0 means unlimited
+  normalizeSettings({ name = null, role, tenants = [ALL_TENANTS], limits = null } = {}) {
+    if (!this.roles.includes(role)) {
+      throw new Error(`Unknown role: ${role}. Supported roles: ${this.roles.join(', ')}`);
+    }
+    if (!Array.isArray(tenants) || tenants.length === 0 || !tenants.every(tenant => typeof tenant === 'string' && tenant.trim())) {
+      throw new Error('tenants must be a non-empty array of product names, or ["*"] for every tenant');
+    }
+    if (limits !== null && (typeof limits !== 'object' || Array.isArray(limits) ||
+      !Object.entries(limits).every(([field, value]) => RATE_LIMIT_FIELDS.includes(field) && Number.isInteger(value) && value >= 0))) {
+      throw new Error(`limits must be an object of non-negative integers (${RATE_LIMIT_FIELDS.join(', ')})`);
+    }
+    return {
+      name,
+      role,
+      tenants: tenants.includes(ALL_TENANTS) ? [ALL_TENANTS] : tenants.map(tenant => tenant.trim()),
+      limits
+    };
+  }
+
+  // Build a stored record for a key
+  createRecord(settings, key, id = crypto.randomBytes(6).toString('hex')) {
+    return {
+      id,
+      ...this.normalizeSettings(settings),
+      keyHash: this.hashKey(key),
+      previousKeyHash: null,
+      previousKeyExpiresAt: null,
+      createdAt: new Date().toISOString(),
+      rotatedAt: null,
+      revokedAt: null
+    };
+  }
+
+  // Records for keys listed in config.auth.keys ([{ key, role, tenants, name }])
+  recordsFromConfig(keys = config.auth.keys) {
+    return keys.map((entry, index) => {
+      if (!entry || !entry.key) {
+        throw new Error(`API_KEYS entry ${index} has no key`);
+      }
+      return this.createRecord(entry, entry.key, entry.id || `config-${index + 1}`);
+    });
+  }
+
+  // Key metadata safe to return from the API
+  summarize(record) {
+    return {
+      id: record.id,
+      name: record.name,
+      role: record.role,
+      tenants: record.tenants,
+      limits: record.limits || null,
+      createdAt: record.createdAt,
+      rotatedAt: record.rotatedAt,
+      revokedAt: record.revokedAt,
+      previousKeyExpiresAt: record.previousKeyExpiresAt
+    };
+  }
+
+  // Find the active record for a presented key; keys replaced by a rotation work until their grace period ends
+  async authenticate(key) {
+    if (!key) return null;
+
+    const hash = this.hashKey(key);
+    const now = new Date().toISOString();
+    const record = (await this.readRecords()).find(candidate =>
+      candidate.keyHash === hash ||
+      (candidate.previousKeyHash === hash && candidate.previousKeyExpiresAt > now));
+    return record && !record.revokedAt ? this.summarize(record) : null;
+  }
+
+  // Tenants a key may read, or null when it may read every tenant
+  allowedTenants(key) {
+    return key.tenants.includes(ALL_TENANTS) ? null : key.tenants;
+  }
+
+  // Whether a key may read a tenant (product names are compared case-insensitively)
+  canAccessTenant(key, tenant) {
+    const allowed = this.allowedTenants(key);
+    return !allowed || allowed.some(name => name.toLowerCase() === String(tenant).trim().toLowerCase());
+  }
+
+  async listKeys() {
+    return (await this.readRecords()).map(record => this.summarize(record));
+  }
+
+  // Issue a new key; the plain key is only returned here
+  async createKey(settings) {
+    const key = this.generateKey();
+    const record = this.createRecord(settings, key);
+    const records = await this.readRecords();
+    await this.writeRecords([...records, record]);
+    return { key, ...this.summarize(record) };
+  }
+
+  // Replace the secret of a key, keeping its role and tenants; the old secret stays valid for graceSeconds
+  async rotateKey(id, graceSeconds = this.rotationGraceSeconds) {
+    const records = await this.readRecords();
+    const record = records.find(candidate => candidate.id === id && !candidate.revokedAt);
+    if (!record) {
+      return null;
+    }
+
+    const key = this.generateKey();
+    const now = new Date();
+    record.previousKeyHash = graceSeconds > 0 ? record.keyHash : null;
+    record.previousKeyExpiresAt = graceSeconds > 0 ? new Date(now.getTime() + graceSeconds * 1000).toISOString() : null;
+    record.keyHash = this.hashKey(key);
+    record.rotatedAt = now.toISOString();
+    await this.writeRecords(records);
+    return { key, ...this.summarize(record) };
+  }
+
+  // Revoke a key immediately (including a previous secret still in its grace period); the record is kept for auditing
+  async revokeKey(id) {
+    const records = await this.readRecords();
+    const record = records.find(candidate => candidate.id === id && !candidate.revokedAt);
+    if (!record) {
+      return null;
+    }
+
+    record.revokedAt = new Date().toISOString();
+    record.previousKeyHash = null;
+    record.previousKeyExpiresAt = null;
+    await this.writeRecords(records);
+    return this.summarize(record);
+  }
+}
+
+// Config-backed store - keys come from API_KEYS; rotations and revocations last until the server restarts
+class ConfigApiKeyStore extends ApiKeyStore {
+  constructor(options = {}) {
+    super(options);
+    this.records = this.recordsFromConfig(options.keys);
+  }
+
+  async readRecords() {
+    return this.records;
+  }
+
+  async writeRecords(records) {
+    this.records = records;
+  }
+}
+
+// File-backed store - one JSON file of hashed keys, seeded from API_KEYS when it does not exist yet
+class FileApiKeyStore extends ApiKeyStore {
+  constructor(options = {}) {
+    super(options);
+    this.filePath = path.resolve(options.file || config.auth.file);
+    this.seedKeys = options.keys;
+    this.records = null; // Loaded on first use, then kept in sync with the file
+  }
+
+  async readRecords() {
+    if (this.records) {
+      return this.records;
+    }
+
+    try {
+      this.records = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+      await this.writeRecords(this.recordsFromConfig(this.seedKeys));
+    }
+    return this.records;
+  }
+
+  async writeRecords(records) {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.writeFile(this.filePath, JSON.stringify(records, null, 2), { mode: 0o600 });
+    this.records = records;
+  }
+}
+
+// Factory that picks the store implementation from configuration
+function createApiKeyStore(type = config.auth.store, options = {}) {
+  switch (type) {
+    case 'config':
+      return new ConfigApiKeyStore(options);
+    case 'file':
+      return new FileApiKeyStore(options);
+    default:
+      throw new Error(`Unsupported API key store: ${type}. Supported stores: config, file`);
+  }
+}
+
+export { ALL_TENANTS, ApiKeyStore, ConfigApiKeyStore, FileApiKeyStore };
+export default createApiKeyStore;
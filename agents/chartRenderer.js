@@ -0,0 +1,399 @@
+// Server-side renderer that turns Chart.js configs into SVG (and PNG via resvg)
+import { logger } from './logger.js';
+import config from '../config.js';
+
+const FONT_FAMILY = 'DejaVu Sans, Arial, Helvetica, sans-serif';
+const TEXT_COLOR = '#333333';
+const GRID_COLOR = '#e5e5e5';
+
+class ChartRenderer {
+  constructor(options = {}) {
+    this.width = options.width || config.charts.width;
+    this.height = options.height || config.charts.height;
+    this.backgroundColor = options.backgroundColor || config.charts.backgroundColor;
+    this.resvg = undefined; // Loaded lazily; null when the optional dependency is missing
+  }
+
+  // Render any supported Chart.js config (doughnut, pie, bar, line) to an SVG string
+  renderSvg(chart, options = {}) {
+    const width = options.width || this.width;
+    const height = options.height || this.height;
+    const title = chart.options?.plugins?.title?.display !== false ? chart.options?.plugins?.title?.text : null;
+
+    const layout = {
+      width,
+      height,
+      top: title ? 44 : 16,
+      bottom: height - 16,
+      left: 16,
+      right: width - 16
+    };
+
+    let body;
+    switch (chart.type) {
+      case 'doughnut':
+      case 'pie':
+        body = this.renderDoughnut(chart, layout);
+        break;
+      case 'bar':
+        body = this.renderBar(chart, layout);
+        break;
+      case 'line':
+        body = this.renderLine(chart, layout);
+        break;
+      default:
+        throw new Error(`Unsupported chart type for rendering: ${chart.type}`);
+    }
+
+    return [
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="${FONT_FAMILY}">`,
+      `<rect width="100%" height="100%" fill="${this.backgroundColor}"/>`,
+      title ? `<text x="${width / 2}" y="28" text-anchor="middle" font-size="16" font-weight="bold" fill="${TEXT_COLOR}">${this.escapeXml(title)}</text>` : '',
+      body,
+      '</svg>'
+    ].join('\n');
+  }
+
+  // Rasterize a chart to PNG; requires the optional @resvg/resvg-js package
+  async renderPng(chart, options = {}) {
+    const resvg = await this.loadResvg();
+    if (!resvg) {
+      throw new Error('PNG rendering is unavailable: install the optional @resvg/resvg-js package');
+    }
+
+    const svg = this.renderSvg(chart, options);
+    const renderer = new resvg.Resvg(svg, {
+      background: this.backgroundColor,
+      font: { loadSystemFonts: true, defaultFontFamily: 'DejaVu Sans' }
+    });
+    return renderer.render().asPng();
+  }
+
+  async isPngAvailable() {
+    return (await this.loadResvg()) !== null;
+  }
+
+  async loadResvg() {
+    if (this.resvg === undefined) {
+      try {
+        this.resvg = await import('@resvg/resvg-js');
+      } catch (error) {
+        logger.warn('⚠️ @resvg/resvg-js not installed - PNG chart rendering disabled');
+        this.resvg = null;
+      }
+    }
+    return this.resvg;
+  }
+
+  // Render to the requested format: { contentType, body }
+  async render(chart, format = 'svg', options = {}) {
+    if (format === 'png') {
+      return { contentType: 'image/png', body: await this.renderPng(chart, options) };
+    }
+    return { contentType: 'image/svg+xml', body: this.renderSvg(chart, options) };
+  }
+
+  // Helper to embed a rendered chart as a data URI
+  toDataUri({ contentType, body }) {
+    const buffer = Buffer.isBuffer(body) ? body : Buffer.from(body, 'utf8');
+    return `data:${contentType};base64,${buffer.toString('base64')}`;
+  }
+
+  renderDoughnut(chart, layout) {
+    const labels = chart.data.labels || [];
+    const dataset = chart.data.datasets[0] || { data: [] };
+    const values = dataset.data.map(value => Number(value) || 0);
+    const total = values.reduce((sum, value) => sum + value, 0);
+    const colors = this.toArray(dataset.backgroundColor, values.length);
+
+    const legendHeight = this.legendHeight(labels.length, layout.width);
+    const centerX = layout.width / 2;
+    const centerY = (layout.top + layout.bottom - legendHeight) / 2;
+    const radius = Math.max(10, Math.min(layout.right - layout.left, layout.bottom - legendHeight - layout.top) / 2 - 8);
+    const innerRadius = chart.type === 'doughnut' ? radius * 0.5 : 0;
+
+    const parts = [];
+    let angle = -Math.PI / 2;
+
+    values.forEach((value, index) => {
+      if (total === 0 || value === 0) return;
+      const sweep = (value / total) * Math.PI * 2;
+      parts.push(`<path d="${this.arcPath(centerX, centerY, radius, innerRadius, angle, angle + sweep)}" fill="${colors[index]}" stroke="${dataset.borderColor || '#ffffff'}" stroke-width="${dataset.borderWidth || 1}"/>`);
+      angle += sweep;
+    });
+
+    if (total === 0) {
+      parts.push(`<text x="${centerX}" y="${centerY}" text-anchor="middle" font-size="14" fill="${TEXT_COLOR}">No data</text>`);
+    }
+
+    const legendItems = labels.map((label, index) => ({
+      label: total > 0 ? `${label} (${values[index]})` : String(label),
+      color: colors[index]
+    }));
+    parts.push(this.renderLegend(legendItems, layout, layout.bottom - legendHeight));
+
+    return parts.join('\n');
+  }
+
+  renderBar(chart, layout) {
+    const labels = chart.data.labels || [];
+    const datasets = chart.data.datasets || [];
+    const allValues = datasets.flatMap(dataset => dataset.data.map(value => Number(value) || 0));
+    const showLegend = datasets.length > 1;
+    const legendHeight = showLegend ? this.legendHeight(datasets.length, layout.width) : 0;
+
+    const plot = this.plotArea(layout, legendHeight, chart);
+    const scale = this.yScale(chart, Math.min(0, ...allValues), Math.max(0, ...allValues), plot);
+    const parts = [this.renderYAxis(scale, plot, chart)];
+
+    const groupWidth = (plot.right - plot.left) / Math.max(labels.length, 1);
+    const barWidth = (groupWidth * 0.7) / Math.max(datasets.length, 1);
+
+    datasets.forEach((dataset, datasetIndex) => {
+      const colors = this.toArray(dataset.backgroundColor, labels.length);
+      dataset.data.forEach((value, index) => {
+        const numeric = Number(value) || 0;
+        const x = plot.left + index * groupWidth + groupWidth * 0.15 + datasetIndex * barWidth;
+        const y = scale.toY(Math.max(numeric, 0));
+        const barHeight = Math.abs(scale.toY(numeric) - scale.toY(0));
+        parts.push(`<rect x="${this.round(x)}" y="${this.round(y)}" width="${this.round(barWidth)}" height="${this.round(barHeight)}" fill="${colors[index]}"/>`);
+      });
+    });
+
+    parts.push(this.renderXLabels(labels, plot));
+    if (showLegend) {
+      parts.push(this.renderLegend(datasets.map((dataset, index) => ({
+        label: dataset.label,
+        color: this.toArray(dataset.backgroundColor, 1)[0] || this.defaultColor(index)
+      })), layout, layout.bottom - legendHeight));
+    }
+
+    return parts.join('\n');
+  }
+
+  renderLine(chart, layout) {
+    const labels = chart.data.labels || [];
+    const datasets = chart.data.datasets || [];
+    const stacked = Boolean(chart.options?.scales?.y?.stacked);
+    const showLegend = chart.options?.plugins?.legend?.display !== false && datasets.length > 0;
+    const legendHeight = showLegend ? this.legendHeight(datasets.length, layout.width) : 0;
+
+    // Stacked charts draw each dataset on top of the running total of the previous ones
+    const baselines = labels.map(() => 0);
+    const series = datasets.map(dataset => {
+      const points = dataset.data.map((value, index) => {
+        if (value === null || value === undefined) return null;
+        const base = stacked ? baselines[index] : 0;
+        const top = base + Number(value);
+        if (stacked) baselines[index] = top;
+        return { base, top };
+      });
+      return { dataset, points };
+    });
+
+    const tops = series.flatMap(({ points }) => points.filter(Boolean).map(point => point.top));
+    const plot = this.plotArea(layout, legendHeight, chart);
+    const scale = this.yScale(chart, Math.min(0, ...tops), Math.max(1, ...tops), plot);
+    const step = labels.length > 1 ? (plot.right - plot.left) / (labels.length - 1) : 0;
+    const toX = index => (labels.length > 1 ? plot.left + index * step : (plot.left + plot.right) / 2);
+
+    const parts = [this.renderYAxis(scale, plot, chart)];
+
+    series.forEach(({ dataset, points }, datasetIndex) => {
+      const color = dataset.borderColor || this.defaultColor(datasetIndex);
+      const segments = this.lineSegments(points, Boolean(dataset.spanGaps));
+
+      segments.forEach(segment => {
+        const line = segment.map(index => `${this.round(toX(index))},${this.round(scale.toY(points[index].top))}`);
+
+        if (dataset.fill) {
+          const base = [...segment].reverse().map(index => `${this.round(toX(index))},${this.round(scale.toY(points[index].base))}`);
+          parts.push(`<polygon points="${[...line, ...base].join(' ')}" fill="${dataset.backgroundColor || color}" fill-opacity="0.6" stroke="none"/>`);
+        }
+        parts.push(`<polyline points="${line.join(' ')}" fill="none" stroke="${color}" stroke-width="2"/>`);
+      });
+
+      // Draw point markers when there are few enough to be readable
+      if (labels.length <= 40) {
+        points.forEach((point, index) => {
+          if (point) {
+            parts.push(`<circle cx="${this.round(toX(index))}" cy="${this.round(scale.toY(point.top))}" r="2.5" fill="${color}"/>`);
+          }
+        });
+      }
+    });
+
+    parts.push(this.renderXLabels(labels, plot, toX));
+    if (showLegend) {
+      parts.push(this.renderLegend(datasets.map((dataset, index) => ({
+        label: dataset.label,
+        color: dataset.borderColor || this.defaultColor(index)
+      })), layout, layout.bottom - legendHeight));
+    }
+
+    return parts.join('\n');
+  }
+
+  // Helper to split line points into drawable runs, breaking at null values unless spanGaps is set
+  lineSegments(points, spanGaps) {
+    const segments = [];
+    let current = [];
+
+    points.forEach((point, index) => {
+      if (point) {
+        current.push(index);
+      } else if (!spanGaps && current.length > 0) {
+        segments.push(current);
+        current = [];
+      }
+    });
+    if (current.length > 0) {
+      segments.push(current);
+    }
+
+    return segments;
+  }
+
+  plotArea(layout, legendHeight, chart) {
+    const hasYTitle = Boolean(chart.options?.scales?.y?.title?.display);
+    return {
+      left: layout.left + (hasYTitle ? 64 : 48),
+      right: layout.right - 8,
+      top: layout.top + 8,
+      bottom: layout.bottom - legendHeight - 36
+    };
+  }
+
+  // Build a linear y scale with rounded tick values, honouring fixed min/max from the config
+  yScale(chart, dataMin, dataMax, plot) {
+    const yOptions = chart.options?.scales?.y || {};
+    let min = typeof yOptions.min === 'number' ? yOptions.min : dataMin;
+    let max = typeof yOptions.max === 'number' ? yOptions.max : dataMax;
+    if (max === min) max = min + 1;
+
+    const step = this.niceStep((max - min) / 5);
+    if (typeof yOptions.min !== 'number') min = Math.floor(min / step) * step;
+    if (typeof yOptions.max !== 'number') max = Math.ceil(max / step) * step;
+
+    const ticks = [];
+    for (let value = min; value <= max + step / 2; value += step) {
+      ticks.push(Math.round(value * 1000) / 1000);
+    }
+
+    return {
+      ticks,
+      toY: value => plot.bottom - ((value - min) / (max - min)) * (plot.bottom - plot.top)
+    };
+  }
+
+  niceStep(rawStep) {
+    if (rawStep <= 0) return 1;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(rawStep)));
+    const fraction = rawStep / magnitude;
+    const nice = fraction <= 1 ? 1 : fraction <= 2 ? 2 : fraction <= 5 ? 5 : 10;
+    return nice * magnitude;
+  }
+
+  renderYAxis(scale, plot, chart) {
+    const parts = scale.ticks.map(tick => {
+      const y = this.round(scale.toY(tick));
+      return [
+        `<line x1="${plot.left}" y1="${y}" x2="${plot.right}" y2="${y}" stroke="${GRID_COLOR}"/>`,
+        `<text x="${plot.left - 6}" y="${y + 4}" text-anchor="end" font-size="11" fill="${TEXT_COLOR}">${tick}</text>`
+      ].join('\n');
+    });
+
+    parts.push(`<line x1="${plot.left}" y1="${plot.top}" x2="${plot.left}" y2="${plot.bottom}" stroke="#999999"/>`);
+    parts.push(`<line x1="${plot.left}" y1="${plot.bottom}" x2="${plot.right}" y2="${plot.bottom}" stroke="#999999"/>`);
+
+    const yTitle = chart.options?.scales?.y?.title;
+    if (yTitle && yTitle.display && yTitle.text) {
+      const centerY = (plot.top + plot.bottom) / 2;
+      parts.push(`<text x="${plot.left - 48}" y="${centerY}" text-anchor="middle" font-size="12" fill="${TEXT_COLOR}" transform="rotate(-90 ${plot.left - 48} ${centerY})">${this.escapeXml(yTitle.text)}</text>`);
+    }
+
+    return parts.join('\n');
+  }
+
+  // Category labels along the x axis, thinned out so they never overlap
+  renderXLabels(labels, plot, toX = null) {
+    const slot = (plot.right - plot.left) / Math.max(labels.length, 1);
+    const every = Math.max(1, Math.ceil(70 / slot));
+    const position = toX || (index => plot.left + slot * index + slot / 2);
+
+    return labels
+      .map((label, index) => (index % every === 0 ?
+        `<text x="${this.round(position(index))}" y="${plot.bottom + 18}" text-anchor="middle" font-size="11" fill="${TEXT_COLOR}">${this.escapeXml(label)}</text>` :
+        ''))
+      .filter(Boolean)
+      .join('\n');
+  }
+
+  legendHeight(itemCount, width) {
+    const perRow = Math.max(1, Math.floor((width - 32) / 180));
+    return Math.ceil(itemCount / perRow) * 20 + 8;
+  }
+
+  renderLegend(items, layout, top) {
+    const perRow = Math.max(1, Math.floor((layout.width - 32) / 180));
+    const rowWidth = Math.min(items.length, perRow) * 180;
+    const startX = (layout.width - rowWidth) / 2;
+
+    return items.map((item, index) => {
+      const x = startX + (index % perRow) * 180;
+      const y = top + 8 + Math.floor(index / perRow) * 20;
+      return [
+        `<rect x="${x}" y="${y}" width="12" height="12" fill="${item.color}"/>`,
+        `<text x="${x + 18}" y="${y + 10}" font-size="12" fill="${TEXT_COLOR}">${this.escapeXml(item.label)}</text>`
+      ].join('\n');
+    }).join('\n');
+  }
+
+  // SVG path for a donut (or pie, when innerRadius is 0) slice
+  arcPath(cx, cy, radius, innerRadius, start, end) {
+    // A full circle cannot be drawn as a single arc, so split it in two
+    if (end - start >= Math.PI * 2 - 1e-6) {
+      const middle = start + Math.PI;
+      return `${this.arcPath(cx, cy, radius, innerRadius, start, middle)} ${this.arcPath(cx, cy, radius, innerRadius, middle, end)}`;
+    }
+
+    const largeArc = end - start > Math.PI ? 1 : 0;
+    const point = (r, angle) => `${this.round(cx + r * Math.cos(angle))},${this.round(cy + r * Math.sin(angle))}`;
+
+    if (innerRadius === 0) {
+      return `M ${cx},${cy} L ${point(radius, start)} A ${radius},${radius} 0 ${largeArc} 1 ${point(radius, end)} Z`;
+    }
+
+    return [
+      `M ${point(radius, start)}`,
+      `A ${radius},${radius} 0 ${largeArc} 1 ${point(radius, end)}`,
+      `L ${point(innerRadius, end)}`,
+      `A ${innerRadius},${innerRadius} 0 ${largeArc} 0 ${point(innerRadius, start)}`,
+      'Z'
+    ].join(' ');
+  }
+
+  toArray(color, length) {
+    if (Array.isArray(color)) return color;
+    return Array.from({ length }, () => color || this.defaultColor(0));
+  }
+
+  defaultColor(index) {
+    const palette = ['rgba(54, 162, 235, 0.8)', 'rgba(255, 99, 132, 0.8)', 'rgba(75, 192, 192, 0.8)', 'rgba(255, 159, 64, 0.8)'];
+    return palette[index % palette.length];
+  }
+
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  escapeXml(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+}
+
+export default ChartRenderer;
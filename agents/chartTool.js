@@ -1,157 +1,486 @@
 // Chart.js Tool for generating analytics visualizations
 import weaviate from 'weaviate-ts-client';
+import QueryFilterExtractor from './queryFilters.js';
+import TenantManager from './tenantManager.js';
+import createResponseCache from './responseCache.js';
+import { logger } from './logger.js';
+import { traceStep } from './debugTrace.js';
 import config from '../config.js';
 
+// Charts that can be requested individually by name
+const ANALYTICS_CHARTS = [
+  'statusDistribution', 'priorityDistribution', 'responseTimeChart', 'resolutionTimeChart', 'satisfactionChart',
+  'responseTimeHistogram', 'resolutionTimeHistogram', 'durationByPriority', 'durationByChannel'
+];
+
+// Histogram buckets for response/resolution durations, in hours
+const DURATION_BUCKETS = [
+  { label: '< 1h', max: 1 },
+  { label: '1-4h', max: 4 },
+  { label: '4-8h', max: 8 },
+  { label: '8-24h', max: 24 },
+  { label: '1-3 days', max: 72 },
+  { label: '3-7 days', max: 168 },
+  { label: '> 7 days', max: Infinity }
+];
+// Duration properties (hours) stored at import
+const DURATION_FIELDS = ['firstResponseHours', 'timeToResolution'];
+const TREND_CHARTS = ['volumeTrend', 'satisfactionTrend', 'priorityTrend'];
+
 class ChartTool {
-  constructor() {
+  // options.cache: response cache shared with the other agents (analytics layer)
+  constructor(options = {}) {
     this.client = weaviate.client({
       scheme: 'http',
       host: config.weaviate.url.replace('http://', ''),
     });
+    this.queryFilters = new QueryFilterExtractor();
+    this.tenants = new TenantManager();
+    this.cache = options.cache || createResponseCache();
   }
 
   // FR-6: Generate visualizations for ticket analytics
-  async generateAnalytics(tenant = null) {
+  // options.onChart(name, chart) is called as soon as each chart config is built
+  // options.filters restricts the analytics to tickets matching structured query filters
+  // options.onStrategy(strategy) reports how the data was read (aggregate / cursor), the exact ticket total
+  // and whether it came from the analytics cache
+  // options.requestId tags every log line of the request
+  async generateAnalytics(tenant = null, options = {}) {
+    if (options.requestId && options.requestId !== logger.requestId()) {
+      return logger.runWithContext({ requestId: options.requestId }, () => this.generateAnalytics(tenant, options));
+    }
     try {
-      console.log(`📊 Chart Tool generating analytics${tenant ? ` for tenant: ${tenant}` : ' (global)'}`);
+      logger.info('📊 Chart Tool generating analytics', { tenant: tenant || 'global' });
 
-      const analytics = await this.getAnalyticsData(tenant);
+      const { value: analytics, hit } = await this.cache.wrap('analytics',
+        { tenant, filters: options.filters || null, charts: 'analytics' },
+        () => this.getAnalyticsData(tenant, options.filters));
+      if (options.onStrategy) {
+        options.onStrategy({ ...analytics.strategy, cached: hit });
+      }
+      traceStep('analytics', { ...analytics.strategy, cached: hit });
       
-      const charts = {
-        statusDistribution: this.createStatusChart(analytics.statusDistribution),
-        priorityDistribution: this.createPriorityChart(analytics.priorityDistribution),
-        responseTimeChart: this.createResponseTimeChart(analytics.responseTimeStats),
-        satisfactionChart: this.createSatisfactionChart(analytics.satisfactionStats)
+      const builders = {
+        statusDistribution: () => this.createStatusChart(analytics.statusDistribution),
+        priorityDistribution: () => this.createPriorityChart(analytics.priorityDistribution),
+        responseTimeChart: () => this.createDurationStatsChart(analytics.responseTimeStats, 'First Response Time'),
+        resolutionTimeChart: () => this.createDurationStatsChart(analytics.resolutionTimeStats, 'Resolution Time'),
+        satisfactionChart: () => this.createSatisfactionChart(analytics.satisfactionStats),
+        responseTimeHistogram: () => this.createDurationHistogramChart(analytics.responseTimeStats, 'First Response Time'),
+        resolutionTimeHistogram: () => this.createDurationHistogramChart(analytics.resolutionTimeStats, 'Resolution Time'),
+        durationByPriority: () => this.createDurationBreakdownChart(analytics.durationsByPriority, 'Priority'),
+        durationByChannel: () => this.createDurationBreakdownChart(analytics.durationsByChannel, 'Channel')
       };
 
-      console.log(`✅ Chart Tool generated ${Object.keys(charts).length} charts`);
+      const charts = {};
+      for (const [name, build] of Object.entries(builders)) {
+        charts[name] = build();
+        if (options.onChart) {
+          options.onChart(name, charts[name]);
+        }
+      }
+
+      logger.info('✅ Chart Tool generated charts', { count: Object.keys(charts).length, strategy: analytics.strategy.strategy, cached: hit });
       return charts;
 
     } catch (error) {
-      console.error('Chart Tool error:', error);
+      logger.error('Chart Tool error', { error });
       return this.getErrorChart('Failed to generate analytics');
     }
   }
 
-  // Get analytics data from Weaviate
-  async getAnalyticsData(tenant = null) {
-    const baseQuery = this.client.graphql
-      .get()
-      .withClassName(config.weaviate.className)
-      .withFields('ticketStatus ticketPriority firstResponseTime timeToResolution customerSatisfactionRating');
-
-    let query = baseQuery;
-    
-    if (tenant) {
-      query = baseQuery.withWhere({
-        path: ['productPurchased'],
-        operator: 'Equal',
-        valueText: tenant
+  // Generate time-series trend charts: ticket volume, average CSAT and priority mix per bucket
+  // options.bucket: 'day' | 'week' | 'month'; options.tenants: overlay one series per tenant
+  // options.from / options.to: inclusive date range; options.filters / options.onChart / options.requestId as in generateAnalytics
+  async generateTrends(tenant = null, options = {}) {
+    if (options.requestId && options.requestId !== logger.requestId()) {
+      return logger.runWithContext({ requestId: options.requestId }, () => this.generateTrends(tenant, options));
+    }
+    try {
+      const bucket = options.bucket || config.charts.trendBucket;
+      const tenants = options.tenants && options.tenants.length > 0 ? options.tenants : null;
+      logger.info('📈 Chart Tool generating trends', { bucket, tenant: tenants || tenant || 'global' });
+
+      // Bucketed trends are cached rather than the raw rows they are built from
+      const { value: { trends, strategy }, hit } = await this.cache.wrap('analytics', {
+        tenant: tenants ? null : tenant,
+        tenants,
+        filters: options.filters || null,
+        charts: 'trends',
+        bucket,
+        from: options.from || null,
+        to: options.to || null
+      }, async () => {
+        const { tickets, strategy } = await this.getTrendData(tenants ? null : tenant, tenants, options);
+        return { trends: this.processTrendData(tickets, bucket, tenants ? 'productPurchased' : null), strategy };
       });
+      if (options.onStrategy) {
+        options.onStrategy({ ...strategy, cached: hit });
+      }
+      traceStep('analytics', { ...strategy, bucket, cached: hit });
+
+      const builders = {
+        volumeTrend: () => this.createVolumeTrendChart(trends, bucket),
+        satisfactionTrend: () => this.createSatisfactionTrendChart(trends, bucket),
+        priorityTrend: () => this.createPriorityTrendChart(trends, bucket)
+      };
+
+      const charts = {};
+      for (const [name, build] of Object.entries(builders)) {
+        charts[name] = build();
+        if (options.onChart) {
+          options.onChart(name, charts[name]);
+        }
+      }
+
+      logger.info('✅ Chart Tool generated trend charts', { count: Object.keys(charts).length, buckets: trends.labels.length });
+      return charts;
+
+    } catch (error) {
+      logger.error('Chart Tool trend error', { error });
+      return { volumeTrend: this.getErrorChart('Failed to generate trend analytics') };
     }
+  }
 
-    // Get all tickets for analytics
-    const result = await query.withLimit(10000).do();
-    const tickets = result.data.Get[config.weaviate.className] || [];
+  // Generate a single chart by name; returns null for unknown chart names
+  async generateChart(name, tenant = null, options = {}) {
+    let charts;
+    if (ANALYTICS_CHARTS.includes(name)) {
+      charts = await this.generateAnalytics(tenant, options);
+    } else if (TREND_CHARTS.includes(name)) {
+      charts = await this.generateTrends(tenant, options);
+    } else {
+      return null;
+    }
 
-    return this.processAnalyticsData(tickets);
+    // generateAnalytics returns a bare error chart when Weaviate fails
+    return charts[name] || (charts.type ? charts : this.getErrorChart(`Chart unavailable: ${name}`));
   }
 
-  // Process raw ticket data into analytics
-  processAnalyticsData(tickets) {
-    const statusDistribution = {};
-    const priorityDistribution = {};
-    const responseTimes = [];
-    const resolutionTimes = [];
-    const satisfactionRatings = [];
+  // Get the per-ticket fields needed for trend charts from Weaviate (all matching tickets, paged by cursor)
+  async getTrendData(tenant = null, tenants = null, options = {}) {
+    const extraOperands = [];
+    const native = this.tenants.isNative();
 
-    tickets.forEach(ticket => {
-      // Status distribution
-      const status = ticket.ticketStatus || 'Unknown';
-      statusDistribution[status] = (statusDistribution[status] || 0) + 1;
+    // Native tenancy reads the overlaid tenants' shards instead of filtering on productPurchased
+    if (tenants && !native) {
+      const tenantConditions = tenants.map(name => ({ path: ['productPurchased'], operator: 'Equal', valueText: name }));
+      extraOperands.push(tenantConditions.length === 1 ? tenantConditions[0] : { operator: 'Or', operands: tenantConditions });
+    }
+    if (options.from) {
+      extraOperands.push({ path: ['dateOfPurchase'], operator: 'GreaterThanEqual', valueDate: new Date(options.from).toISOString() });
+    }
+    if (options.to) {
+      extraOperands.push({ path: ['dateOfPurchase'], operator: 'LessThanEqual', valueDate: new Date(options.to).toISOString() });
+    }
 
-      // Priority distribution
-      const priority = ticket.ticketPriority || 'Unknown';
-      priorityDistribution[priority] = (priorityDistribution[priority] || 0) + 1;
+    const whereClause = this.queryFilters.compile(options.filters, this.tenants.filterTenant(tenant), extraOperands);
+    const scopes = native && tenants ?
+      tenants.map(name => this.tenants.toTenantName(name)) :
+      await this.tenants.resolveScopes(tenant);
+    traceStep('analytics_query', { source: 'trends', tenant, tenants, scopes, where: whereClause || null });
+    const tickets = [];
+    const [matching = { meta: { count: 0 } }] = whereClause ? await this.aggregate(whereClause, null, undefined, scopes) : [];
+    const scan = await this.iterateObjects(
+      'productPurchased ticketPriority dateOfPurchase customerSatisfactionRating',
+      whereClause,
+      ticket => tickets.push(ticket),
+      scopes,
+      matching.meta.count
+    );
 
-      // Response times (if available)
-      if (ticket.firstResponseTime) {
-        const responseTime = this.parseTimeToHours(ticket.firstResponseTime);
-        if (responseTime !== null) {
-          responseTimes.push(responseTime);
-        }
+    return {
+      tickets,
+      strategy: {
+        source: 'trends',
+        strategy: scan.strategy,
+        totalTickets: tickets.length,
+        rowsScanned: scan.rowsScanned,
+        pages: scan.pages,
+        exact: true
       }
+    };
+  }
 
-      // Resolution times
-      if (ticket.timeToResolution) {
-        resolutionTimes.push(parseFloat(ticket.timeToResolution));
-      }
+  // Group tickets into time buckets, optionally split into one series per value of seriesField
+  processTrendData(tickets, bucket = 'month', seriesField = null) {
+    const series = {};
+    const priorities = {};
+    let minKey = null;
+    let maxKey = null;
+
+    tickets.forEach(ticket => {
+      const key = this.getBucketKey(ticket.dateOfPurchase, bucket);
+      if (!key) return;
+
+      if (!minKey || key < minKey) minKey = key;
+      if (!maxKey || key > maxKey) maxKey = key;
+
+      const seriesName = seriesField ? (ticket[seriesField] || 'Unknown') : 'All tickets';
+      series[seriesName] = series[seriesName] || { counts: {}, ratingSums: {}, ratingCounts: {} };
+      const entry = series[seriesName];
+      entry.counts[key] = (entry.counts[key] || 0) + 1;
 
-      // Satisfaction ratings
       if (ticket.customerSatisfactionRating) {
-        satisfactionRatings.push(parseFloat(ticket.customerSatisfactionRating));
+        entry.ratingSums[key] = (entry.ratingSums[key] || 0) + parseFloat(ticket.customerSatisfactionRating);
+        entry.ratingCounts[key] = (entry.ratingCounts[key] || 0) + 1;
       }
+
+      const priority = ticket.ticketPriority || 'Unknown';
+      priorities[priority] = priorities[priority] || {};
+      priorities[priority][key] = (priorities[priority][key] || 0) + 1;
     });
 
     return {
-      statusDistribution,
-      priorityDistribution,
-      responseTimeStats: this.calculateTimeStats(responseTimes),
-      resolutionTimeStats: this.calculateTimeStats(resolutionTimes),
-      satisfactionStats: this.calculateSatisfactionStats(satisfactionRatings)
+      labels: minKey ? this.buildBucketRange(minKey, maxKey, bucket) : [],
+      series,
+      priorities,
+      total: tickets.length
     };
   }
 
-  // Helper to parse time strings to hours
-  parseTimeToHours(timeString) {
-    try {
-      // Handle various time formats
-      if (typeof timeString === 'string') {
-        const date = new Date(timeString);
-        if (!isNaN(date.getTime())) {
-          return date.getHours() + (date.getMinutes() / 60);
-        }
-      }
-      return null;
-    } catch (error) {
-      return null;
+  // Helper to map a date to its bucket key: YYYY-MM-DD (day), Monday's YYYY-MM-DD (week) or YYYY-MM (month)
+  getBucketKey(value, bucket) {
+    if (!value) return null;
+    const date = new Date(value);
+    if (isNaN(date.getTime())) return null;
+
+    if (bucket === 'day') {
+      return date.toISOString().slice(0, 10);
+    }
+    if (bucket === 'week') {
+      const daysSinceMonday = (date.getUTCDay() + 6) % 7;
+      const monday = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() - daysSinceMonday));
+      return monday.toISOString().slice(0, 10);
     }
+    return date.toISOString().slice(0, 7);
   }
 
-  // Calculate time statistics
-  calculateTimeStats(times) {
-    if (times.length === 0) return { average: 0, min: 0, max: 0, count: 0 };
-    
-    const sorted = times.sort((a, b) => a - b);
-    const sum = times.reduce((acc, time) => acc + time, 0);
-    
+  // Helper to list every bucket key between two keys so gaps show as zero
+  buildBucketRange(minKey, maxKey, bucket) {
+    const keys = [];
+    const cursor = new Date(bucket === 'month' ? `${minKey}-01T00:00:00Z` : `${minKey}T00:00:00Z`);
+    let key = minKey;
+
+    while (key <= maxKey) {
+      keys.push(key);
+      if (bucket === 'day') cursor.setUTCDate(cursor.getUTCDate() + 1);
+      else if (bucket === 'week') cursor.setUTCDate(cursor.getUTCDate() + 7);
+      else cursor.setUTCMonth(cursor.getUTCMonth() + 1);
+      key = this.getBucketKey(cursor, bucket);
+    }
+
+    return keys;
+  }
+
+  // Get analytics data from Weaviate
+  // Counts and numeric stats (duration count, average, minimum, maximum included) come from Aggregate queries with
+  // the where clause, so totals are exact for any dataset size; only duration percentiles and histograms need raw
+  // rows, which are read only when some ticket has a duration
+  async getAnalyticsData(tenant = null, filters = null) {
+    const whereClause = this.queryFilters.compile(filters, this.tenants.filterTenant(tenant));
+    const scopes = await this.tenants.resolveScopes(tenant);
+    traceStep('analytics_query', { source: 'analytics', tenant, scopes, where: whereClause || null });
+
+    const [totals = { meta: { count: 0 } }] = await this.aggregate(whereClause, null,
+      `meta { count } customerSatisfactionRating { count mean } ${DURATION_FIELDS.map(field => `${field} { count mean minimum maximum }`).join(' ')}`,
+      scopes);
+    const statusGroups = await this.aggregate(whereClause, 'ticketStatus', undefined, scopes);
+    const priorityGroups = await this.aggregate(whereClause, 'ticketPriority', undefined, scopes);
+    const ratingGroups = await this.aggregate(whereClause, 'customerSatisfactionRating', undefined, scopes);
+
+    // Durations are stored in hours at import: creation → first response, first response → resolution
+    const durations = { response: [], resolution: [] };
+    const byPriority = {};
+    const byChannel = {};
+    const addDuration = (groups, key, kind, hours) => {
+      groups[key] = groups[key] || { response: [], resolution: [] };
+      groups[key][kind].push(hours);
+    };
+
+    const hasDurations = DURATION_FIELDS.some(field => totals[field] && totals[field].count > 0);
+    const scan = !hasDurations ? { strategy: 'none', pages: 0, rowsScanned: 0 } :
+      await this.iterateObjects('ticketPriority ticketChannel firstResponseHours timeToResolution', whereClause, ticket => {
+        for (const [kind, field] of [['response', 'firstResponseHours'], ['resolution', 'timeToResolution']]) {
+          const hours = ticket[field];
+          if (hours === null || hours === undefined) continue;
+          durations[kind].push(hours);
+          addDuration(byPriority, ticket.ticketPriority || 'Unknown', kind, hours);
+          addDuration(byChannel, ticket.ticketChannel || 'Unknown', kind, hours);
+        }
+      }, scopes, totals.meta.count);
+
+    const toDurationStats = groups => Object.fromEntries(Object.entries(groups).map(([key, group]) => [key, {
+      response: this.calculateTimeStats(group.response),
+      resolution: this.calculateTimeStats(group.resolution)
+    }]));
+
+    const toCounts = groups => groups.reduce((acc, group) => {
+      acc[group.groupedBy.value || 'Unknown'] = group.meta.count;
+      return acc;
+    }, {});
+
+    const ratingDistribution = {};
+    ratingGroups.forEach(group => {
+      const bucket = Math.floor(parseFloat(group.groupedBy.value));
+      if (!isNaN(bucket)) {
+        ratingDistribution[bucket] = (ratingDistribution[bucket] || 0) + group.meta.count;
+      }
+    });
+
+    const satisfaction = totals.customerSatisfactionRating || {};
+
     return {
-      average: Math.round((sum / times.length) * 100) / 100,
-      min: sorted[0],
-      max: sorted[sorted.length - 1],
-      count: times.length
+      statusDistribution: toCounts(statusGroups),
+      priorityDistribution: toCounts(priorityGroups),
+      responseTimeStats: this.calculateTimeStats(durations.response, totals.firstResponseHours),
+      resolutionTimeStats: this.calculateTimeStats(durations.resolution, totals.timeToResolution),
+      durationsByPriority: toDurationStats(byPriority),
+      durationsByChannel: toDurationStats(byChannel),
+      satisfactionStats: {
+        average: satisfaction.count ? Math.round(satisfaction.mean * 100) / 100 : 0,
+        distribution: ratingDistribution,
+        count: satisfaction.count || 0
+      },
+      strategy: {
+        source: 'analytics',
+        strategy: 'aggregate',
+        rowStrategy: scan.strategy,
+        totalTickets: totals.meta.count,
+        rowsScanned: scan.rowsScanned,
+        pages: scan.pages,
+        exact: true
+      }
     };
   }
 
-  // Calculate satisfaction statistics
-  calculateSatisfactionStats(ratings) {
-    if (ratings.length === 0) return { average: 0, distribution: {}, count: 0 };
-    
-    const sum = ratings.reduce((acc, rating) => acc + rating, 0);
-    const distribution = {};
-    
-    ratings.forEach(rating => {
-      const bucket = Math.floor(rating);
-      distribution[bucket] = (distribution[bucket] || 0) + 1;
+  // Run an Aggregate query, optionally grouped by one property, merged across tenant shards
+  async aggregate(whereClause = null, groupBy = null, fields = 'meta { count }', scopes = [null]) {
+    return this.tenants.aggregate({ where: whereClause, groupBy, fields }, scopes);
+  }
+
+  // Visit every matching object
+  // Weaviate cursors cannot be combined with where filters: filtered reads send the where clause with offset paging
+  // while the matching objects (an Aggregate count) fit in Weaviate's result window, and only beyond it page through
+  // the whole class with a cursor, applying the clause locally. Unfiltered reads always use the cursor
+  // scopes: tenant shards to read one after the other ([null] outside native multi-tenancy)
+  async iterateObjects(fields, whereClause = null, onObject, scopes = [null], matching = null) {
+    if (whereClause && matching !== null && matching <= config.charts.maxQueryResults) {
+      return this.iterateFiltered(fields, whereClause, onObject, scopes);
+    }
+
+    const filterFields = whereClause ? this.queryFilters.getWherePaths(whereClause).filter(path => !fields.split(' ').includes(path)) : [];
+    const pageSize = config.charts.pageSize;
+    let pages = 0;
+    let rowsScanned = 0;
+
+    for (const scope of scopes) {
+      let after = null;
+
+      while (true) {
+        let query = this.client.graphql
+          .get()
+          .withClassName(config.weaviate.className)
+          .withFields(`${[fields, ...filterFields].join(' ')} _additional { id }`)
+          .withLimit(pageSize);
+
+        if (after) {
+          query = query.withAfter(after);
+        }
+
+        const result = await this.tenants.scoped(query, scope).do();
+        if (result.errors) {
+          throw new Error(`Cursor query failed: ${result.errors.map(error => error.message).join('; ')}`);
+        }
+
+        const objects = result.data.Get[config.weaviate.className] || [];
+        pages++;
+        rowsScanned += objects.length;
+
+        objects.forEach(object => {
+          if (!whereClause || this.queryFilters.matchesWhere(object, whereClause)) {
+            onObject(object);
+          }
+        });
+
+        if (objects.length < pageSize) break;
+        after = objects[objects.length - 1]._additional.id;
+      }
+    }
+
+    return { strategy: whereClause ? 'cursor-filtered' : 'cursor', pages, rowsScanned };
+  }
+
+  // Visit the objects matching a where clause with offset paging; Weaviate reads only those objects
+  async iterateFiltered(fields, whereClause, onObject, scopes) {
+    const pageSize = config.charts.pageSize;
+    let pages = 0;
+    let rowsScanned = 0;
+
+    for (const scope of scopes) {
+      for (let offset = 0; ; offset += pageSize) {
+        const query = this.client.graphql
+          .get()
+          .withClassName(config.weaviate.className)
+          .withFields(`${fields} _additional { id }`)
+          .withWhere(whereClause)
+          .withLimit(pageSize)
+          .withOffset(offset);
+
+        const result = await this.tenants.scoped(query, scope).do();
+        if (result.errors) {
+          throw new Error(`Filtered query failed: ${result.errors.map(error => error.message).join('; ')}`);
+        }
+
+        const objects = result.data.Get[config.weaviate.className] || [];
+        pages++;
+        rowsScanned += objects.length;
+        objects.forEach(onObject);
+
+        if (objects.length < pageSize) break;
+      }
+    }
+
+    return { strategy: 'where', pages, rowsScanned };
+  }
+
+  // Calculate duration statistics (hours) with percentiles and a histogram
+  // aggregated: the Aggregate { count mean minimum maximum } of the same durations, used for those figures when given
+  calculateTimeStats(times, aggregated = null) {
+    const histogram = DURATION_BUCKETS.map(bucket => ({ label: bucket.label, count: 0 }));
+    if (times.length === 0) {
+      return { average: 0, min: 0, max: 0, p50: 0, p90: 0, p95: 0, count: 0, histogram };
+    }
+
+    const sorted = [...times].sort((a, b) => a - b);
+    const sum = sorted.reduce((acc, time) => acc + time, 0);
+    const round = value => Math.round(value * 100) / 100;
+    const exact = aggregated && aggregated.count ? aggregated : null;
+
+    sorted.forEach(time => {
+      histogram[DURATION_BUCKETS.findIndex(bucket => time < bucket.max)].count++;
     });
 
     return {
-      average: Math.round((sum / ratings.length) * 100) / 100,
-      distribution,
-      count: ratings.length
+      average: round(exact ? exact.mean : sum / sorted.length),
+      min: exact ? exact.minimum : sorted[0],
+      max: exact ? exact.maximum : sorted[sorted.length - 1],
+      p50: round(this.percentile(sorted, 50)),
+      p90: round(this.percentile(sorted, 90)),
+      p95: round(this.percentile(sorted, 95)),
+      count: sorted.length,
+      histogram
     };
   }
 
+  // Helper for linearly interpolated percentiles of a sorted array
+  percentile(sorted, p) {
+    const rank = (p / 100) * (sorted.length - 1);
+    const lower = Math.floor(rank);
+    const upper = Math.ceil(rank);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+  }
+
   // FR-7: Create Chart.js configuration objects
   createStatusChart(statusData) {
     const labels = Object.keys(statusData);
@@ -223,16 +552,58 @@ class ChartTool {
     };
   }
 
-  createResponseTimeChart(timeStats) {
+  // Duration chart title; without any ticket having the needed timestamps the metric is reported as not available
+  durationTitle(title, timeStats) {
+    return timeStats.count > 0 ? `${title} (${timeStats.count} tickets)` : `${title}: not available (no tickets with the needed timestamps)`;
+  }
+
+  createDurationStatsChart(timeStats, title) {
+    return {
+      type: 'bar',
+      data: {
+        labels: ['Average', 'Median (p50)', 'p90', 'p95', 'Minimum', 'Maximum'],
+        datasets: [{
+          label: `${title} (hours)`,
+          data: [timeStats.average, timeStats.p50, timeStats.p90, timeStats.p95, timeStats.min, timeStats.max],
+          backgroundColor: [
+            'rgba(54, 162, 235, 0.8)', 'rgba(153, 102, 255, 0.8)', 'rgba(255, 159, 64, 0.8)',
+            'rgba(255, 205, 86, 0.8)', 'rgba(75, 192, 192, 0.8)', 'rgba(255, 99, 132, 0.8)'
+          ],
+          borderWidth: 1
+        }]
+      },
+      options: {
+        responsive: true,
+        plugins: {
+          title: {
+            display: true,
+            text: this.durationTitle(`${title} Statistics`, timeStats),
+            font: { size: 16, weight: 'bold' }
+          }
+        },
+        scales: {
+          y: {
+            beginAtZero: true,
+            title: {
+              display: true,
+              text: 'Hours'
+            }
+          }
+        }
+      }
+    };
+  }
+
+  createDurationHistogramChart(timeStats, title) {
     return {
       type: 'bar',
       data: {
-        labels: ['Average', 'Minimum', 'Maximum'],
+        labels: timeStats.histogram.map(bucket => bucket.label),
         datasets: [{
-          label: 'Response Time (hours)',
-          data: [timeStats.average, timeStats.min, timeStats.max],
-          backgroundColor: ['rgba(54, 162, 235, 0.8)', 'rgba(75, 192, 192, 0.8)', 'rgba(255, 99, 132, 0.8)'],
-          borderColor: ['rgba(54, 162, 235, 1)', 'rgba(75, 192, 192, 1)', 'rgba(255, 99, 132, 1)'],
+          label: 'Tickets',
+          data: timeStats.histogram.map(bucket => bucket.count),
+          backgroundColor: 'rgba(54, 162, 235, 0.8)',
+          borderColor: 'rgba(54, 162, 235, 1)',
           borderWidth: 1
         }]
       },
@@ -241,7 +612,58 @@ class ChartTool {
         plugins: {
           title: {
             display: true,
-            text: `Response Time Statistics (${timeStats.count} tickets)`,
+            text: this.durationTitle(`${title} Distribution`, timeStats),
+            font: { size: 16, weight: 'bold' }
+          },
+          legend: { display: false }
+        },
+        scales: {
+          y: {
+            beginAtZero: true,
+            title: {
+              display: true,
+              text: 'Tickets'
+            }
+          }
+        }
+      }
+    };
+  }
+
+  // Grouped bars of p50/p90 response and resolution hours per priority or channel
+  createDurationBreakdownChart(durationsByGroup, groupLabel) {
+    const order = ['Critical', 'High', 'Medium', 'Low'];
+    const labels = Object.keys(durationsByGroup).sort((a, b) => {
+      const rank = label => (order.includes(label) ? order.indexOf(label) : order.length);
+      return rank(a) - rank(b) || a.localeCompare(b);
+    });
+    const hasResponses = Object.values(durationsByGroup).some(group => group.response.count > 0);
+    const series = [
+      { label: 'Response p50', kind: 'response', stat: 'p50' },
+      { label: 'Response p90', kind: 'response', stat: 'p90' },
+      { label: 'Resolution p50', kind: 'resolution', stat: 'p50' },
+      { label: 'Resolution p90', kind: 'resolution', stat: 'p90' }
+    ];
+
+    return {
+      type: 'bar',
+      data: {
+        labels,
+        datasets: series.map((item, index) => ({
+          label: item.label,
+          data: labels.map(label => {
+            const stats = durationsByGroup[label][item.kind];
+            return stats.count > 0 ? stats[item.stat] : null; // No tickets with this duration in the group
+          }),
+          backgroundColor: this.getSeriesColor(index)
+        }))
+      },
+      options: {
+        responsive: true,
+        plugins: {
+          title: {
+            display: true,
+            text: `Response and Resolution Time by ${groupLabel}${hasResponses ? '' : ' (response time not available)'}`,
             font: { size: 16, weight: 'bold' }
           }
         },
@@ -296,6 +718,141 @@ class ChartTool {
     };
   }
 
+  // Time-series line charts
+  createVolumeTrendChart(trends, bucket) {
+    const names = Object.keys(trends.series);
+
+    return {
+      type: 'line',
+      data: {
+        labels: trends.labels,
+        datasets: names.map((name, index) => ({
+          label: name,
+          data: trends.labels.map(key => trends.series[name].counts[key] || 0),
+          borderColor: this.getSeriesColor(index),
+          backgroundColor: this.getSeriesColor(index),
+          fill: false,
+          tension: 0.2
+        }))
+      },
+      options: {
+        responsive: true,
+        plugins: {
+          title: {
+            display: true,
+            text: `Ticket Volume per ${this.getBucketLabel(bucket)} (${trends.total} tickets)`,
+            font: { size: 16, weight: 'bold' }
+          },
+          legend: {
+            display: names.length > 1,
+            position: 'bottom'
+          }
+        },
+        scales: {
+          y: {
+            beginAtZero: true,
+            title: {
+              display: true,
+              text: 'Tickets'
+            }
+          }
+        }
+      }
+    };
+  }
+
+  createSatisfactionTrendChart(trends, bucket) {
+    const names = Object.keys(trends.series);
+
+    return {
+      type: 'line',
+      data: {
+        labels: trends.labels,
+        datasets: names.map((name, index) => {
+          const { ratingSums, ratingCounts } = trends.series[name];
+          return {
+            label: name,
+            data: trends.labels.map(key => ratingCounts[key] ?
+              Math.round((ratingSums[key] / ratingCounts[key]) * 100) / 100 :
+              null),
+            borderColor: this.getSeriesColor(index),
+            backgroundColor: this.getSeriesColor(index),
+            fill: false,
+            spanGaps: true,
+            tension: 0.2
+          };
+        })
+      },
+      options: {
+        responsive: true,
+        plugins: {
+          title: {
+            display: true,
+            text: `Average Customer Satisfaction per ${this.getBucketLabel(bucket)}`,
+            font: { size: 16, weight: 'bold' }
+          },
+          legend: {
+            display: names.length > 1,
+            position: 'bottom'
+          }
+        },
+        scales: {
+          y: {
+            min: 1,
+            max: 5,
+            title: {
+              display: true,
+              text: 'Average rating'
+            }
+          }
+        }
+      }
+    };
+  }
+
+  createPriorityTrendChart(trends, bucket) {
+    const priorities = Object.keys(trends.priorities);
+    const colors = this.getPriorityColors(priorities);
+
+    return {
+      type: 'line',
+      data: {
+        labels: trends.labels,
+        datasets: priorities.map((priority, index) => ({
+          label: priority,
+          data: trends.labels.map(key => trends.priorities[priority][key] || 0),
+          borderColor: colors[index].replace('0.8', '1'),
+          backgroundColor: colors[index],
+          fill: true,
+          tension: 0.2
+        }))
+      },
+      options: {
+        responsive: true,
+        plugins: {
+          title: {
+            display: true,
+            text: `Priority Mix per ${this.getBucketLabel(bucket)}`,
+            font: { size: 16, weight: 'bold' }
+          },
+          legend: {
+            position: 'bottom'
+          }
+        },
+        scales: {
+          y: {
+            stacked: true,
+            beginAtZero: true,
+            title: {
+              display: true,
+              text: 'Tickets'
+            }
+          }
+        }
+      }
+    };
+  }
+
   // Helper methods for colors
   getStatusColors(labels) {
     const colorMap = {
@@ -319,6 +876,23 @@ class ChartTool {
     return labels.map(label => colorMap[label] || 'rgba(201, 203, 207, 0.8)');
   }
 
+  getSeriesColor(index) {
+    const palette = [
+      'rgba(54, 162, 235, 0.8)',
+      'rgba(255, 99, 132, 0.8)',
+      'rgba(75, 192, 192, 0.8)',
+      'rgba(255, 159, 64, 0.8)',
+      'rgba(153, 102, 255, 0.8)',
+      'rgba(255, 205, 86, 0.8)',
+      'rgba(201, 203, 207, 0.8)'
+    ];
+    return palette[index % palette.length];
+  }
+
+  getBucketLabel(bucket) {
+    return { day: 'Day', week: 'Week', month: 'Month' }[bucket] || 'Month';
+  }
+
   getSatisfactionColor(rating) {
     if (rating >= 4) return 'rgba(40, 167, 69, 0.8)'; // Green
     if (rating >= 3) return 'rgba(255, 193, 7, 0.8)'; // Yellow
@@ -350,4 +924,5 @@ class ChartTool {
   }
 }
 
+export { ANALYTICS_CHARTS, TREND_CHARTS };
 export default ChartTool;
@@ -0,0 +1,139 @@
+// Citation Verifier: maps answer sentences to the tickets they cite ([#1234]) and checks them against the retrieved tickets
+import config from '../config.js';
+
+const UNVERIFIED_MODES = ['flag', 'remove'];
+
+// "[#1234]" or "[#1234, #5678]"; the "#" keeps placeholders such as [NAME] from counting as citations
+const CITATION_PATTERN = /\[\s*#[\w-]+(?:\s*,\s*#[\w-]+)*\s*\]/g;
+const LEADING_CITATIONS = /^(?:\[\s*#[\w-]+(?:\s*,\s*#[\w-]+)*\s*\]\s*)+/;
+
+// Words too common to tell which part of a ticket supports a sentence
+const STOPWORDS = new Set(['the', 'and', 'for', 'with', 'that', 'this', 'from', 'your', 'have', 'they', 'were', 'their', 'which', 'when', 'then', 'also', 'into', 'after', 'about', 'ticket', 'tickets', 'customer']);
+
+class CitationVerifier {
+  // options override config.citations (unverified, snippetLength)
+  constructor(options = {}) {
+    this.settings = { ...config.citations, ...options };
+
+    if (!UNVERIFIED_MODES.includes(this.settings.unverified)) {
+      throw new Error(`Unsupported citation mode: ${this.settings.unverified}. Supported modes: ${UNVERIFIED_MODES.join(', ')}`);
+    }
+  }
+
+  // Ticket IDs inside one citation marker
+  parseMarker(marker) {
+    return marker.slice(1, -1).split(',').map(id => id.trim().replace(/^#/, '')).filter(Boolean);
+  }
+
+  // Split an answer into sentences, keeping markers written after the full stop ("Restart it. [#12]") with their sentence
+  splitSentences(text) {
+    const sentences = [];
+    for (const line of text.split('\n')) {
+      for (let part of line.split(/(?<=[.!?])\s+/)) {
+        const leading = part.match(LEADING_CITATIONS);
+        if (leading && sentences.length > 0) {
+          sentences[sentences.length - 1] += ` ${leading[0].trim()}`;
+          part = part.slice(leading[0].length);
+        }
+        if (part.trim()) {
+          sentences.push(part);
+        }
+      }
+    }
+    return sentences;
+  }
+
+  // Sentence text without citation markers and list or emphasis markup
+  cleanSentence(sentence) {
+    return sentence
+      .replace(CITATION_PATTERN, '')
+      .replace(/^\s*(?:[-*•]|\d+\.)\s+/, '')
+      .replace(/\*\*|__/g, '')
+      .replace(/\s+([.,;:!?])/g, '$1')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  // Significant words of a text, for matching answer sentences to ticket text
+  words(text) {
+    return new Set((String(text || '').toLowerCase().match(/[a-z0-9]+/g) || [])
+      .filter(word => word.length > 2 && !STOPWORDS.has(word)));
+  }
+
+  // The sentence of a ticket's resolution or description that best supports an answer sentence
+  // Falls back to the start of the resolution (or description) when no words overlap
+  findSnippet(sentence, ticket) {
+    const target = this.words(sentence);
+    let best = null;
+
+    for (const field of ['resolution', 'ticketDescription']) {
+      for (const candidate of String(ticket[field] || '').split(/(?<=[.!?])\s+/)) {
+        const overlap = [...this.words(candidate)].filter(word => target.has(word)).length;
+        if (candidate.trim() && (!best || overlap > best.overlap)) {
+          best = { field, text: candidate.trim(), overlap };
+        }
+      }
+    }
+
+    if (!best) {
+      return null;
+    }
+    const limit = this.settings.snippetLength;
+    return {
+      ticketId: String(ticket.ticketId),
+      field: best.field,
+      text: best.text.length > limit ? `${best.text.substring(0, limit - 1).trimEnd()}…` : best.text
+    };
+  }
+
+  // Check the citations of an answer against the tickets it was generated from
+  // Returns { answer, citations, citedTicketIds, unverifiedTicketIds }:
+  // - citations: [{ sentence, ticketIds, unverifiedTicketIds, snippets }], one per sentence with a citation
+  // - citedTicketIds: retrieved tickets the answer cites, in order of first citation
+  // - unverifiedTicketIds: cited IDs that were not retrieved; with unverified 'remove' they are stripped from the answer
+  verify(answer, tickets = []) {
+    const retrieved = new Map(tickets.map(ticket => [String(ticket.ticketId), ticket]));
+    const remove = this.settings.unverified === 'remove';
+    const unverified = new Set();
+
+    // Strip citations of tickets that were not retrieved, keeping the verified IDs of a mixed marker
+    const checked = answer.replace(CITATION_PATTERN, marker => {
+      const ids = this.parseMarker(marker);
+      const bad = ids.filter(id => !retrieved.has(id));
+      bad.forEach(id => unverified.add(id));
+      if (!remove || bad.length === 0) {
+        return marker;
+      }
+      const kept = ids.filter(id => retrieved.has(id));
+      return kept.length > 0 ? `[${kept.map(id => `#${id}`).join(', ')}]` : '';
+    });
+    const text = remove ? checked.replace(/[ \t]+([.,;:!?])/g, '$1').replace(/[ \t]{2,}/g, ' ').trim() : checked;
+
+    const citations = [];
+    const cited = new Set();
+    for (const sentence of this.splitSentences(text)) {
+      const ids = [...new Set((sentence.match(CITATION_PATTERN) || []).flatMap(marker => this.parseMarker(marker)))];
+      if (ids.length === 0) continue;
+
+      const verifiedIds = ids.filter(id => retrieved.has(id));
+      verifiedIds.forEach(id => cited.add(id));
+      const plain = this.cleanSentence(sentence);
+      citations.push({
+        sentence: plain,
+        ticketIds: verifiedIds,
+        unverifiedTicketIds: ids.filter(id => !retrieved.has(id)),
+        snippets: verifiedIds.map(id => this.findSnippet(plain, retrieved.get(id))).filter(Boolean)
+      });
+    }
+
+    return {
+      answer: text,
+      citations,
+      citedTicketIds: [...cited],
+      unverifiedTicketIds: [...unverified]
+    };
+  }
+}
+
+export { CITATION_PATTERN, UNVERIFIED_MODES };
+export default CitationVerifier;
@@ -0,0 +1,215 @@
+// Conversation stores for multi-turn threads (in-memory and file-backed)
+import fs from 'fs/promises';
+import path from 'path';
+import config from '../config.js';
+
+// Shared thread bookkeeping used by every store implementation
+class ConversationStore {
+  constructor(options = {}) {
+    this.maxTurns = options.maxTurns || config.memory.maxTurns;
+  }
+
+  // Create an empty thread record
+  createThread(threadId) {
+    const now = new Date().toISOString();
+    return {
+      threadId,
+      tenant: null,
+      owner: null, // API key that started the thread
+      ticketIds: [],
+      turns: [],
+      summary: null, // Running summary of turns up to summaryThrough (turn timestamp)
+      summaryThrough: null,
+      createdAt: now,
+      updatedAt: now
+    };
+  }
+
+  // Apply a turn to a thread record, keeping tenant and retrieved ticket IDs up to date
+  applyTurn(thread, turn, { tenant, ticketIds, owner } = {}) {
+    thread.turns.push({
+      role: turn.role,
+      content: turn.content,
+      ticketIds: turn.ticketIds || [],
+      timestamp: turn.timestamp || new Date().toISOString()
+    });
+
+    // Keep only the most recent turns to bound memory and prompt size
+    if (thread.turns.length > this.maxTurns) {
+      thread.turns = thread.turns.slice(-this.maxTurns);
+    }
+
+    if (tenant) {
+      thread.tenant = tenant;
+    }
+
+    if (owner && !thread.owner) {
+      thread.owner = owner;
+    }
+
+    if (ticketIds && ticketIds.length > 0) {
+      thread.ticketIds = [...new Set([...thread.ticketIds, ...ticketIds])];
+    }
+
+    thread.updatedAt = new Date().toISOString();
+    return thread;
+  }
+
+  // Record a running summary covering every turn up to and including the given timestamp
+  applySummary(thread, summary, through) {
+    thread.summary = summary;
+    thread.summaryThrough = through;
+    return thread;
+  }
+
+  // Summary used when listing threads
+  summarize(thread) {
+    return {
+      threadId: thread.threadId,
+      tenant: thread.tenant,
+      owner: thread.owner || null,
+      turnCount: thread.turns.length,
+      createdAt: thread.createdAt,
+      updatedAt: thread.updatedAt
+    };
+  }
+}
+
+// In-memory store - fast, but threads are lost when the server restarts
+class InMemoryConversationStore extends ConversationStore {
+  constructor(options = {}) {
+    super(options);
+    this.threads = new Map();
+    this.maxThreads = options.maxThreads || config.memory.maxThreads;
+  }
+
+  async getThread(threadId) {
+    return this.threads.get(threadId) || null;
+  }
+
+  async appendTurn(threadId, turn, context = {}) {
+    const thread = this.threads.get(threadId) || this.createThread(threadId);
+    this.applyTurn(thread, turn, context);
+
+    // Re-insert so Map iteration order reflects recency, then evict the oldest
+    this.threads.delete(threadId);
+    this.threads.set(threadId, thread);
+    if (this.threads.size > this.maxThreads) {
+      const oldestThreadId = this.threads.keys().next().value;
+      this.threads.delete(oldestThreadId);
+    }
+
+    return thread;
+  }
+
+  async setSummary(threadId, summary, through) {
+    const thread = this.threads.get(threadId);
+    return thread ? this.applySummary(thread, summary, through) : null;
+  }
+
+  async listThreads() {
+    return [...this.threads.values()]
+      .map(thread => this.summarize(thread))
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+
+  async deleteThread(threadId) {
+    return this.threads.delete(threadId);
+  }
+}
+
+// File-backed store - one JSON file per thread, survives restarts
+class FileConversationStore extends ConversationStore {
+  constructor(options = {}) {
+    super(options);
+    this.directory = path.resolve(options.directory || config.memory.directory);
+  }
+
+  // Thread IDs come from clients, so never let them escape the store directory
+  getThreadPath(threadId) {
+    const safeId = encodeURIComponent(threadId);
+    return path.join(this.directory, `${safeId}.json`);
+  }
+
+  async getThread(threadId) {
+    try {
+      const content = await fs.readFile(this.getThreadPath(threadId), 'utf8');
+      return JSON.parse(content);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async appendTurn(threadId, turn, context = {}) {
+    const thread = (await this.getThread(threadId)) || this.createThread(threadId);
+    this.applyTurn(thread, turn, context);
+
+    await fs.mkdir(this.directory, { recursive: true });
+    await fs.writeFile(this.getThreadPath(threadId), JSON.stringify(thread, null, 2));
+    return thread;
+  }
+
+  async setSummary(threadId, summary, through) {
+    const thread = await this.getThread(threadId);
+    if (!thread) {
+      return null;
+    }
+
+    this.applySummary(thread, summary, through);
+    await fs.writeFile(this.getThreadPath(threadId), JSON.stringify(thread, null, 2));
+    return thread;
+  }
+
+  async listThreads() {
+    let files;
+    try {
+      files = await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const threads = [];
+    for (const file of files.filter(name => name.endsWith('.json'))) {
+      const threadId = decodeURIComponent(file.slice(0, -'.json'.length));
+      const thread = await this.getThread(threadId);
+      if (thread) {
+        threads.push(this.summarize(thread));
+      }
+    }
+
+    return threads.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+
+  async deleteThread(threadId) {
+    try {
+      await fs.unlink(this.getThreadPath(threadId));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+  }
+}
+
+// Factory that picks the store implementation from configuration
+function createConversationStore(type = config.memory.store, options = {}) {
+  switch (type) {
+    case 'memory':
+      return new InMemoryConversationStore(options);
+    case 'file':
+      return new FileConversationStore(options);
+    default:
+      throw new Error(`Unsupported conversation store: ${type}. Supported stores: memory, file`);
+  }
+}
+
+export { ConversationStore, InMemoryConversationStore, FileConversationStore };
+export default createConversationStore;
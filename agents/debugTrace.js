@@ -0,0 +1,107 @@
+// Debug trace: step-by-step record of how the agents handled one query (routing, filters, searches, LLM calls,
+// fallbacks), returned to admins who ask for it with debug=true
+import { AsyncLocalStorage } from 'async_hooks';
+import config from '../config.js';
+
+// Trace of the query being handled; steps are only recorded inside traceQuery
+const traceContext = new AsyncLocalStorage();
+
+// API key shapes (sk-..., sk_..., AIza...), bearer tokens and credential assignments that can appear in prompts or
+// ticket text, with their replacements
+const SECRET_PATTERNS = [
+  [/\bsk[-_][A-Za-z0-9_-]{16,}/g, '[SECRET]'],
+  [/\bAIza[0-9A-Za-z_-]{30,}/g, '[SECRET]'],
+  [/\bBearer\s+[A-Za-z0-9._~+/-]{8,}=*/gi, 'Bearer [SECRET]'],
+  [/\b(api[_-]?key|password|passwd|secret|token)(\s*[:=]\s*)("[^"]*"|'[^']*'|[^\s,;]+)/gi, '$1$2[SECRET]']
+];
+
+// Configured credentials, replaced wherever they appear verbatim
+function configuredSecrets() {
+  const { googleApiKey, openaiApiKey, localApiKey } = config.llm;
+  return [googleApiKey, openaiApiKey, localApiKey !== 'not-needed' ? localApiKey : null, config.pii.hashSalt,
+    ...config.auth.keys.map(entry => entry.key)]
+    .filter(secret => typeof secret === 'string' && secret.length >= 8);
+}
+
+// Copy of a value with every secret in its strings replaced by [SECRET]
+function redactSecrets(value, secrets = configuredSecrets()) {
+  if (typeof value === 'string') {
+    const text = secrets.reduce((redacted, secret) => redacted.split(secret).join('[SECRET]'), value);
+    return SECRET_PATTERNS.reduce((redacted, [pattern, replacement]) => redacted.replace(pattern, replacement), text);
+  }
+  if (value instanceof Error) {
+    return redactSecrets(value.message, secrets);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redactSecrets(item, secrets));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, redactSecrets(item, secrets)]));
+  }
+  return value;
+}
+
+class DebugTrace {
+  constructor() {
+    this.start = process.hrtime.bigint();
+    this.steps = [];
+  }
+
+  // Milliseconds since the query started, to 0.1ms
+  elapsedMs() {
+    return Math.round(Number(process.hrtime.bigint() - this.start) / 1e5) / 10;
+  }
+
+  // Append a step; details are copied with secrets redacted, so later changes to them are not traced
+  add(step, details = {}) {
+    const entry = { step, atMs: this.elapsedMs(), ...redactSecrets(details) };
+    this.steps.push(entry);
+    return entry;
+  }
+
+  toJSON() {
+    return { totalMs: this.elapsedMs(), steps: this.steps };
+  }
+}
+
+// Run fn while recording the steps it takes; resolves to { result, trace } (trace is null when not enabled)
+async function traceQuery(fn, { enabled = true } = {}) {
+  if (!enabled) {
+    return { result: await fn(), trace: null };
+  }
+  const trace = new DebugTrace();
+  const result = await traceContext.run(trace, fn);
+  return { result, trace };
+}
+
+// Record one step of the query being traced; does nothing outside traceQuery
+function traceStep(step, details = {}) {
+  const trace = traceContext.getStore();
+  return trace ? trace.add(step, details) : null;
+}
+
+// Run fn as a timed step: the step is recorded when it starts, then given its durationMs and either
+// describe(result) or the error it threw
+async function traceTimed(step, details, fn, describe = null) {
+  const trace = traceContext.getStore();
+  if (!trace) {
+    return fn();
+  }
+
+  const entry = trace.add(step, details);
+  try {
+    const result = await fn();
+    if (describe) {
+      Object.assign(entry, redactSecrets(describe(result)));
+    }
+    return result;
+  } catch (error) {
+    entry.error = redactSecrets(error.message || String(error));
+    throw error;
+  } finally {
+    entry.durationMs = Math.round((trace.elapsedMs() - entry.atMs) * 10) / 10;
+  }
+}
+
+export { redactSecrets, traceQuery, traceStep, traceTimed };
+export default DebugTrace;
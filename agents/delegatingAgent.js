@@ -1,20 +1,32 @@
 // Delegating Agent for orchestrating RAG and Chart tools - CLEANED VERSION
-import { ChatGoogleGenerativeAI } from '@langchain/google-genai';
+import { randomUUID } from 'crypto';
 import RAGAgent from './ragAgent.js';
 import ChartTool from './chartTool.js';
+import createConversationStore from './conversationStore.js';
+import QueryFilterExtractor from './queryFilters.js';
+import LLMClient from './llmClient.js';
+import createResponseCache from './responseCache.js';
+import { metrics } from './metrics.js';
+import { logger } from './logger.js';
+import { traceStep } from './debugTrace.js';
 import config from '../config.js';
 
+// Queries mentioning these are routed to the time-series trend charts
+const TREND_PATTERN = /\btrends?\b|\bover time\b|\b(?:daily|weekly|monthly)\b|\bper (?:day|week|month)\b|\bby (?:day|week|month)\b/i;
+
 class DelegatingAgent {
-  constructor() {
-    this.ragAgent = new RAGAgent();
-    this.chartTool = new ChartTool();
+  // options.routingLLM / answeringLLM / summarisingLLM / rerankingLLM replace the configured LLMClient for that role
+  // options.cache replaces the configured response cache, which is shared with the RAG agent and chart tool
+  constructor(options = {}) {
+    this.cache = options.cache || createResponseCache();
+    this.ragAgent = new RAGAgent({ llm: options.answeringLLM, rerankingLLM: options.rerankingLLM, cache: this.cache });
+    this.chartTool = new ChartTool({ cache: this.cache });
+    this.conversationStore = options.conversationStore || createConversationStore();
+    this.queryFilters = new QueryFilterExtractor({ cache: this.cache });
     
-    // Initialize the LLM
-    this.llm = new ChatGoogleGenerativeAI({
-      model: 'gemini-1.5-flash',
-      temperature: 0,
-      apiKey: process.env.GOOGLE_API_KEY,
-    });
+    // Routing decisions and history summaries use their own LLM roles
+    this.llm = options.routingLLM || new LLMClient('routing');
+    this.summarizer = options.summarisingLLM || new LLMClient('summarising');
   }
 
   // Helper method to parse JSON responses from LLM
@@ -27,102 +39,304 @@ class DelegatingAgent {
       }
       throw new Error('No JSON found in response');
     } catch (error) {
-      console.error('JSON parsing error:', error);
+      logger.error('JSON parsing error', { error });
       // Return default values
       return {
         needsRAG: true,
         needsChart: false,
-        reasoning: 'Failed to parse analysis, defaulting to RAG'
+        reasoning: 'Failed to parse analysis, defaulting to RAG',
+        fallback: true
       };
     }
   }
 
+  // Format the most recent turns of a thread for use in prompts
+  // Turns older than the summary are included verbatim; earlier ones are represented by thread.summary
+  formatHistory(thread) {
+    if (!thread || thread.turns.length === 0) {
+      return '';
+    }
+
+    const lines = this.getUnsummarizedTurns(thread)
+      .slice(-2 * config.memory.historyTurns)
+      .map(turn => {
+        const speaker = turn.role === 'user' ? 'User' : 'Assistant';
+        const content = turn.content.length > 500 ? `${turn.content.substring(0, 500)}...` : turn.content;
+        return `${speaker}: ${content}`;
+      });
+
+    if (thread.summary) {
+      lines.unshift(`Summary of earlier conversation: ${thread.summary}`);
+    }
+    return lines.join('\n');
+  }
+
+  // Helper to list turns not yet folded into the thread summary
+  getUnsummarizedTurns(thread) {
+    return thread.summaryThrough ?
+      thread.turns.filter(turn => turn.timestamp > thread.summaryThrough) :
+      thread.turns;
+  }
+
+  // Fold turns that have scrolled out of the history window into a running summary ('summarising' LLM role)
+  // Runs once every historyTurns turns so most queries make no extra LLM call
+  async updateHistorySummary(thread) {
+    const pending = this.getUnsummarizedTurns(thread).slice(0, -config.memory.historyTurns);
+    if (pending.length < config.memory.historyTurns) {
+      return thread;
+    }
+
+    try {
+      const transcript = pending
+        .map(turn => `${turn.role === 'user' ? 'User' : 'Assistant'}: ${turn.content.substring(0, 1000)}`)
+        .join('\n');
+      const prompt = `Summarize this customer support conversation in at most 5 sentences for an assistant that will answer follow-up questions. Keep products, ticket IDs, filters and open questions.
+${thread.summary ? `\nSummary so far: ${thread.summary}\n` : ''}
+New turns:
+${transcript}
+
+Summary:`;
+
+      const summary = await this.summarizer.generateResponse(prompt);
+      return await this.conversationStore.setSummary(thread.threadId, summary.trim(), pending[pending.length - 1].timestamp);
+    } catch (error) {
+      logger.error('History summary error', { error });
+      return thread;
+    }
+  }
+
   // Main method to handle user queries using hierarchical approach
-  async handleQuery(userQuery, tenant = null, threadId = "default") {
+  // options.onEvent(type, data) streams progress: route, references, token, chart and error events
+  // options.signal (AbortSignal) stops work when the client goes away
+  // options.search ({ mode, alpha }) overrides the retrieval settings for this query
+  // options.trend ({ bucket, tenants, from, to }) configures trend charts
+  // options.allowedTenants limits a query without a tenant to the tenants the caller's API key may read
+  // options.owner (API key ID) is recorded on new threads
+  // options.requestId tags every log line of the query (the server passes the request's X-Request-Id)
+  async handleQuery(userQuery, tenant = null, threadId = null, options = {}) {
+    if (options.requestId && options.requestId !== logger.requestId()) {
+      return logger.runWithContext({ requestId: options.requestId }, () => this.handleQuery(userQuery, tenant, threadId, options));
+    }
+    threadId = threadId || randomUUID();
+    const emit = options.onEvent || (() => {});
+    const { signal } = options;
+
     try {
-      console.log(`🎯 Delegating Agent handling query: "${userQuery}"${tenant ? ` for tenant: ${tenant}` : ''}`);
+      // Load conversation memory; an explicit tenant overrides the one the thread was using
+      const thread = await this.conversationStore.getThread(threadId);
+      const activeTenant = tenant || (thread && thread.tenant) || null;
+      // What retrieval and analytics read: the active tenant, else the key's allowed tenants, else everything
+      const tenantScope = activeTenant || options.allowedTenants || null;
+      const conversation = {
+        history: this.formatHistory(thread),
+        previousTicketIds: thread ? thread.ticketIds : [],
+        lastUserQuery: this.getLastUserQuery(thread)
+      };
+
+      logger.info('🎯 Delegating Agent handling query', { query: userQuery, tenant: activeTenant, threadId });
 
-      // Step 1: Analyze query to determine which tools to use
-      const analysis = await this.analyzeQueryRequirements(userQuery);
-      console.log(`📋 Query analysis: RAG=${analysis.needsRAG}, Chart=${analysis.needsChart}`);
+      // Step 1: Analyze query to determine which tools to use (keyword fallbacks are not cached)
+      const routing = await metrics.timeStage('routing', () =>
+        this.cache.wrap('routing', { query: userQuery, tenant: activeTenant, history: conversation.history },
+          () => this.analyzeQueryRequirements(userQuery, conversation),
+          { cacheIf: result => !result.fallback }));
+      const analysis = routing.value;
+      // Trend wording always routes to the time-series charts, whatever the LLM decided
+      analysis.needsTrend = Boolean(analysis.needsTrend) || TREND_PATTERN.test(userQuery);
+      const route = metrics.recordRoute(analysis);
+      logger.info('📋 Query analysis', { route, needsRAG: analysis.needsRAG, needsChart: analysis.needsChart, needsTrend: analysis.needsTrend, cached: routing.hit });
+      traceStep('routing', { route, cached: routing.hit, ...analysis });
+      this.throwIfAborted(signal);
+
+      // Follow-up questions are rewritten into standalone questions for retrieval
+      const searchQuery = analysis.standaloneQuery || userQuery;
+
+      // Pull structured constraints (status, priority, channel, type, dates, age) out of the question
+      const filters = await this.queryFilters.extract(searchQuery);
+      const appliedFilters = this.queryFilters.describe(filters);
+      if (appliedFilters.length > 0) {
+        logger.info('🧮 Extracted filters', { filters: appliedFilters.map(filter => filter.field) });
+      }
+      traceStep('filters', { searchQuery, tenantScope, filters: appliedFilters });
+      emit('route', { ...analysis, threadId, tenant: activeTenant, filters: appliedFilters });
 
       let ragResult = null;
       let chartResult = null;
+      let trendResult = null;
+      const analyticsStrategy = {};
       let references = { threadId };
 
       // Step 2: Execute tools based on analysis
       if (analysis.needsRAG) {
-        console.log(`🔍 Executing RAG for: "${userQuery}"`);
-                ragResult = await this.ragAgent.handleQuery(userQuery, tenant);
-        // Extract ticket references
-        if (ragResult.references && ragResult.references.ticketIds) {
-          references.ticketIds = ragResult.references.ticketIds;
+        logger.info('🔍 Executing RAG', { standaloneQuery: searchQuery });
+        ragResult = await this.ragAgent.handleQuery(searchQuery, tenantScope, 10, conversation, {
+          onEvent: options.onEvent,
+          signal,
+          requestId: options.requestId,
+          search: options.search,
+          filters
+        });
+        // Extract ticket references, citations and the retrieval score breakdown
+        for (const field of ['ticketIds', 'retrievedTicketIds', 'citations', 'unverifiedTicketIds', 'search']) {
+          if (ragResult.references && ragResult.references[field]) {
+            references[field] = ragResult.references[field];
+          }
         }
+        this.throwIfAborted(signal);
       }
 
       if (analysis.needsChart) {
-        console.log(`📊 Executing Chart Tool for analytics`);
-        chartResult = await this.chartTool.generateAnalytics(tenant);
+        logger.info('📊 Executing Chart Tool for analytics');
+        chartResult = await metrics.timeStage('analytics', () => this.chartTool.generateAnalytics(tenantScope, {
+          onChart: (name, chart) => emit('chart', { name, chart }),
+          onStrategy: strategy => { analyticsStrategy.charts = strategy; },
+          filters,
+          requestId: options.requestId
+        }));
+        this.throwIfAborted(signal);
+      }
+
+      if (analysis.needsTrend) {
+        const trendOptions = options.trend || {};
+        const bucket = trendOptions.bucket || this.detectTrendBucket(userQuery);
+        logger.info('📈 Executing Chart Tool for trends', { bucket });
+        trendResult = await metrics.timeStage('analytics', () => this.chartTool.generateTrends(tenantScope, {
+          ...trendOptions,
+          bucket,
+          onChart: (name, chart) => emit('chart', { name, chart }),
+          onStrategy: strategy => { analyticsStrategy.trends = strategy; },
+          filters,
+          requestId: options.requestId
+        }));
+        this.throwIfAborted(signal);
       }
 
       // Step 3: Combine results according to requirements
       const finalResponse = await this.combineResults({
         userQuery,
-        tenant,
+        tenant: activeTenant,
         ragResult,
         chartResult,
+        trendResult,
         analysis
       });
 
-      console.log(`✅ Delegating Agent completed successfully`);
+      // The RAG answer has already been streamed; send the sections combineResults added after it
+      if (finalResponse.appended) {
+        emit('token', { text: finalResponse.appended });
+      }
+
+      // Step 4: Remember this turn for follow-up questions
+      const updatedThread = await this.recordTurn(threadId, userQuery, finalResponse.answer, {
+        tenant: activeTenant,
+        ticketIds: references.ticketIds || [],
+        owner: options.owner
+      });
+      references.turn = Math.ceil(updatedThread.turns.length / 2);
+
+      // Whether each layer was served from the response cache (null when the layer did not run)
+      const analyticsHits = Object.values(analyticsStrategy).map(strategy => strategy.cached);
+      const cache = {
+        routing: routing.hit,
+        search: ragResult && ragResult.cache ? ragResult.cache.search : null,
+        answer: ragResult && ragResult.cache ? ragResult.cache.answer : null,
+        analytics: analyticsHits.length > 0 ? analyticsHits.every(Boolean) : null
+      };
+
+      logger.info('✅ Delegating Agent completed successfully', { threadId });
       return {
         answer: finalResponse.answer,
         references: references,
-        chart: chartResult // Return Chart.js config if generated
+        chart: chartResult || trendResult ? { ...chartResult, ...trendResult } : null, // Return Chart.js configs if generated
+        tenant: activeTenant,
+        filters: appliedFilters,
+        analytics: Object.keys(analyticsStrategy).length > 0 ? analyticsStrategy : null, // How chart data was read
+        cache
       };
       
     } catch (error) {
-      console.error('Delegating Agent error:', error);
+      if (error.name === 'AbortError') {
+        logger.info('🔌 Query aborted by client', { threadId });
+        return { answer: '', references: { threadId, aborted: true }, chart: null, tenant };
+      }
+
+      logger.error('Delegating Agent error', { error });
+      emit('error', {
+        error: 'Internal server error while processing your query.',
+        code: 'PROCESSING_ERROR',
+        timestamp: new Date().toISOString()
+      });
       return {
         answer: "I encountered an error while processing your request. Please try again.",
         references: { threadId, error: error.message },
-        chart: null
+        chart: null,
+        tenant,
+        filters: []
       };
     }
   }
 
+  // Stop processing once a streaming client has disconnected
+  throwIfAborted(signal) {
+    if (signal && signal.aborted) {
+      const error = new Error('Query aborted by client');
+      error.name = 'AbortError';
+      throw error;
+    }
+  }
+
+  // Persist the user question and assistant answer to the thread
+  async recordTurn(threadId, userQuery, answer, { tenant, ticketIds, owner }) {
+    await this.conversationStore.appendTurn(threadId, { role: 'user', content: userQuery }, { tenant, owner });
+    const thread = await this.conversationStore.appendTurn(threadId, { role: 'assistant', content: answer, ticketIds }, { tenant, ticketIds });
+    return this.updateHistorySummary(thread);
+  }
+
   // Enhanced query analysis method
-  async analyzeQueryRequirements(userQuery) {
+  async analyzeQueryRequirements(userQuery, conversation = {}) {
+    const { history = '', previousTicketIds = [], lastUserQuery = null } = conversation;
+
     try {
-      const analysisPrompt = `Analyze this customer support query and determine which tools are needed:
+      const conversationContext = history ? `
+Conversation so far:
+${history}
+${previousTicketIds.length > 0 ? `\nTicket IDs already retrieved in this conversation: ${previousTicketIds.join(', ')}\n` : ''}
+The query may be a follow-up to the conversation above. Rewrite it as a standalone question that keeps the product, filters and topic from earlier turns unless the user changes them.
+` : '';
 
+      const analysisPrompt = `Analyze this customer support query and determine which tools are needed:
+${conversationContext}
 Query: "${userQuery}"
 
 Available Tools:
 1. RAG Agent - For finding specific support tickets, solutions, troubleshooting steps, or product issues
 2. Chart Tool - For generating analytics, statistics, charts, or data visualizations
+3. Trend Charts - For ticket volume, satisfaction or priority mix over time
 
 Rules:
 - Use RAG if query asks about: specific problems, issues, solutions, troubleshooting, "common problems", "how to fix", product names with issues
-- Use Chart if query asks about: statistics, analytics, charts, data, distribution, "show me stats", trends
+- Use Chart if query asks about: statistics, analytics, charts, data, distribution, "show me stats"
+- Use Trend if query asks about: trends, "over time", daily/weekly/monthly changes
 - Use BOTH if query combines these (e.g., "common issues AND analytics", "problems and show charts")
 
 Respond with ONLY a JSON object:
 {
   "needsRAG": boolean,
   "needsChart": boolean,
+  "needsTrend": boolean,
+  "standaloneQuery": "the query rewritten to be understandable without the conversation",
   "reasoning": "explanation"
 }`;
 
-      const response = await this.llm.invoke(analysisPrompt);
+      const response = await this.llm.generateResponse(analysisPrompt);
       
       // Parse JSON response
-      const analysis = this.parseJSONResponse(response.content);
+      const analysis = this.parseJSONResponse(response);
       
       return analysis;
 
     } catch (error) {
-      console.error('Query analysis error:', error);
+      logger.error('Query analysis error', { error });
       
       // Check if it's a quota error and handle appropriately
       const isQuotaError = error.message && (
@@ -133,42 +347,59 @@ Respond with ONLY a JSON object:
       );
       
       if (isQuotaError) {
-        console.log('🚦 Google API quota exceeded, using enhanced keyword analysis...');
+        logger.warn('🚦 LLM API quota exceeded, using enhanced keyword analysis');
       }
+      metrics.recordFallback('keyword_routing');
+      traceStep('fallback', { fallback: 'keyword_routing', error: error.message });
       
+      // Without the LLM, treat a follow-up as a refinement of the previous user question
+      const standaloneQuery = lastUserQuery ? `${lastUserQuery} ${userQuery}` : userQuery;
+
       // Enhanced fallback logic with more keywords
-      const queryLower = userQuery.toLowerCase();
+      const queryLower = standaloneQuery.toLowerCase();
       const hasIssueKeywords = /issue|problem|fix|trouble|error|common|help|setup|install|battery|camera|tv|broken|not working|malfunction|defect/.test(queryLower);
-      const hasAnalyticsKeywords = /analytics|chart|statistic|data|show.*stat|distribution|trend|visual|graph|report|dashboard|metrics/.test(queryLower);
+      const hasAnalyticsKeywords = /analytics|chart|statistic|data|show.*stat|distribution|visual|graph|report|dashboard|metrics/.test(queryLower);
+      const hasTrendKeywords = TREND_PATTERN.test(queryLower);
       
       return {
         needsRAG: hasIssueKeywords,
         needsChart: hasAnalyticsKeywords,
+        needsTrend: hasTrendKeywords,
+        standaloneQuery,
         reasoning: isQuotaError ? 
           'Fallback analysis due to API quota limits - using keyword detection' : 
-          'Fallback analysis based on keywords due to LLM error'
+          'Fallback analysis based on keywords due to LLM error',
+        fallback: true
       };
     }
   }
 
-  // Enhanced result combination method
-  async combineResults({ userQuery, tenant, ragResult, chartResult, analysis }) {
-    let answer = '';
+  // Helper to find the previous user question in a thread
+  getLastUserQuery(thread) {
+    if (!thread) return null;
+    const userTurns = thread.turns.filter(turn => turn.role === 'user');
+    return userTurns.length > 0 ? userTurns[userTurns.length - 1].content : null;
+  }
 
-    // Add RAG content if available
-    if (ragResult && ragResult.answer) {
-      answer += ragResult.answer;
-    }
+  // Helper to pick the trend bucket size from the query wording
+  detectTrendBucket(userQuery) {
+    const queryLower = userQuery.toLowerCase();
+    if (/\bdaily\b|\bper day\b|\bby day\b/.test(queryLower)) return 'day';
+    if (/\bweekly\b|\bper week\b|\bby week\b/.test(queryLower)) return 'week';
+    return config.charts.trendBucket;
+  }
+
+  // Enhanced result combination method
+  // Returns the answer and the text appended after the RAG answer (answer === RAG answer + appended), which is
+  // what still has to be streamed once the RAG answer has been
+  async combineResults({ userQuery, tenant, ragResult, chartResult, trendResult, analysis }) {
+    const ragAnswer = ragResult && ragResult.answer ? ragResult.answer.trim() : '';
+    const sections = [];
 
     // Add chart content if available
     if (chartResult) {
-      if (answer) {
-        answer += '\n\n📊 **Analytics Dashboard:**\n';
-      } else {
-        answer = '📊 **Analytics Dashboard:**\n';
-      }
-      
-      answer += 'I\'ve generated comprehensive analytics for your support tickets:\n\n';
+      let section = '📊 **Analytics Dashboard:**\n';
+      section += 'I\'ve generated comprehensive analytics for your support tickets:\n\n';
       
       // Generate analytics summary from chart data
       const statusChart = chartResult.statusDistribution;
@@ -177,39 +408,78 @@ Respond with ONLY a JSON object:
       if (statusChart && statusChart.data) {
         const statusData = statusChart.data.datasets[0].data;
         const statusLabels = statusChart.data.labels;
-        answer += '**Ticket Status Distribution:**\n';
+        section += '**Ticket Status Distribution:**\n';
         statusLabels.forEach((label, index) => {
-          answer += `- **${label}:** ${statusData[index]} tickets\n`;
+          section += `- **${label}:** ${statusData[index]} tickets\n`;
         });
-        answer += '\n';
+        section += '\n';
       }
       
       if (priorityChart && priorityChart.data) {
         const priorityData = priorityChart.data.datasets[0].data;
         const priorityLabels = priorityChart.data.labels;
-        answer += '**Ticket Priority Distribution:**\n';
+        section += '**Ticket Priority Distribution:**\n';
         priorityLabels.forEach((label, index) => {
-          answer += `- **${label}:** ${priorityData[index]} tickets\n`;
+          section += `- **${label}:** ${priorityData[index]} tickets\n`;
         });
-        answer += '\n';
+        section += '\n';
       }
       
-      // Add response time and satisfaction info
-      if (chartResult.responseTimeChart) {
-        const responseData = chartResult.responseTimeChart.data.datasets[0].data;
-        answer += `**Response Time Statistics:**\n`;
-        answer += `- **Average:** ${responseData[0]?.toFixed(2) || 'N/A'} hours\n`;
-        answer += `- **Minimum:** ${responseData[1]?.toFixed(2) || 'N/A'} hours\n`;
-        answer += `- **Maximum:** ${responseData[2]?.toFixed(2) || 'N/A'} hours\n\n`;
+      // Add response and resolution time info (values: average, p50, p90, p95, min, max in hours)
+      for (const [name, title] of [['responseTimeChart', 'First Response Time'], ['resolutionTimeChart', 'Resolution Time']]) {
+        const timeChart = chartResult[name];
+        if (!timeChart || !timeChart.data) continue;
+
+        const [average, p50, p90, p95, min, max] = timeChart.data.datasets[0].data;
+        section += `**${title} Statistics:**\n`;
+        if (timeChart.data.datasets[0].data.every(value => !value)) {
+          section += '- Not available: no tickets have the timestamps this metric needs\n\n';
+          continue;
+        }
+        section += `- **Average:** ${average.toFixed(2)} hours\n`;
+        section += `- **p50 / p90 / p95:** ${p50.toFixed(2)} / ${p90.toFixed(2)} / ${p95.toFixed(2)} hours\n`;
+        section += `- **Minimum / Maximum:** ${min.toFixed(2)} / ${max.toFixed(2)} hours\n\n`;
+      }
+
+      // Add median resolution time per priority
+      const priorityDurations = chartResult.durationByPriority;
+      if (priorityDurations && priorityDurations.data && priorityDurations.data.labels.length > 0) {
+        const resolutionP50 = priorityDurations.data.datasets.find(dataset => dataset.label === 'Resolution p50');
+        section += '**Median Resolution Time by Priority:**\n';
+        priorityDurations.data.labels.forEach((label, index) => {
+          const hours = resolutionP50.data[index];
+          section += `- **${label}:** ${hours === null ? 'N/A' : `${hours.toFixed(2)} hours`}\n`;
+        });
+      }
+      sections.push(section.trim());
+    }
+
+    // Add trend summary if available
+    if (trendResult && trendResult.volumeTrend && trendResult.volumeTrend.type === 'line') {
+      let section = '📈 **Trends:**\n';
+
+      const { labels, datasets } = trendResult.volumeTrend.data;
+      if (labels.length === 0) {
+        section += 'No tickets with purchase dates matched this period.\n';
+      } else {
+        section += `Ticket volume from **${labels[0]}** to **${labels[labels.length - 1]}** (${labels.length} periods):\n`;
+        datasets.forEach(dataset => {
+          const total = dataset.data.reduce((sum, count) => sum + count, 0);
+          const peak = Math.max(...dataset.data);
+          const peakLabel = labels[dataset.data.indexOf(peak)];
+          section += `- **${dataset.label}:** ${total} tickets, peak of ${peak} in ${peakLabel}\n`;
+        });
       }
+      sections.push(section.trim());
     }
 
     // If no results from either tool, provide a helpful message
-    if (!answer) {
-      answer = "I couldn't find specific information for your query. Please try asking about support issues or requesting analytics.";
+    if (!ragAnswer && sections.length === 0) {
+      sections.push("I couldn't find specific information for your query. Please try asking about support issues or requesting analytics.");
     }
 
-    return { answer: answer.trim() };
+    const appended = ragAnswer ? sections.map(section => `\n\n${section}`).join('') : sections.join('\n\n');
+    return { answer: ragAnswer + appended, appended };
   }
 }
 
@@ -1,15 +1,54 @@
-// LLM Client for different providers (Gemini, OpenAI) - UPDATED VERSION
+// LLM Client: single provider layer used by every agent (Gemini, OpenAI, OpenAI-compatible local servers, scripted)
+import { AsyncLocalStorage } from 'async_hooks';
 import { ChatGoogleGenerativeAI } from '@langchain/google-genai';
 import { ChatOpenAI } from '@langchain/openai';
+import ScriptedLLM from './scriptedLLM.js';
+import { metrics } from './metrics.js';
+import { logger } from './logger.js';
+import { traceTimed } from './debugTrace.js';
 import config from '../config.js';
 
+const SUPPORTED_PROVIDERS = ['gemini', 'openai', 'openai-compatible', 'scripted'];
+
+// Token usage of the request being handled, shared by every LLM call made on its behalf
+const usageContext = new AsyncLocalStorage();
+
+// Run fn while counting the tokens of every LLM call it makes; resolves to { result, usage }
+async function trackUsage(fn) {
+  const usage = { calls: 0, inputTokens: 0, outputTokens: 0, totalTokens: 0, estimated: false };
+  const result = await usageContext.run(usage, fn);
+  return { result, usage };
+}
+
 class LLMClient {
-  constructor() {
-    this.llm = this.initializeLLM();
+  // role: 'routing' | 'answering' | 'summarising' | 'reranking' - selects model, temperature and timeout from config.llm.roles
+  // overrides: per-instance settings (provider, model, temperature, timeout, script) for tests and tools
+  constructor(role = 'answering', overrides = {}) {
+    this.role = role;
+    this.settings = this.resolveSettings(role, overrides);
+    this.llm = overrides.llm || this.initializeLLM(overrides);
+  }
+
+  // Merge provider defaults, role settings and overrides
+  resolveSettings(role, overrides = {}) {
+    const roleSettings = config.llm.roles[role];
+    if (!roleSettings) {
+      throw new Error(`Unknown LLM role: ${role}. Supported roles: ${Object.keys(config.llm.roles).join(', ')}`);
+    }
+
+    const provider = overrides.provider || config.llm.provider;
+    return {
+      provider,
+      model: overrides.model || roleSettings.model || config.llm.defaultModels[provider],
+      temperature: overrides.temperature ?? roleSettings.temperature,
+      timeout: overrides.timeout || roleSettings.timeout,
+      maxTokens: overrides.maxTokens || config.agents.maxTokens
+    };
   }
 
-  initializeLLM() {
-    const { provider, googleApiKey, openaiApiKey } = config.llm;
+  initializeLLM(overrides = {}) {
+    const { googleApiKey, openaiApiKey, baseUrl, localApiKey, scriptPath } = config.llm;
+    const { provider, model, temperature, timeout, maxTokens } = this.settings;
 
     switch (provider) {
       case 'gemini':
@@ -17,10 +56,11 @@ class LLMClient {
           throw new Error('GOOGLE_API_KEY is required for Gemini provider');
         }
         return new ChatGoogleGenerativeAI({
-          model: 'gemini-1.5-flash',
+          model,
           apiKey: googleApiKey,
-          maxOutputTokens: config.agents.maxTokens,
-          temperature: 0
+          maxOutputTokens: maxTokens,
+          temperature,
+          maxRetries: config.agents.maxRetries
         });
 
       case 'openai':
@@ -28,35 +68,144 @@ class LLMClient {
           throw new Error('OPENAI_API_KEY is required for OpenAI provider');
         }
         return new ChatOpenAI({
-          model: 'gpt-3.5-turbo',
-          apiKey: openaiApiKey,
-          maxTokens: config.agents.maxTokens,
-          temperature: 0.1
+          modelName: model,
+          openAIApiKey: openaiApiKey,
+          maxTokens,
+          temperature,
+          timeout,
+          maxRetries: config.agents.maxRetries
         });
 
+      // Ollama, llama.cpp server, vLLM and other servers exposing the OpenAI chat API
+      case 'openai-compatible':
+        return new ChatOpenAI({
+          modelName: model,
+          openAIApiKey: localApiKey,
+          maxTokens,
+          temperature,
+          timeout,
+          maxRetries: config.agents.maxRetries,
+          configuration: { baseURL: overrides.baseUrl || baseUrl }
+        });
+
+      case 'scripted':
+        if (overrides.script) {
+          return new ScriptedLLM({ script: overrides.script, defaultResponse: overrides.defaultResponse });
+        }
+        return scriptPath ? ScriptedLLM.fromFile(scriptPath) : new ScriptedLLM();
+
       default:
-        throw new Error(`Unsupported LLM provider: ${provider}. Supported providers: gemini, openai`);
+        throw new Error(`Unsupported LLM provider: ${provider}. Supported providers: ${SUPPORTED_PROVIDERS.join(', ')}`);
     }
   }
 
-  // FIXED: Changed to accept prompt string directly
+  // Generate a complete response for a prompt
   async generateResponse(prompt, options = {}) {
     try {
-      const response = await this.llm.invoke(prompt, {
-        timeout: config.agents.timeout,
-        ...options
-      });
-      return response.content;
+      return await traceTimed('llm', this.describeCall(prompt), async () => {
+        const response = await this.llm.invoke(prompt, {
+          timeout: this.settings.timeout,
+          ...options
+        });
+        const text = this.getText(response);
+        this.recordUsage(prompt, text, response.usage_metadata);
+        return text;
+      }, output => ({ output }));
     } catch (error) {
-      console.error('LLM generation error:', error);
+      if (error.name === 'AbortError') {
+        throw error;
+      }
+      this.recordRateLimit(error);
+      logger.error('LLM generation error', { role: this.role, provider: this.settings.provider, error });
       throw new Error(`Failed to generate response: ${error.message}`);
     }
   }
 
-  // FIXED: Simplified to pass prompt directly
+  // Stream a response token by token through onToken, resolving to the full text
+  async streamResponse(prompt, { onToken, signal } = {}) {
+    return traceTimed('llm', { ...this.describeCall(prompt), streamed: true },
+      () => this.streamTokens(prompt, { onToken, signal }), output => ({ output }));
+  }
+
+  // The stream itself; usage is recorded even when it breaks off
+  async streamTokens(prompt, { onToken, signal }) {
+    let content = '';
+    let usage = null;
+
+    try {
+      const stream = await this.llm.stream(prompt, { signal, timeout: this.settings.timeout });
+      for await (const chunk of stream) {
+        const token = this.getText(chunk);
+        if (token) {
+          content += token;
+          onToken(token);
+        }
+        // Chunks report usage as deltas
+        if (chunk.usage_metadata) {
+          usage = usage || { input_tokens: 0, output_tokens: 0, total_tokens: 0 };
+          usage.input_tokens += chunk.usage_metadata.input_tokens || 0;
+          usage.output_tokens += chunk.usage_metadata.output_tokens || 0;
+          usage.total_tokens += chunk.usage_metadata.total_tokens || 0;
+        }
+      }
+    } catch (error) {
+      this.recordRateLimit(error);
+      throw error;
+    } finally {
+      // Aborted streams are still charged for what was generated
+      this.recordUsage(prompt, content, usage);
+    }
+
+    return content;
+  }
+
+  // Kept for callers of the original API
   async generateWithPrompt(prompt, options = {}) {
     return this.generateResponse(prompt, options);
   }
+
+  // How a call is shown in the debug trace of the query (see traceQuery); prompts are traced with secrets redacted
+  describeCall(prompt) {
+    const { provider, model } = this.settings;
+    return { role: this.role, provider, model, prompt: typeof prompt === 'string' ? prompt : JSON.stringify(prompt) };
+  }
+
+  // Add a call's token usage to the tracked request (see trackUsage)
+  // Providers that report no usage (scripted, some local servers) are estimated at ~4 characters per token
+  recordUsage(prompt, text, usage = null) {
+    const tracked = usageContext.getStore();
+    if (!tracked) return;
+
+    const estimate = value => Math.ceil((typeof value === 'string' ? value : JSON.stringify(value)).length / 4);
+    const inputTokens = usage ? usage.input_tokens || 0 : estimate(prompt);
+    const outputTokens = usage ? usage.output_tokens || 0 : estimate(text);
+
+    tracked.calls += 1;
+    tracked.inputTokens += inputTokens;
+    tracked.outputTokens += outputTokens;
+    tracked.totalTokens += usage && usage.total_tokens ? usage.total_tokens : inputTokens + outputTokens;
+    tracked.estimated = tracked.estimated || !usage;
+  }
+
+  // Count provider rejections for rate limits or exhausted quotas (HTTP 429) in the pipeline metrics
+  recordRateLimit(error) {
+    const message = error.message || '';
+    if (error.status === 429 || /429|Too Many Requests|quota|rate limit/i.test(message)) {
+      metrics.recordLLMRateLimit(this.role, this.settings.provider);
+    }
+  }
+
+  // Helper to read text from a message or chunk (some providers return content parts)
+  getText(message) {
+    if (typeof message.content === 'string') {
+      return message.content;
+    }
+    if (Array.isArray(message.content)) {
+      return message.content.map(part => (typeof part === 'string' ? part : part.text || '')).join('');
+    }
+    return '';
+  }
 }
 
+export { SUPPORTED_PROVIDERS, trackUsage };
 export default LLMClient;
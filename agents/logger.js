@@ -0,0 +1,105 @@
+// Logger: leveled JSON (or pretty) logs tagged with the request ID of the request being handled
+import { AsyncLocalStorage } from 'async_hooks';
+import config from '../config.js';
+
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+// Fields of the request being handled (requestId), added to every log line written on its behalf
+const logContext = new AsyncLocalStorage();
+
+class Logger {
+  // options override config.logging (level, format, redactContent, redactFields)
+  // options.fields are added to every line; options.write(level, line) replaces stdout / stderr
+  constructor(options = {}) {
+    const { fields = {}, write = null, ...settings } = options;
+    this.settings = { ...config.logging, ...settings };
+    if (!LOG_LEVELS.includes(this.settings.level)) {
+      throw new Error(`Unsupported log level: ${this.settings.level}. Supported levels: ${LOG_LEVELS.join(', ')}`);
+    }
+    this.fields = fields;
+    this.write = write || ((level, line) => (level === 'warn' || level === 'error' ? process.stderr : process.stdout).write(`${line}\n`));
+  }
+
+  // Logger that adds fields to every line, sharing this logger's settings and output
+  child(fields) {
+    return new Logger({ ...this.settings, fields: { ...this.fields, ...fields }, write: this.write });
+  }
+
+  // Run fn with context fields (e.g. { requestId }) attached to every line logged while it runs
+  runWithContext(context, fn) {
+    return logContext.run({ ...(logContext.getStore() || {}), ...context }, fn);
+  }
+
+  // Request ID of the request being handled, or null outside one
+  requestId() {
+    const context = logContext.getStore();
+    return (context && context.requestId) || null;
+  }
+
+  debug(message, fields = {}) {
+    this.log('debug', message, fields);
+  }
+
+  info(message, fields = {}) {
+    this.log('info', message, fields);
+  }
+
+  warn(message, fields = {}) {
+    this.log('warn', message, fields);
+  }
+
+  error(message, fields = {}) {
+    this.log('error', message, fields);
+  }
+
+  log(level, message, fields = {}) {
+    if (LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(this.settings.level)) {
+      return;
+    }
+
+    const entry = {
+      timestamp: new Date().toISOString(),
+      level,
+      message,
+      ...(logContext.getStore() || {}),
+      ...this.fields,
+      ...this.redact(fields)
+    };
+    this.write(level, this.format(entry));
+  }
+
+  // Errors become { name, message, code }; query text and ticket content are replaced by their length unless
+  // settings.redactContent is off
+  redact(value, key = null) {
+    if (value instanceof Error) {
+      return { name: value.name, message: value.message, ...(value.code ? { code: value.code } : {}) };
+    }
+    if (key && this.settings.redactContent && this.settings.redactFields.includes(key)) {
+      if (typeof value === 'string') return `[redacted ${value.length} chars]`;
+      if (value !== null && value !== undefined) return '[redacted]';
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this.redact(item));
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([name, item]) => [name, this.redact(item, name)]));
+    }
+    return value;
+  }
+
+  // JSON: one object per line; pretty: "time LEVEL [requestId] message {fields}"
+  format(entry) {
+    if (this.settings.format === 'json') {
+      return JSON.stringify(entry);
+    }
+    const { timestamp, level, message, requestId, ...fields } = entry;
+    const extra = Object.keys(fields).length > 0 ? ` ${JSON.stringify(fields)}` : '';
+    return `${timestamp} ${level.toUpperCase()}${requestId ? ` [${requestId}]` : ''} ${message}${extra}`;
+  }
+}
+
+// Shared by the server and the agents
+const logger = new Logger();
+
+export { LOG_LEVELS, logger };
+export default Logger;
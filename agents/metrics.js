@@ -0,0 +1,166 @@
+// Pipeline metrics: counters and latency histograms rendered in the Prometheus text exposition format
+import { traceTimed } from './debugTrace.js';
+import config from '../config.js';
+
+const PIPELINE_STAGES = ['routing', 'search', 'generation', 'analytics'];
+const FALLBACKS = ['keyword_routing', 'transformer_error', 'graphql_fallback', 'fetch_objects', 'template_answer'];
+
+// Label values may hold any text; Prometheus needs backslashes, quotes and newlines escaped
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) {
+    return '';
+  }
+  const escape = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+  return `{${entries.map(([name, value]) => `${name}="${escape(value)}"`).join(',')}}`;
+}
+
+// Monotonic counter with one series per label combination
+class Counter {
+  constructor(name, help, labelNames = []) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  // Series are keyed on the declared labels in order, so { a, b } and { b, a } are the same series
+  key(labels) {
+    return JSON.stringify(this.labelNames.map(name => String(labels[name] ?? '')));
+  }
+
+  inc(labels = {}, value = 1) {
+    const key = this.key(labels);
+    const series = this.series.get(key) || { labels: Object.fromEntries(this.labelNames.map(name => [name, labels[name] ?? ''])), value: 0 };
+    series.value += value;
+    this.series.set(key, series);
+  }
+
+  // Current value of one series (0 when it has never been incremented)
+  get(labels = {}) {
+    const series = this.series.get(this.key(labels));
+    return series ? series.value : 0;
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} counter`];
+    if (this.series.size === 0 && this.labelNames.length === 0) {
+      lines.push(`${this.name} 0`);
+    }
+    for (const { labels, value } of this.series.values()) {
+      lines.push(`${this.name}${formatLabels(labels)} ${value}`);
+    }
+    return lines.join('\n');
+  }
+}
+
+// Histogram of observations in seconds, with cumulative buckets, a sum and a count per series
+class Histogram extends Counter {
+  constructor(name, help, labelNames = [], buckets = config.metrics.buckets) {
+    super(name, help, labelNames);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  observe(labels = {}, seconds) {
+    const key = this.key(labels);
+    const series = this.series.get(key) || {
+      labels: Object.fromEntries(this.labelNames.map(name => [name, labels[name] ?? ''])),
+      counts: this.buckets.map(() => 0),
+      sum: 0,
+      count: 0
+    };
+    this.buckets.forEach((bound, index) => {
+      if (seconds <= bound) series.counts[index]++;
+    });
+    series.sum += seconds;
+    series.count++;
+    this.series.set(key, series);
+  }
+
+  // Number of observations of one series
+  get(labels = {}) {
+    const series = this.series.get(this.key(labels));
+    return series ? series.count : 0;
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} histogram`];
+    for (const { labels, counts, sum, count } of this.series.values()) {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    }
+    return lines.join('\n');
+  }
+}
+
+class PipelineMetrics {
+  // options.buckets overrides config.metrics.buckets (seconds)
+  constructor(options = {}) {
+    const { buckets = config.metrics.buckets } = options;
+
+    this.requests = new Counter('support_requests_total', 'Queries handled, by endpoint, tenant and outcome', ['endpoint', 'tenant', 'status']);
+    this.requestDuration = new Histogram('support_request_duration_seconds', 'End-to-end query latency', ['endpoint'], buckets);
+    this.slowResponses = new Counter('support_slow_responses_total', `Queries slower than the NFR-1 limit of ${config.metrics.slowResponseMs}ms`, ['endpoint']);
+    this.stageDuration = new Histogram('support_stage_duration_seconds', 'Latency of each pipeline stage (routing, search, generation, analytics)', ['stage'], buckets);
+    this.stageErrors = new Counter('support_stage_errors_total', 'Pipeline stages that threw', ['stage']);
+    this.routes = new Counter('support_routes_total', 'Routing decisions: rag (RAG only), chart (charts or trends only), both, none', ['route']);
+    this.fallbacks = new Counter('support_fallbacks_total', 'Fallback paths taken', ['fallback']);
+    this.llmRateLimited = new Counter('support_llm_rate_limited_total', 'LLM calls rejected with 429 / quota errors', ['role', 'provider']);
+    this.metrics = [this.requests, this.requestDuration, this.slowResponses, this.stageDuration, this.stageErrors, this.routes, this.fallbacks, this.llmRateLimited];
+  }
+
+  // Run fn as one pipeline stage and record its latency (failed stages are timed and counted too)
+  // The stage is also a timed step of the query's debug trace when one is recorded
+  async timeStage(stage, fn) {
+    const start = process.hrtime.bigint();
+    try {
+      return await traceTimed('stage', { stage }, fn);
+    } catch (error) {
+      this.stageErrors.inc({ stage });
+      throw error;
+    } finally {
+      this.stageDuration.observe({ stage }, Number(process.hrtime.bigint() - start) / 1e9);
+    }
+  }
+
+  recordFallback(fallback) {
+    this.fallbacks.inc({ fallback });
+  }
+
+  recordLLMRateLimit(role, provider) {
+    this.llmRateLimited.inc({ role, provider });
+  }
+
+  // Which tools a query was routed to; trend charts count as charts
+  recordRoute(analysis) {
+    const charts = Boolean(analysis.needsChart || analysis.needsTrend);
+    const route = analysis.needsRAG ? (charts ? 'both' : 'rag') : (charts ? 'chart' : 'none');
+    this.routes.inc({ route });
+    return route;
+  }
+
+  // One finished query: counted per tenant ('global' without one) and status ('ok' / 'error'), timed, and flagged
+  // when slower than NFR-1. Callers pass existing tenants only ('other' for the rest) to keep the series bounded
+  recordRequest(endpoint, tenant, durationMs, status = 'ok') {
+    this.requests.inc({ endpoint, tenant: tenant || 'global', status });
+    this.requestDuration.observe({ endpoint }, durationMs / 1000);
+    if (durationMs > config.metrics.slowResponseMs) {
+      this.slowResponses.inc({ endpoint });
+    }
+  }
+
+  // Prometheus text exposition format (version 0.0.4)
+  render() {
+    return `${this.metrics.map(metric => metric.render()).join('\n')}\n`;
+  }
+}
+
+// Shared by the agents and the server, so /metrics reports the whole process
+const metrics = new PipelineMetrics();
+
+export { PIPELINE_STAGES, FALLBACKS, Counter, Histogram, metrics };
+export default PipelineMetrics;
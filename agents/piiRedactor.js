@@ -0,0 +1,127 @@
+// PII policy: detect and redact customer names, emails, phone numbers and card numbers
+import crypto from 'crypto';
+import config from '../config.js';
+
+const PII_PATTERNS = {
+  email: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g,
+  card: /\b(?:\d[ -]?){12,18}\d\b/g,
+  phone: /(?:(?:\+\d{1,3}|\b1)[\s.-]?)?(?:\(\d{3}\)\s?|\b\d{3}[\s.-])\d{3}[\s.-]\d{4}\b|\+\d{10,14}\b/g
+};
+
+const PLACEHOLDERS = {
+  name: '[NAME]',
+  email: '[EMAIL]',
+  phone: '[PHONE]',
+  card: '[CARD]'
+};
+
+// Ticket properties that identify the customer, and the kind of PII they hold
+const PII_FIELDS = {
+  customerName: 'name',
+  customerEmail: 'email'
+};
+
+class PIIRedactor {
+  // options override config.pii (emailStorage, hashSalt, unredactedRoles)
+  constructor(options = {}) {
+    this.policy = { ...config.pii, ...options };
+  }
+
+  // Whether a role may see unredacted customer data
+  canViewPII(role) {
+    return this.policy.unredactedRoles.includes(role);
+  }
+
+  // Find PII in free text: [{ type, value }]
+  detect(text) {
+    if (typeof text !== 'string') return [];
+
+    const findings = [];
+    for (const [type, pattern] of Object.entries(PII_PATTERNS)) {
+      for (const match of text.matchAll(pattern)) {
+        if (type !== 'card' || this.isCardNumber(match[0])) {
+          findings.push({ type, value: match[0] });
+        }
+      }
+    }
+    return findings;
+  }
+
+  // Replace PII in free text; names are known customer names to mask as well
+  redactText(text, names = []) {
+    if (typeof text !== 'string' || !text) return text;
+
+    let redacted = text
+      .replace(PII_PATTERNS.email, PLACEHOLDERS.email)
+      .replace(PII_PATTERNS.card, match => (this.isCardNumber(match) ? PLACEHOLDERS.card : match))
+      .replace(PII_PATTERNS.phone, PLACEHOLDERS.phone);
+
+    for (const name of names) {
+      if (name && name.trim().length >= 3) {
+        const escaped = name.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        redacted = redacted.replace(new RegExp(`\\b${escaped}\\b`, 'gi'), PLACEHOLDERS.name);
+      }
+    }
+    return redacted;
+  }
+
+  // Recursively redact a JSON value (tickets in prompts, API payloads, SSE events)
+  // Objects carrying a customerName also have that name masked inside their other fields
+  redactValue(value, names = []) {
+    if (typeof value === 'string') {
+      // Inline images are base64, not text
+      return value.startsWith('data:') ? value : this.redactText(value, names);
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this.redactValue(item, names));
+    }
+    if (!value || typeof value !== 'object' || value instanceof Date) {
+      return value;
+    }
+
+    const knownNames = typeof value.customerName === 'string' ? [...names, value.customerName] : names;
+    const redacted = {};
+    for (const [key, field] of Object.entries(value)) {
+      redacted[key] = PII_FIELDS[key] && field ? PLACEHOLDERS[PII_FIELDS[key]] : this.redactValue(field, knownNames);
+    }
+    return redacted;
+  }
+
+  // Store an email according to policy.emailStorage: 'hash' (stable, matchable), 'redact' or 'plain'
+  protectEmail(email) {
+    if (!email) return email;
+
+    switch (this.policy.emailStorage) {
+      case 'plain':
+        return email;
+      case 'redact':
+        return PLACEHOLDERS.email;
+      default: {
+        const digest = crypto.createHash('sha256')
+          .update(`${this.policy.hashSalt}${email.trim().toLowerCase()}`)
+          .digest('hex');
+        return `sha256:${digest.slice(0, 32)}`;
+      }
+    }
+  }
+
+  // Card-like digit runs only count when they pass the Luhn check (keeps order numbers intact)
+  isCardNumber(candidate) {
+    const digits = candidate.replace(/\D/g, '');
+    if (digits.length < 13 || digits.length > 19) return false;
+
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+      let digit = parseInt(digits[digits.length - 1 - i], 10);
+      if (i % 2 === 1) {
+        digit *= 2;
+        if (digit > 9) digit -= 9;
+      }
+      sum += digit;
+    }
+    return sum % 10 === 0;
+  }
+}
+
+export { PII_PATTERNS, PLACEHOLDERS };
+export default PIIRedactor;
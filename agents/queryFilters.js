@@ -0,0 +1,418 @@
+// Query understanding: extract structured ticket filters from natural-language questions
+import TenantManager from './tenantManager.js';
+import { logger } from './logger.js';
+import config from '../config.js';
+
+// Values present in the bundled dataset, used when Weaviate cannot be asked
+const DEFAULT_SCHEMA_VALUES = {
+  ticketStatus: ['Open', 'Closed', 'Pending Customer Response'],
+  ticketPriority: ['Critical', 'High', 'Medium', 'Low'],
+  ticketChannel: ['Email', 'Chat', 'Phone', 'Social media'],
+  ticketType: ['Technical issue', 'Billing inquiry', 'Cancellation request', 'Product inquiry', 'Refund request']
+};
+
+// Words that mark a status/priority adjective as describing tickets ("open tickets", "high priority ones")
+const TICKET_NOUN = '(?:\\s+\\w+){0,2}?\\s+(?:tickets?|cases?|requests?|ones|priority)\\b';
+
+// Phrase patterns mapped to schema values
+const ENUM_PATTERNS = {
+  ticketStatus: [
+    { pattern: new RegExp(`\\bopen(?=${TICKET_NOUN})`, 'i'), value: 'Open' },
+    { pattern: new RegExp(`\\b(?:closed|resolved)(?=${TICKET_NOUN})`, 'i'), value: 'Closed' },
+    { pattern: /\bpending\b/i, value: 'Pending Customer Response' }
+  ],
+  ticketPriority: [
+    { pattern: new RegExp(`\\b(?:critical|urgent)(?=${TICKET_NOUN})`, 'i'), value: 'Critical' },
+    { pattern: new RegExp(`\\bhigh(?:[- ]priority)?(?=${TICKET_NOUN})`, 'i'), value: 'High' },
+    { pattern: new RegExp(`\\bmedium(?:[- ]priority)?(?=${TICKET_NOUN})`, 'i'), value: 'Medium' },
+    { pattern: new RegExp(`\\blow(?:[- ]priority)?(?=${TICKET_NOUN})`, 'i'), value: 'Low' }
+  ],
+  ticketChannel: [
+    { pattern: /\b(?:via|from|by|over|on|through)\s+e-?mail\b|\be-?mail\s+(?:tickets?|channel|requests?)\b/i, value: 'Email' },
+    { pattern: /\b(?:via|from|by|over|on|through)\s+(?:live\s+)?chat\b|\bchat\s+(?:tickets?|channel|requests?)\b/i, value: 'Chat' },
+    { pattern: /\b(?:via|from|by|over|on|through)\s+(?:the\s+)?phone\b|\bphone\s+(?:tickets?|channel|calls?)\b/i, value: 'Phone' },
+    { pattern: /\bsocial\s+media\b/i, value: 'Social media' }
+  ],
+  ticketType: [
+    { pattern: /\brefunds?\b/i, value: 'Refund request' },
+    { pattern: /\bbilling\b/i, value: 'Billing inquiry' },
+    { pattern: /\bcancel(?:lation|lations|ling|ing)?\b/i, value: 'Cancellation request' },
+    { pattern: /\btechnical\s+(?:issues?|problems?|tickets?)\b/i, value: 'Technical issue' },
+    { pattern: /\bproduct\s+inquir(?:y|ies)\b/i, value: 'Product inquiry' }
+  ]
+};
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+
+class QueryFilterExtractor {
+  // options.cache: response cache whose data generation (bumped by imports and ticket writes) invalidates loaded values
+  constructor(options = {}) {
+    // Schema values are read through the tenant manager so native tenant shards are covered
+    this.tenants = new TenantManager();
+    this.cache = options.cache || null;
+    this.ttlSeconds = options.schemaValuesTtlSeconds ?? config.search.schemaValuesTtlSeconds;
+    this.schemaValues = null; // { values, generation, expiresAt }
+  }
+
+  clearSchemaValues() {
+    this.schemaValues = null;
+  }
+
+  // Load the distinct enum values actually stored in Weaviate, kept until they expire or the data generation changes
+  async getSchemaValues() {
+    const generation = this.cache ? await this.cache.currentGeneration().catch(() => null) : null;
+    if (this.schemaValues && this.schemaValues.generation === generation && this.schemaValues.expiresAt > Date.now()) {
+      return this.schemaValues.values;
+    }
+
+    try {
+      const values = {};
+      const scopes = await this.tenants.resolveScopes();
+      for (const property of Object.keys(DEFAULT_SCHEMA_VALUES)) {
+        const groups = await this.tenants.aggregate({ groupBy: property }, scopes);
+        values[property] = groups
+          .map(item => item.groupedBy.value)
+          .filter(Boolean);
+      }
+      // Nothing stored yet (e.g. the server started before the import): ask again on the next query
+      const loaded = Object.values(values).some(list => list.length > 0);
+      this.schemaValues = loaded ? { values, generation, expiresAt: Date.now() + this.ttlSeconds * 1000 } : null;
+      return values;
+    } catch (error) {
+      logger.error('🔄 Error loading schema values for filter extraction, using default schema values', { error });
+      return DEFAULT_SCHEMA_VALUES;
+    }
+  }
+
+  // Extract structured constraints from the query and validate them against schema values
+  async extract(query, now = new Date()) {
+    const schemaValues = await this.getSchemaValues();
+    const filters = {};
+
+    for (const [property, patterns] of Object.entries(ENUM_PATTERNS)) {
+      const allowed = schemaValues[property] || [];
+      const matches = patterns
+        .filter(({ pattern }) => pattern.test(query))
+        .map(({ value }) => allowed.find(candidate => candidate.toLowerCase() === value.toLowerCase()))
+        .filter(Boolean);
+
+      if (matches.length > 0) {
+        filters[property] = [...new Set(matches)];
+      }
+    }
+
+    const dateRange = this.extractDateRange(query, now);
+    if (dateRange) {
+      filters.dateOfPurchase = dateRange;
+    }
+
+    const ageBand = this.extractAgeBand(query);
+    if (ageBand) {
+      filters.customerAge = ageBand;
+    }
+
+    return filters;
+  }
+
+  // Parse date expressions into an ISO range [from, to) on dateOfPurchase
+  extractDateRange(query, now = new Date()) {
+    const text = query.toLowerCase();
+    const year = now.getUTCFullYear();
+    const month = now.getUTCMonth();
+    const utc = (y, m, d = 1) => new Date(Date.UTC(y, m, d));
+
+    const range = (from, to, label) => ({ from: from.toISOString(), to: to.toISOString(), label });
+
+    // Explicit ISO dates: "between 2021-01-01 and 2021-03-31", "since 2021-06-01", "before 2021-01-01"
+    const between = text.match(/between\s+(\d{4}-\d{2}-\d{2})\s+and\s+(\d{4}-\d{2}-\d{2})/);
+    if (between) {
+      const to = new Date(`${between[2]}T00:00:00Z`);
+      to.setUTCDate(to.getUTCDate() + 1);
+      return range(new Date(`${between[1]}T00:00:00Z`), to, `${between[1]} to ${between[2]}`);
+    }
+
+    const since = text.match(/(?:since|after|from)\s+(\d{4}-\d{2}-\d{2})/);
+    if (since) {
+      return range(new Date(`${since[1]}T00:00:00Z`), now, `since ${since[1]}`);
+    }
+
+    const before = text.match(/before\s+(\d{4}-\d{2}-\d{2})/);
+    if (before) {
+      return range(utc(1970, 0), new Date(`${before[1]}T00:00:00Z`), `before ${before[1]}`);
+    }
+
+    // "in march 2021" / "march 2021"
+    const monthYear = text.match(new RegExp(`\\b(${MONTHS.join('|')})\\s+(\\d{4})\\b`));
+    if (monthYear) {
+      const monthIndex = MONTHS.indexOf(monthYear[1]);
+      const y = parseInt(monthYear[2]);
+      return range(utc(y, monthIndex), utc(y, monthIndex + 1), `${monthYear[1]} ${y}`);
+    }
+
+    // "q3 2021"
+    const quarterYear = text.match(/\bq([1-4])\s+(\d{4})\b/);
+    if (quarterYear) {
+      const q = parseInt(quarterYear[1]) - 1;
+      const y = parseInt(quarterYear[2]);
+      return range(utc(y, q * 3), utc(y, q * 3 + 3), `Q${q + 1} ${y}`);
+    }
+
+    // "in 2021"
+    const inYear = text.match(/\b(?:in|during|from)\s+(\d{4})\b/);
+    if (inYear) {
+      const y = parseInt(inYear[1]);
+      return range(utc(y, 0), utc(y + 1, 0), `${y}`);
+    }
+
+    // Relative periods, anchored to the current date
+    const lastN = text.match(/\b(?:last|past)\s+(\d+)\s+(day|week|month|year)s?\b/);
+    if (lastN) {
+      const amount = parseInt(lastN[1]);
+      const from = new Date(now);
+      if (lastN[2] === 'day') from.setUTCDate(from.getUTCDate() - amount);
+      if (lastN[2] === 'week') from.setUTCDate(from.getUTCDate() - amount * 7);
+      if (lastN[2] === 'month') from.setUTCMonth(from.getUTCMonth() - amount);
+      if (lastN[2] === 'year') from.setUTCFullYear(from.getUTCFullYear() - amount);
+      return range(from, now, `last ${amount} ${lastN[2]}${amount === 1 ? '' : 's'}`);
+    }
+
+    const quarterStart = Math.floor(month / 3) * 3;
+    if (/\blast quarter\b/.test(text)) {
+      return range(utc(year, quarterStart - 3), utc(year, quarterStart), 'last quarter');
+    }
+    if (/\bthis quarter\b/.test(text)) {
+      return range(utc(year, quarterStart), now, 'this quarter');
+    }
+    if (/\blast month\b/.test(text)) {
+      return range(utc(year, month - 1), utc(year, month), 'last month');
+    }
+    if (/\bthis month\b/.test(text)) {
+      return range(utc(year, month), now, 'this month');
+    }
+    if (/\blast year\b/.test(text)) {
+      return range(utc(year - 1, 0), utc(year, 0), 'last year');
+    }
+    if (/\bthis year\b/.test(text)) {
+      return range(utc(year, 0), now, 'this year');
+    }
+
+    return null;
+  }
+
+  // Parse customer age bands: "under 30", "over 50", "aged 25-34", "in their 20s", "seniors"
+  extractAgeBand(query) {
+    const text = query.toLowerCase();
+
+    const span = text.match(/\b(?:aged?|ages)\s+(\d{1,2})\s*(?:-|to)\s*(\d{1,2})\b|\b(\d{1,2})\s*(?:-|to)\s*(\d{1,2})\s*(?:year[- ]olds?|years? old)\b/);
+    if (span) {
+      const min = parseInt(span[1] || span[3]);
+      const max = parseInt(span[2] || span[4]);
+      return { min: Math.min(min, max), max: Math.max(min, max), label: `aged ${min}-${max}` };
+    }
+
+    const decade = text.match(/\bin their (\d)0s\b/);
+    if (decade) {
+      const min = parseInt(decade[1]) * 10;
+      return { min, max: min + 9, label: `in their ${min}s` };
+    }
+
+    const under = text.match(/\b(?:customers?|users?|people|aged?)?\s*(?:under|younger than|below)\s+(\d{1,2})\b/);
+    if (under && /customer|user|people|age|year|old/.test(text)) {
+      const max = parseInt(under[1]) - 1;
+      return { min: null, max, label: `under ${under[1]}` };
+    }
+
+    const over = text.match(/\b(?:over|older than|above)\s+(\d{1,2})\b/);
+    if (over && /customer|user|people|age|year|old/.test(text)) {
+      const min = parseInt(over[1]) + 1;
+      return { min, max: null, label: `over ${over[1]}` };
+    }
+
+    if (/\bseniors?\b|\belderly\b/.test(text)) {
+      return { min: 65, max: null, label: 'seniors (65+)' };
+    }
+
+    return null;
+  }
+
+  // Compile extracted filters (plus optional tenant, or list of tenants an API key may read) into a Weaviate where clause
+  compile(filters = {}, tenant = null, extraOperands = []) {
+    filters = filters || {};
+    const operands = [];
+
+    if (tenant) {
+      const tenantConditions = [].concat(tenant).map(name => ({ path: ['productPurchased'], operator: 'Equal', valueText: name }));
+      operands.push(tenantConditions.length === 1 ? tenantConditions[0] : { operator: 'Or', operands: tenantConditions });
+    }
+
+    for (const property of Object.keys(ENUM_PATTERNS)) {
+      const values = filters[property];
+      if (!values || values.length === 0) continue;
+
+      const conditions = values.map(value => ({ path: [property], operator: 'Equal', valueText: value }));
+      operands.push(conditions.length === 1 ? conditions[0] : { operator: 'Or', operands: conditions });
+    }
+
+    if (filters.dateOfPurchase) {
+      operands.push({ path: ['dateOfPurchase'], operator: 'GreaterThanEqual', valueDate: filters.dateOfPurchase.from });
+      operands.push({ path: ['dateOfPurchase'], operator: 'LessThan', valueDate: filters.dateOfPurchase.to });
+    }
+
+    if (filters.customerAge) {
+      if (filters.customerAge.min !== null) {
+        operands.push({ path: ['customerAge'], operator: 'GreaterThanEqual', valueInt: filters.customerAge.min });
+      }
+      if (filters.customerAge.max !== null) {
+        operands.push({ path: ['customerAge'], operator: 'LessThanEqual', valueInt: filters.customerAge.max });
+      }
+    }
+
+    operands.push(...extraOperands);
+
+    if (operands.length === 0) return null;
+    if (operands.length === 1) return operands[0];
+    return { operator: 'And', operands };
+  }
+
+  // Helper to list the properties a where clause reads
+  getWherePaths(clause) {
+    if (clause.operands) {
+      return [...new Set(clause.operands.flatMap(operand => this.getWherePaths(operand)))];
+    }
+    return [clause.path[0]];
+  }
+
+  // Evaluate a compiled where clause against a fetched object, for reads that cannot filter in Weaviate
+  // (cursor scans, the objects API); mirrors Weaviate's word-tokenized Equal and wildcard Like
+  matchesWhere(object, clause) {
+    if (clause.operator === 'And') {
+      return clause.operands.every(operand => this.matchesWhere(object, operand));
+    }
+    if (clause.operator === 'Or') {
+      return clause.operands.some(operand => this.matchesWhere(object, operand));
+    }
+
+    const actual = object[clause.path[0]];
+    if (actual === null || actual === undefined) {
+      return clause.operator === 'NotEqual';
+    }
+
+    if (clause.valueText !== undefined) {
+      const tokenize = value => String(value).toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+      const actualTokens = tokenize(actual);
+      if (clause.operator === 'Like') {
+        // '*' matches any characters and '?' one character, within a token or across the whole value
+        const escaped = clause.valueText.toLowerCase().replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        const pattern = new RegExp(`^${escaped.replace(/\*/g, '.*').replace(/\?/g, '.')}$`);
+        return pattern.test(String(actual).toLowerCase()) || actualTokens.some(token => pattern.test(token));
+      }
+      const matches = tokenize(clause.valueText).every(token => actualTokens.includes(token));
+      if (clause.operator === 'Equal') return matches;
+      if (clause.operator === 'NotEqual') return !matches;
+      throw new Error(`Unsupported text operator for local filtering: ${clause.operator}`);
+    }
+
+    const toNumber = value => (clause.valueDate !== undefined ? new Date(value).getTime() : Number(value));
+    const left = toNumber(actual);
+    const right = toNumber(clause.valueDate ?? clause.valueInt ?? clause.valueNumber);
+
+    switch (clause.operator) {
+      case 'Equal': return left === right;
+      case 'NotEqual': return left !== right;
+      case 'GreaterThan': return left > right;
+      case 'GreaterThanEqual': return left >= right;
+      case 'LessThan': return left < right;
+      case 'LessThanEqual': return left <= right;
+      default:
+        throw new Error(`Unsupported operator for local filtering: ${clause.operator}`);
+    }
+  }
+
+  // Human-readable summary of applied filters for responses
+  describe(filters = {}) {
+    const applied = [];
+    for (const property of Object.keys(ENUM_PATTERNS)) {
+      if (filters[property]) {
+        applied.push({ field: property, operator: 'Equal', values: filters[property] });
+      }
+    }
+    if (filters.dateOfPurchase) {
+      applied.push({ field: 'dateOfPurchase', operator: 'Between', ...filters.dateOfPurchase });
+    }
+    if (filters.customerAge) {
+      applied.push({ field: 'customerAge', operator: 'Between', ...filters.customerAge });
+    }
+    return applied;
+  }
+
+  // Parse filters from URL query params (?ticketStatus=Open,Closed&from=2021-01-01&minAge=18)
+  async fromParams(params = {}) {
+    const schemaValues = await this.getSchemaValues();
+    const filters = {};
+    const errors = [];
+
+    for (const property of Object.keys(ENUM_PATTERNS)) {
+      if (!params[property]) continue;
+
+      const allowed = schemaValues[property] || [];
+      const values = [];
+      for (const raw of String(params[property]).split(',').map(value => value.trim()).filter(Boolean)) {
+        const match = allowed.find(candidate => candidate.toLowerCase() === raw.toLowerCase());
+        if (match) {
+          values.push(match);
+        } else {
+          errors.push(`${property} must be one of: ${allowed.join(', ')}`);
+        }
+      }
+      if (values.length > 0) {
+        filters[property] = [...new Set(values)];
+      }
+    }
+
+    if (params.from || params.to) {
+      const from = params.from ? new Date(params.from) : new Date(Date.UTC(1970, 0, 1));
+      const to = params.to ? new Date(params.to) : new Date(Date.UTC(9999, 0, 1));
+      if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+        errors.push('from and to must be valid dates');
+      } else {
+        filters.dateOfPurchase = {
+          from: from.toISOString(),
+          to: to.toISOString(),
+          label: `${params.from || 'start'} to ${params.to || 'now'}`
+        };
+      }
+    }
+
+    if (params.minAge !== undefined || params.maxAge !== undefined) {
+      const min = params.minAge !== undefined ? parseInt(params.minAge, 10) : null;
+      const max = params.maxAge !== undefined ? parseInt(params.maxAge, 10) : null;
+      if (Number.isNaN(min) || Number.isNaN(max)) {
+        errors.push('minAge and maxAge must be integers');
+      } else {
+        filters.customerAge = { min, max, label: `ages ${min ?? 'any'}-${max ?? 'any'}` };
+      }
+    }
+
+    return { filters, errors };
+  }
+
+  // Turn applied filters (as returned by describe) back into URL query params for chart links
+  toParams(applied = []) {
+    const params = {};
+    for (const filter of applied) {
+      if (filter.values) {
+        params[filter.field] = filter.values.join(',');
+      } else if (filter.field === 'dateOfPurchase') {
+        params.from = filter.from;
+        params.to = filter.to;
+      } else if (filter.field === 'customerAge') {
+        if (filter.min !== null) params.minAge = String(filter.min);
+        if (filter.max !== null) params.maxAge = String(filter.max);
+      }
+    }
+    return params;
+  }
+}
+
+export { DEFAULT_SCHEMA_VALUES };
+export default QueryFilterExtractor;
@@ -1,21 +1,35 @@
 // RAG Agent for ticket retrieval from Weaviate - CLEANED VERSION
 import weaviate from 'weaviate-ts-client';
-import { ChatGoogleGenerativeAI } from '@langchain/google-genai';
+import LLMClient from './llmClient.js';
+import QueryFilterExtractor from './queryFilters.js';
+import PIIRedactor from './piiRedactor.js';
+import TenantManager from './tenantManager.js';
+import createResponseCache from './responseCache.js';
+import CitationVerifier from './citationVerifier.js';
+import Reranker, { RERANK_STRATEGIES } from './reranker.js';
+import { metrics } from './metrics.js';
+import { logger } from './logger.js';
+import { traceStep, traceTimed } from './debugTrace.js';
 import config from '../config.js';
 
 class RAGAgent {
-  constructor() {
+  // options.llm: LLMClient to use instead of the configured 'answering' role
+  // options.cache: response cache shared with the other agents (search and answer layers)
+  // options.rerankingLLM: LLMClient for the llm rerank strategy instead of the configured 'reranking' role
+  constructor(options = {}) {
     this.client = weaviate.client({
       scheme: 'http',
       host: config.weaviate.url.replace('http://', ''),
     });
+    this.queryFilters = new QueryFilterExtractor();
+    this.piiRedactor = new PIIRedactor();
+    this.tenants = new TenantManager();
+    this.cache = options.cache || createResponseCache();
+    this.citations = new CitationVerifier();
+    this.reranker = new Reranker({ llm: options.rerankingLLM });
     
-    // Initialize the LLM
-    this.llm = new ChatGoogleGenerativeAI({
-      model: 'gemini-1.5-flash',
-      temperature: 0,
-      apiKey: process.env.GOOGLE_API_KEY,
-    });
+    // Answers are generated with the 'answering' LLM role
+    this.llm = options.llm || new LLMClient('answering');
   }
 
   // Helper method to detect error types
@@ -71,48 +85,110 @@ class RAGAgent {
     }));
   }
 
+  // Resolve search mode, alpha, text version and rerank strategies from per-request options, falling back to global config
+  resolveSearchOptions(options = {}) {
+    const mode = options.mode || config.search.mode;
+    const alpha = typeof options.alpha === 'number' ? options.alpha : config.search.alpha;
+    const text = options.text || config.search.text;
+    const rerank = Array.isArray(options.rerank) ? options.rerank : config.search.rerank.strategies;
+    return { mode, alpha, text, rerank };
+  }
+
+  // Ticket fields to fetch; the raw text properties are only requested when answers should quote them
+  ticketFields(text = 'normalized') {
+    const fields = 'ticketId ticketSubject ticketDescription resolution ticketStatus ticketPriority productPurchased customerSatisfactionRating';
+    return text === 'raw' ? `${fields} ticketDescriptionRaw resolutionRaw` : fields;
+  }
+
+  // Replace the normalised description and resolution with the source text when text is 'raw'
+  // Tickets imported before normalisation have no raw properties and keep their text
+  useTextVersion(tickets, text = 'normalized') {
+    if (text !== 'raw') {
+      return tickets;
+    }
+    return tickets.map(({ ticketDescriptionRaw, resolutionRaw, ...ticket }) => ({
+      ...ticket,
+      ticketDescription: ticketDescriptionRaw || ticket.ticketDescription,
+      resolution: resolutionRaw || ticket.resolution
+    }));
+  }
+
+  // Find the best tickets for a query: retrieve them, or over-fetch candidates and rerank them when
+  // rerank strategies are set (options.rerank overrides config.search.rerank.strategies, [] turns reranking off)
+  async searchTickets(query, tenant = null, limit = 5, options = {}) {
+    const { rerank } = this.resolveSearchOptions(options);
+    if (rerank.length === 0) {
+      return this.retrieveTickets(query, tenant, limit, options);
+    }
+
+    const candidates = await this.retrieveTickets(query, tenant, this.reranker.candidateLimit(limit, rerank), options);
+    return traceTimed('rerank', { strategies: rerank, candidates: candidates.length, limit },
+      () => this.reranker.rerank(query, candidates, limit, rerank, { signal: options.signal }),
+      tickets => ({ tickets: this.describeCandidates(tickets) }));
+  }
+
   // FR-3: Query Weaviate for relevant tickets based on ticketSubject, ticketDescription, and Tenant
-  async searchTickets(query, tenant = null, limit = 5) {
+  // options.mode: 'hybrid' (BM25 + vector) or 'vector' (nearText only); options.alpha: 0 = pure BM25, 1 = pure vector
+  // options.filters: structured filters from QueryFilterExtractor (status, priority, channel, type, dates, age)
+  // options.text: 'normalized' (default) or 'raw' ticket text in the results
+  async retrieveTickets(query, tenant = null, limit = 5, options = {}) {
+    const { mode, alpha, text } = this.resolveSearchOptions(options);
     try {
-      console.log(`🔍 RAG Agent searching for: "${query}"${tenant ? ` in tenant: ${tenant}` : ''}`);
+      logger.info('🔍 RAG Agent searching', { query, tenant, mode, alpha: mode === 'hybrid' ? alpha : null, limit });
 
-      let searchQuery;
-      
-      if (tenant) {
-        // Multi-tenant search with product filter
-        searchQuery = this.client.graphql
-          .get()
-          .withClassName(config.weaviate.className)
-          .withFields('ticketId ticketSubject ticketDescription resolution ticketStatus ticketPriority productPurchased')
-          .withNearText({ concepts: [query] })
-          .withWhere({
-            path: ['productPurchased'],
-            operator: 'Equal',
-            valueText: tenant
-          })
-          .withLimit(limit);
+      let searchQuery = this.client.graphql
+        .get()
+        .withClassName(config.weaviate.className)
+        .withLimit(limit);
+
+      if (mode === 'hybrid') {
+        // Hybrid search fuses BM25 keyword scores with vector similarity
+        searchQuery = searchQuery
+          .withFields(`${this.ticketFields(text)} _additional { id score explainScore }`)
+          .withHybrid({
+            query,
+            alpha,
+            properties: config.search.properties,
+            fusionType: config.search.fusionType
+          });
       } else {
-        // Global search across all tenants
-        searchQuery = this.client.graphql
-          .get()
-          .withClassName(config.weaviate.className)
-          .withFields('ticketId ticketSubject ticketDescription resolution ticketStatus ticketPriority productPurchased')
-          .withNearText({ concepts: [query] })
-          .withLimit(limit);
+        searchQuery = searchQuery
+          .withFields(`${this.ticketFields(text)} _additional { id distance }`)
+          .withNearText({ concepts: [query] });
+      }
+
+      // Multi-tenant product filter (filter mode) plus any structured filters from the query
+      const whereClause = this.queryFilters.compile(options.filters, this.tenants.filterTenant(tenant));
+      if (whereClause) {
+        searchQuery = searchQuery.withWhere(whereClause);
       }
 
-      const result = await searchQuery.do();
+      // Native tenancy searches the tenant's shard, or every active shard when no tenant is given
+      const scopes = await this.tenants.resolveScopes(tenant);
+      const result = await traceTimed('search', {
+        strategy: mode,
+        query,
+        ...(mode === 'hybrid' ? { alpha, properties: config.search.properties, fusionType: config.search.fusionType } : {}),
+        limit,
+        tenant,
+        scopes,
+        where: whereClause || null
+      }, () => this.tenants.getAcross(searchQuery, scopes, limit), result => (result.errors && result.errors.length > 0
+        ? { errors: result.errors.map(error => error.message) }
+        : { candidates: this.describeCandidates(result.data.Get[config.weaviate.className] || []) }));
       
       // Check for GraphQL errors (like transformer service unavailable)
       if (result.errors && result.errors.length > 0) {
         const errorMessage = result.errors[0].message;
-        console.error('GraphQL error detected:', errorMessage);
+        logger.error('GraphQL error detected', { error: errorMessage });
         
         // Check if it's a transformer service error
         const { isTransformerError } = this.detectErrorType({ message: errorMessage });
         if (isTransformerError) {
-          console.log('🚨 Transformer embedding service unavailable - falling back to GraphQL search');
-          return this.fallbackSearch(query, tenant, limit);
+          logger.warn('🚨 Transformer embedding service unavailable - falling back to GraphQL search');
+          metrics.recordFallback('transformer_error');
+          traceStep('fallback', { fallback: 'transformer_error', error: errorMessage });
+          return this.fallbackSearch(query, tenant, limit, options.filters, text);
         }
         
         // For other GraphQL errors, throw to trigger catch block
@@ -121,147 +197,207 @@ class RAGAgent {
       
       const tickets = result.data.Get[config.weaviate.className] || [];
 
-      console.log(`📊 Found ${tickets.length} relevant tickets`);
-      return tickets;
+      logger.info('📊 Found relevant tickets', { count: tickets.length });
+      return this.useTextVersion(tickets, text);
 
     } catch (error) {
-      console.error('RAG Agent search error:', error);
+      logger.error('RAG Agent search error', { error });
 
       const { isConnectionError, isTransformerError } = this.detectErrorType(error);
 
       if (isConnectionError) {
-        console.log('🚨 Weaviate connection failed - returning empty result');
+        logger.error('🚨 Weaviate connection failed - returning empty result');
         return [];
       }
 
       if (isTransformerError) {
-        console.log('🚨 Transformer embedding service unavailable - falling back to GraphQL search');
-        return this.fallbackSearch(query, tenant, limit);
+        logger.warn('🚨 Transformer embedding service unavailable - falling back to GraphQL search');
+        metrics.recordFallback('transformer_error');
+        traceStep('fallback', { fallback: 'transformer_error', error: error.message });
+        return this.fallbackSearch(query, tenant, limit, options.filters, text);
       }
 
       // FR-5: Fallback to fetchObjects API for other errors
-      console.log('🔄 Falling back to fetchObjects API...');
-      return this.fallbackSearch(query, tenant, limit);
+      logger.warn('🔄 Falling back to keyword search and the fetchObjects API');
+      return this.fallbackSearch(query, tenant, limit, options.filters, text);
+    }
+  }
+
+  // Helper to split Weaviate's hybrid explainScore into keyword and vector contributions
+  // e.g. "(Result Set keyword,bm25) Document ...: original score 2.1, normalized score: 0.6 - (Result Set vector,hybridVector) ..."
+  parseExplainScore(explainScore) {
+    const breakdown = {};
+    if (!explainScore) return breakdown;
+
+    const pattern = /Result Set (keyword|vector)[^)]*\)[^:]*:\s*original score ([\d.eE+-]+),\s*normalized score:?\s*([\d.eE+-]+)/g;
+    let match;
+    while ((match = pattern.exec(explainScore)) !== null) {
+      breakdown[`${match[1]}Score`] = {
+        original: parseFloat(match[2]),
+        normalized: parseFloat(match[3])
+      };
     }
+
+    return breakdown;
+  }
+
+  // Describe how the returned tickets were found and how each one scored
+  // rerank lists the strategies that reordered the tickets (null without reranking); each score then carries
+  // the ticket's rerank breakdown
+  describeSearchResults(tickets, options = {}) {
+    const { mode, alpha } = this.resolveSearchOptions(options);
+    const first = tickets[0] && tickets[0]._additional;
+    const reranked = first && first.rerank;
+
+    // Fallback searches return tickets without scores
+    let strategy = 'keyword-fallback';
+    if (first && first.score !== undefined) {
+      strategy = 'hybrid';
+    } else if (first && first.distance !== undefined) {
+      strategy = 'vector';
+    } else if (tickets.length === 0) {
+      strategy = mode;
+    }
+
+    return {
+      mode: strategy,
+      alpha: strategy === 'hybrid' ? alpha : null,
+      rerank: reranked ? { strategies: RERANK_STRATEGIES.filter(name => reranked[name] !== null) } : null,
+      scores: tickets.map(ticket => {
+        const additional = ticket._additional || {};
+        return {
+          ticketId: ticket.ticketId,
+          score: additional.score !== undefined ? parseFloat(additional.score) : null,
+          distance: additional.distance !== undefined ? additional.distance : null,
+          ...this.parseExplainScore(additional.explainScore),
+          ...(additional.rerank ? { rerank: additional.rerank } : {})
+        };
+      })
+    };
+  }
+
+  // Candidate tickets as shown in the debug trace: ID, subject and how each one scored
+  describeCandidates(tickets) {
+    const { scores } = this.describeSearchResults(tickets);
+    return scores.map((score, index) => ({ ...score, ticketSubject: tickets[index].ticketSubject }));
   }
 
   // FR-5: Fallback method using fetchObjects API when GraphQL fails
-  async fallbackSearch(query, tenant = null, limit = 5) {
+  async fallbackSearch(query, tenant = null, limit = 5, filters = null, text = 'normalized') {
     try {
-      console.log('🔄 Attempting GraphQL fallback search...');
-      console.log(`🔍 Fallback search params: query="${query}", tenant="${tenant}", limit=${limit}`);
-      
+      logger.warn('🔄 Attempting GraphQL fallback search');
+      metrics.recordFallback('graphql_fallback');
+      traceStep('fallback', { fallback: 'graphql_fallback' });
       // Extract keywords from the query for better matching
       const keywords = this.extractKeywords(query);
-      console.log(`🔍 Extracted keywords: ${keywords.join(', ')}`);
+      logger.debug('🔍 Fallback search params', { query, tenant, limit, keywords });
       
       // Create search conditions for each keyword
       const keywordConditions = this.createKeywordConditions(keywords);
       
-      const whereClause = tenant ? {
-        operator: 'And',
-        operands: [
-          {
-            path: ['productPurchased'],
-            operator: 'Equal',
-            valueText: tenant
-          },
-          {
-            operator: 'Or',
-            operands: keywordConditions
-          }
-        ]
-      } : {
+      const whereClause = this.queryFilters.compile(filters, this.tenants.filterTenant(tenant), [{
         operator: 'Or',
         operands: keywordConditions
-      };
+      }]);
 
-      console.log('🔍 GraphQL where clause:', JSON.stringify(whereClause, null, 2));
+      logger.debug('🔍 GraphQL where clause', { where: whereClause });
 
-      const result = await this.client.graphql
+      const keywordQuery = this.client.graphql
         .get()
         .withClassName(config.weaviate.className)
-        .withFields('ticketId ticketSubject ticketDescription resolution ticketStatus ticketPriority productPurchased')
+        .withFields(this.ticketFields(text))
         .withWhere(whereClause)
-        .withLimit(limit)
-        .do();
-
-      console.log('🔍 GraphQL fallback result:', JSON.stringify(result, null, 2));
+        .withLimit(limit);
+      const scopes = await this.tenants.resolveScopes(tenant);
+      const result = await traceTimed('search', { strategy: 'keyword-fallback', query, keywords, limit, tenant, scopes, where: whereClause },
+        () => this.tenants.getAcross(keywordQuery, scopes, limit),
+        result => ({ candidates: this.describeCandidates(result.data.Get[config.weaviate.className] || []) }));
 
       const tickets = result.data.Get[config.weaviate.className] || [];
-      console.log(`📊 GraphQL fallback search found ${tickets.length} tickets`);
+      logger.info('📊 GraphQL fallback search found tickets', { count: tickets.length, ticketIds: tickets.map(ticket => ticket.ticketId) });
       
       if (tickets.length === 0) {
-        console.log('🚨 No tickets found in GraphQL fallback, trying fetchObjects API...');
-        return this.fetchObjectsFallback(query, tenant, limit);
+        logger.warn('🚨 No tickets found in GraphQL fallback, trying fetchObjects API');
+        return this.fetchObjectsFallback(query, tenant, limit, filters, text);
       }
       
-      return tickets;
+      return this.useTextVersion(tickets, text);
 
     } catch (error) {
-      console.error('GraphQL fallback search error:', error);
+      logger.error('GraphQL fallback search error', { error });
       
       const { isConnectionError } = this.detectErrorType(error);
 
       if (isConnectionError) {
-        console.log('🚨 Weaviate connection failed in fallback - returning empty result');
+        logger.error('🚨 Weaviate connection failed in fallback - returning empty result');
         return [];
       }
       
-      console.log('🔄 Attempting fetchObjects API as final fallback...');
+      logger.warn('🔄 Attempting fetchObjects API as final fallback');
       
       // Final fallback: Use fetchObjects API directly
-      return this.fetchObjectsFallback(query, tenant, limit);
+      return this.fetchObjectsFallback(query, tenant, limit, filters, text);
     }
   }
 
   // Ultimate fallback: Use fetchObjects API when all GraphQL methods fail
-  async fetchObjectsFallback(query, tenant = null, limit = 5) {
+  // The objects API cannot filter, so objects are paged through and the keyword, tenant and structured
+  // filters are applied locally until limit tickets match
+  async fetchObjectsFallback(query, tenant = null, limit = 5, filters = null, text = 'normalized') {
     try {
-      console.log('🛡️ Using fetchObjects API as ultimate fallback...');
-      console.log(`🔍 fetchObjects params: query="${query}", tenant="${tenant}", limit=${limit}`);
-      
+      logger.warn('🛡️ Using fetchObjects API as ultimate fallback');
+      metrics.recordFallback('fetch_objects');
+      traceStep('fallback', { fallback: 'fetch_objects' });
       // Extract keywords and create conditions (same logic as fallbackSearch)
       const keywords = this.extractKeywords(query);
+      logger.debug('🔍 fetchObjects params', { query, tenant, limit, keywords });
       const keywordConditions = this.createKeywordConditions(keywords);
       
-      const whereFilter = tenant ? {
-        operator: 'And',
-        operands: [
-          {
-            path: ['productPurchased'],
-            operator: 'Equal',
-            valueText: tenant
-          },
-          {
-            operator: 'Or',
-            operands: keywordConditions
-          }
-        ]
-      } : {
+      const whereFilter = this.queryFilters.compile(filters, this.tenants.filterTenant(tenant), [{
         operator: 'Or',
         operands: keywordConditions
-      };
+      }]);
+
+      logger.debug('🔍 fetchObjects where filter', { where: whereFilter });
+
+      // Use the data.getter API which uses fetchObjects under the hood (one shard at most in native mode)
+      const [scope] = await this.tenants.resolveScopes(tenant);
+      const fields = this.ticketFields(text).split(' ');
+      const tickets = [];
+      let after = null;
+      let pages = 0;
+
+      await traceTimed('search', { strategy: 'fetch-objects', query, keywords, limit, tenant, scopes: [scope], where: whereFilter }, async () => {
+        while (tickets.length < limit) {
+          let getter = this.client.data
+            .getter()
+            .withClassName(config.weaviate.className)
+            .withLimit(config.charts.pageSize);
+          if (after) {
+            getter = getter.withAfter(after);
+          }
 
-      console.log('🔍 fetchObjects where filter:', JSON.stringify(whereFilter, null, 2));
+          const result = await this.tenants.scoped(getter, scope).do();
+          const objects = (result && result.objects) || [];
+          pages++;
 
-      // Use the data.getter API which uses fetchObjects under the hood
-      const result = await this.client.data
-        .getter()
-        .withClassName(config.weaviate.className)
-        .withWhere(whereFilter)
-        .withLimit(limit)
-        .do();
+          // Objects come back as { id, properties }; matches keep the ticket fields a search would return
+          for (const object of objects) {
+            if (tickets.length < limit && this.queryFilters.matchesWhere(object.properties || {}, whereFilter)) {
+              tickets.push(Object.fromEntries(fields.map(field => [field, object.properties[field] ?? null])));
+            }
+          }
 
-      console.log('🔍 fetchObjects result:', JSON.stringify(result, null, 2));
+          if (objects.length < config.charts.pageSize) break;
+          after = objects[objects.length - 1].id;
+        }
+      }, () => ({ pages, candidates: this.describeCandidates(tickets) }));
 
-      const tickets = result || [];
-      console.log(`📊 fetchObjects API found ${tickets.length} tickets`);
-      return tickets;
+      logger.info('📊 fetchObjects API found tickets', { count: tickets.length, ticketIds: tickets.map(ticket => ticket.ticketId) });
+      return this.useTextVersion(tickets, text);
 
     } catch (error) {
-      console.error('fetchObjects API error:', error);
-      console.log('🚨 All Weaviate APIs failed - returning empty result');
+      logger.error('🚨 All Weaviate APIs failed - returning empty result', { error });
       
       // Return empty result when all Weaviate APIs fail
       return [];
@@ -270,7 +406,9 @@ class RAGAgent {
 
 
   // FR-4: Generate response with ticket information and references (used by legacy method)
-  async generateResponse(userQuery, tickets) {
+  // references.ticketIds lists the retrieved tickets the answer cites; references.citations maps each cited
+  // sentence to its tickets and a supporting snippet (see CitationVerifier)
+  async generateResponse(userQuery, tickets, conversation = null, options = {}) {
     if (!tickets || tickets.length === 0) {
       return {
         answer: "I couldn't find any relevant support tickets for your query. Please try rephrasing your question or check if the product name is correct.",
@@ -278,8 +416,11 @@ class RAGAgent {
       };
     }
 
+    // Customer PII never leaves for the LLM provider unless config.pii.redactPrompts is off
+    const redact = value => (config.pii.redactPrompts ? this.piiRedactor.redactValue(value) : value);
+
     // Prepare context from tickets for direct LLM call
-    const context = tickets.map(ticket => `
+    const context = redact(tickets).map(ticket => `
 Ticket ID: ${ticket.ticketId}
 Subject: ${ticket.ticketSubject}
 Description: ${ticket.ticketDescription}
@@ -289,8 +430,14 @@ Priority: ${ticket.ticketPriority}
 Product: ${ticket.productPurchased}
 `).join('\n---\n');
 
-    const prompt = `You are a helpful customer support assistant. Based on the following support tickets, provide a comprehensive answer to the user's query.
+    // Earlier turns let the LLM resolve follow-ups like "what about the high priority ones?"
+    const conversationContext = conversation && conversation.history ? `
+Conversation so far:
+${redact(conversation.history)}
+${conversation.previousTicketIds && conversation.previousTicketIds.length > 0 ? `Ticket IDs already discussed: ${conversation.previousTicketIds.join(', ')}\n` : ''}` : '';
 
+    const prompt = `You are a helpful customer support assistant. Based on the following support tickets, provide a comprehensive answer to the user's query.
+${conversationContext}
 User Query: "${userQuery}"
 
 Relevant Support Tickets:
@@ -299,26 +446,39 @@ ${context}
 Instructions:
 1. Provide a clear, helpful answer based on the ticket information
 2. If multiple tickets are relevant, synthesize the information
-3. Mention specific ticket IDs when referencing solutions
-4. If no direct solution exists, suggest next steps
-5. Keep the response concise but informative
+3. End every sentence that uses ticket information with the IDs of the tickets supporting it in square brackets, e.g. [#1234] or [#1234, #5678]
+4. Only cite ticket IDs listed above
+5. If no direct solution exists, suggest next steps
+6. Keep the response concise but informative
 
 Answer:`;
 
     try {
-      const response = await this.llm.invoke(prompt);
+      const content = options.onToken ?
+        await this.llm.streamResponse(prompt, options) :
+        await this.llm.generateResponse(prompt, { signal: options.signal });
+
+      // Check every citation against the retrieved tickets
+      const checked = this.citations.verify(content.trim(), tickets);
+      if (checked.unverifiedTicketIds.length > 0) {
+        logger.warn('⚠️ Answer cited tickets that were not retrieved', { ticketIds: checked.unverifiedTicketIds });
+      }
+      traceStep('citations', { citedTicketIds: checked.citedTicketIds, unverifiedTicketIds: checked.unverifiedTicketIds });
 
       return {
-        answer: response.content.trim(),
+        answer: checked.answer,
         references: {
-          ticketIds: tickets.map(ticket => ticket.ticketId)
+          ticketIds: checked.citedTicketIds,
+          retrievedTicketIds: tickets.map(ticket => ticket.ticketId),
+          citations: checked.citations,
+          unverifiedTicketIds: checked.unverifiedTicketIds
         }
       };
     } catch (error) {
-      console.error('Error generating RAG response:', error);
-      
       // Enhanced fallback when LLM fails (Google API quota, network issues, etc.)
-      console.log('🔄 Using template-based response fallback...');
+      logger.error('🔄 Error generating RAG response, using template-based response fallback', { error });
+      metrics.recordFallback('template_answer');
+      traceStep('fallback', { fallback: 'template_answer', error: error.message });
       return this.generateFallbackResponse(userQuery, tickets, error);
     }
   }
@@ -378,6 +538,7 @@ Answer:`;
       answer: answer.trim(),
       references: {
         ticketIds: tickets.map(ticket => ticket.ticketId),
+        retrievedTicketIds: tickets.map(ticket => ticket.ticketId),
         fallbackUsed: true,
         fallbackReason: error.message || 'LLM service unavailable'
       }
@@ -386,26 +547,73 @@ Answer:`;
 
 
   // Main method to handle RAG queries
-  async handleQuery(userQuery, tenant = null, limit = 10) {
+  // options.search overrides the retrieval mode/alpha/rerank strategies for this request; options.filters narrows the search
+  // options.onEvent(type, data) receives 'references' and 'token' events when streaming
+  // The response's cache field says whether the search and answer layers were served from the cache
+  // options.requestId tags every log line of the query
+  async handleQuery(userQuery, tenant = null, limit = 10, conversation = null, options = {}) {
+    if (options.requestId && options.requestId !== logger.requestId()) {
+      return logger.runWithContext({ requestId: options.requestId }, () => this.handleQuery(userQuery, tenant, limit, conversation, options));
+    }
+    const emit = options.onEvent || (() => {});
+    let streamedText = '';
+    const onToken = options.onEvent ? (token) => {
+      streamedText += token;
+      emit('token', { text: token });
+    } : null;
+
+    let response;
+    const cache = { search: false, answer: false };
     try {
-      console.log(`🎯 RAG Agent handling query: "${userQuery}"`);
+      logger.info('🎯 RAG Agent handling query', { query: userQuery, tenant });
+      const cacheKey = { query: userQuery, tenant, filters: options.filters || null, search: this.resolveSearchOptions(options.search), limit };
       
-      // Search for relevant tickets
-      const tickets = await this.searchTickets(userQuery, tenant, limit);
+      // Search for relevant tickets (empty results may be a Weaviate outage, so they are not cached)
+      const search = await metrics.timeStage('search', () => this.cache.wrap('search', cacheKey,
+        () => this.searchTickets(userQuery, tenant, limit, { ...options.search, filters: options.filters, signal: options.signal }),
+        { cacheIf: tickets => tickets.length > 0 }));
+      const tickets = search.value;
+      cache.search = search.hit;
+      emit('references', {
+        tickets: tickets.map(ticket => ({
+          ticketId: ticket.ticketId,
+          ticketSubject: ticket.ticketSubject,
+          productPurchased: ticket.productPurchased,
+          ticketStatus: ticket.ticketStatus,
+          ticketPriority: ticket.ticketPriority
+        })),
+        search: this.describeSearchResults(tickets, options.search)
+      });
       
-      // Generate response
-      const response = await this.generateResponse(userQuery, tickets);
+      // Generate response; answers also depend on the tickets found and the conversation so far
+      const generated = await metrics.timeStage('generation', () => this.cache.wrap('answer', {
+        ...cacheKey,
+        ticketIds: tickets.map(ticket => ticket.ticketId),
+        conversation: conversation ? { history: conversation.history || '', previousTicketIds: conversation.previousTicketIds || [] } : null
+      }, () => this.generateResponse(userQuery, tickets, conversation, { onToken, signal: options.signal }),
+      { cacheIf: generated => !generated.references.fallbackUsed }));
+      response = generated.value;
+      cache.answer = generated.hit;
+      response.references.search = this.describeSearchResults(tickets, options.search);
       
-      console.log(`✅ RAG Agent completed successfully`);
-      return response;
+      logger.info('✅ RAG Agent completed successfully', { ticketIds: response.references.ticketIds });
       
     } catch (error) {
-      console.error('RAG Agent error:', error);
-      return {
+      logger.error('RAG Agent error', { error });
+      response = {
         answer: "I encountered an error while searching for support tickets. Please try again.",
         references: { ticketIds: [] }
       };
     }
+
+    // Answers that did not come from the LLM stream (fallbacks, empty results) are sent in one piece;
+    // if a stream broke off part-way, the client is told to replace what it has shown so far
+    if (options.onEvent && streamedText.trim() !== response.answer) {
+      emit('token', { text: response.answer, replace: streamedText.length > 0 });
+    }
+
+    response.cache = cache;
+    return response;
   }
 }
 
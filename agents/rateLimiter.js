@@ -0,0 +1,142 @@
+// Rate limiter: token buckets for requests per minute and LLM tokens per day, per API key and per tenant
+import config from '../config.js';
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+class RateLimiter {
+  // options override config.rateLimits (enabled, key, tenant, tenants, maxBuckets)
+  constructor(options = {}) {
+    this.settings = { ...config.rateLimits, ...options };
+    this.buckets = new Map(); // Least recently used first
+  }
+
+  // Who a request is charged to: its API key (or client address without one) and its tenant
+  // Pass only tenants known to exist; requests without one are charged to the key alone
+  subjectsFor({ keyId, keyLimits = null, tenant = null }) {
+    const subjects = [{ scope: 'key', id: keyId, limits: { ...this.settings.key, ...(keyLimits || {}) } }];
+    if (tenant) {
+      subjects.push({ scope: 'tenant', id: tenant, limits: { ...this.settings.tenant, ...(this.settings.tenants[tenant] || {}) } });
+    }
+    return subjects;
+  }
+
+  // A bucket starts full and refills continuously to capacity over windowMs
+  getBucket(name, capacity, windowMs, now = Date.now()) {
+    let bucket = this.buckets.get(name);
+    this.buckets.delete(name);
+    if (!bucket || bucket.capacity !== capacity) {
+      bucket = { capacity, windowMs, level: capacity, updatedAt: now };
+    }
+    if (this.buckets.size >= this.settings.maxBuckets) {
+      this.evict(now);
+    }
+    this.buckets.set(name, bucket);
+
+    bucket.level = this.levelAt(bucket, now);
+    bucket.updatedAt = now;
+    return bucket;
+  }
+
+  // Level of a bucket after refilling since it was last used
+  levelAt(bucket, now) {
+    return Math.min(bucket.capacity, bucket.level + ((now - bucket.updatedAt) / bucket.windowMs) * bucket.capacity);
+  }
+
+  // Make room for one more bucket: drop the buckets that have refilled (a new one would start the same), then the
+  // least recently used ones
+  evict(now) {
+    for (const [name, bucket] of this.buckets) {
+      if (this.levelAt(bucket, now) >= bucket.capacity) {
+        this.buckets.delete(name);
+      }
+    }
+    for (const name of this.buckets.keys()) {
+      if (this.buckets.size < this.settings.maxBuckets) break;
+      this.buckets.delete(name);
+    }
+  }
+
+  // Buckets of one subject; a limit of 0 has no bucket
+  subjectBuckets(subject, now) {
+    const { requestsPerMinute, tokensPerDay } = subject.limits;
+    const name = `${subject.scope}:${subject.id}`;
+    return {
+      requests: requestsPerMinute > 0 ? this.getBucket(`${name}:requests`, requestsPerMinute, MINUTE_MS, now) : null,
+      tokens: tokensPerDay > 0 ? this.getBucket(`${name}:tokens`, tokensPerDay, DAY_MS, now) : null
+    };
+  }
+
+  // Seconds until a bucket holds `amount` again
+  secondsUntil(bucket, amount) {
+    return bucket.level >= amount ? 0 : Math.ceil(((amount - bucket.level) / bucket.capacity) * bucket.windowMs / 1000);
+  }
+
+  // Take one request from every subject, unless one of them is out of requests or LLM tokens
+  // Returns { allowed, blocked: { scope, id, type } | null, retryAfter, requests, tokens } where requests/tokens
+  // describe the tightest bucket ({ limit, remaining, reset } in seconds) for response headers
+  admit(subjects, now = Date.now()) {
+    if (!this.settings.enabled) {
+      return { allowed: true, blocked: null, retryAfter: 0, requests: null, tokens: null };
+    }
+
+    const checks = subjects.map(subject => ({ subject, ...this.subjectBuckets(subject, now) }));
+    let blocked = null;
+    let retryAfter = 0;
+
+    for (const { subject, requests, tokens } of checks) {
+      if (requests && requests.level < 1) {
+        blocked = { scope: subject.scope, id: subject.id, type: 'requests' };
+        retryAfter = this.secondsUntil(requests, 1);
+        break;
+      }
+      // Token budgets are charged after the call, so a budget is spent once it reaches zero
+      if (tokens && tokens.level <= 0) {
+        blocked = { scope: subject.scope, id: subject.id, type: 'tokens' };
+        retryAfter = this.secondsUntil(tokens, 1);
+        break;
+      }
+    }
+
+    if (!blocked) {
+      checks.forEach(({ requests }) => {
+        if (requests) requests.level -= 1;
+      });
+    }
+
+    return {
+      allowed: !blocked,
+      blocked,
+      retryAfter,
+      requests: this.tightest(checks.map(check => check.requests)),
+      tokens: this.tightest(checks.map(check => check.tokens))
+    };
+  }
+
+  // Charge the LLM tokens a request used to every subject (budgets may go below zero)
+  consumeTokens(subjects, amount, now = Date.now()) {
+    if (!this.settings.enabled || !amount) return;
+
+    for (const subject of subjects) {
+      const { tokens } = this.subjectBuckets(subject, now);
+      if (tokens) {
+        tokens.level -= amount;
+      }
+    }
+  }
+
+  // Header values for the bucket with the least remaining, or null when nothing is limited
+  tightest(buckets) {
+    const limited = buckets.filter(Boolean);
+    if (limited.length === 0) return null;
+
+    const bucket = limited.reduce((lowest, candidate) => (candidate.level < lowest.level ? candidate : lowest));
+    return {
+      limit: bucket.capacity,
+      remaining: Math.max(0, Math.floor(bucket.level)),
+      reset: this.secondsUntil(bucket, bucket.capacity)
+    };
+  }
+}
+
+export default RateLimiter;
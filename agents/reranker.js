@@ -0,0 +1,196 @@
+// Reranker: second-stage scoring of retrieved tickets (LLM relevance judge, lexical overlap, ticket quality prior)
+import LLMClient from './llmClient.js';
+import PIIRedactor from './piiRedactor.js';
+import { logger } from './logger.js';
+import config from '../config.js';
+
+const RERANK_STRATEGIES = ['llm', 'lexical', 'quality'];
+
+// Words that say nothing about which ticket answers a question
+const STOPWORDS = new Set(['the', 'and', 'for', 'with', 'that', 'this', 'from', 'your', 'have', 'what', 'how', 'why', 'does', 'are', 'can', 'when', 'which', 'about', 'any', 'there', 'ticket', 'tickets', 'issue', 'issues', 'problem', 'problems']);
+
+class Reranker {
+  // options.llm: LLMClient to use instead of the configured 'reranking' role
+  // other options override config.search.rerank (strategies, candidates, weights)
+  constructor(options = {}) {
+    const { llm = null, ...settings } = options;
+    this.settings = { ...config.search.rerank, ...settings, weights: { ...config.search.rerank.weights, ...(settings.weights || {}) } };
+    this.validateStrategies(this.settings.strategies);
+    this.piiRedactor = new PIIRedactor();
+    this.llm = llm; // Created on first use, so deployments without the llm strategy need no reranking model
+  }
+
+  validateStrategies(strategies) {
+    const unknown = strategies.filter(strategy => !RERANK_STRATEGIES.includes(strategy));
+    if (unknown.length > 0) {
+      throw new Error(`Unsupported rerank strategy: ${unknown.join(', ')}. Supported strategies: ${RERANK_STRATEGIES.join(', ')}`);
+    }
+  }
+
+  // Tickets to fetch from Weaviate for a final limit
+  candidateLimit(limit, strategies = this.settings.strategies) {
+    return strategies.length > 0 ? Math.max(limit, this.settings.candidates) : limit;
+  }
+
+  // Significant lowercase words of a text
+  terms(text) {
+    return new Set((String(text || '').toLowerCase().match(/[a-z0-9]+/g) || [])
+      .filter(word => word.length > 2 && !STOPWORDS.has(word)));
+  }
+
+  // Retrieval scores scaled to 0-1 across the candidates: hybrid score (higher is better) or vector distance
+  // (lower is better); keyword fallbacks have neither and are scored by their position
+  retrievalScores(tickets) {
+    const additional = tickets.map(ticket => ticket._additional || {});
+    let raw;
+    if (additional.some(entry => entry.score !== undefined && entry.score !== null)) {
+      raw = additional.map(entry => parseFloat(entry.score || 0));
+    } else if (additional.some(entry => entry.distance !== undefined && entry.distance !== null)) {
+      raw = additional.map(entry => -(entry.distance ?? Infinity));
+    } else {
+      return tickets.map((ticket, index) => 1 - index / tickets.length);
+    }
+
+    const finite = raw.filter(Number.isFinite);
+    const min = Math.min(...finite);
+    const max = Math.max(...finite);
+    return raw.map(value => {
+      if (!Number.isFinite(value)) return 0;
+      return max === min ? 1 : (value - min) / (max - min);
+    });
+  }
+
+  // Share of the query's significant words found in the ticket's subject, description or resolution
+  lexicalScore(query, ticket) {
+    const queryTerms = this.terms(query);
+    if (queryTerms.size === 0) {
+      return 0;
+    }
+    const ticketTerms = this.terms(`${ticket.ticketSubject || ''} ${ticket.ticketDescription || ''} ${ticket.resolution || ''}`);
+    return [...queryTerms].filter(term => ticketTerms.has(term)).length / queryTerms.size;
+  }
+
+  // Prior for tickets likely to hold a working answer: Closed (0.4), with a resolution (0.3) and a high
+  // customer satisfaction rating (up to 0.3 for 5 of 5)
+  qualityScore(ticket) {
+    let score = 0;
+    if (String(ticket.ticketStatus || '').toLowerCase() === 'closed') {
+      score += 0.4;
+    }
+    if (String(ticket.resolution || '').trim()) {
+      score += 0.3;
+    }
+    const rating = parseFloat(ticket.customerSatisfactionRating);
+    if (Number.isFinite(rating)) {
+      score += 0.3 * Math.min(Math.max((rating - 1) / 4, 0), 1);
+    }
+    return score;
+  }
+
+  // Ask the 'reranking' LLM to grade every candidate 0-10 in one call; resolves to 0-1 scores by ticket ID
+  async llmScores(query, tickets, { signal } = {}) {
+    if (!this.llm) {
+      this.llm = new LLMClient('reranking');
+    }
+
+    // Customer PII never leaves for the LLM provider unless config.pii.redactPrompts is off
+    const candidates = config.pii.redactPrompts ? this.piiRedactor.redactValue(tickets) : tickets;
+    const clip = text => (text && text.length > 300 ? `${text.substring(0, 300)}...` : text || 'None');
+    const list = candidates.map(ticket => `
+Ticket ID: ${ticket.ticketId}
+Subject: ${ticket.ticketSubject}
+Description: ${clip(ticket.ticketDescription)}
+Resolution: ${clip(ticket.resolution)}
+`).join('\n---\n');
+
+    const prompt = `Rate how useful each support ticket is for answering the customer support query.
+
+Query: "${query}"
+
+Tickets:
+${list}
+
+Score every ticket from 0 (unrelated) to 10 (directly answers the query). Respond with JSON only, e.g.
+{"scores": {"1234": 8, "5678": 2}}`;
+
+    const response = await this.llm.generateResponse(prompt, { signal });
+    const jsonMatch = response.match(/\{[\s\S]*\}/);
+    if (!jsonMatch) {
+      throw new Error('No JSON found in rerank response');
+    }
+    const parsed = JSON.parse(jsonMatch[0]);
+    const grades = parsed.scores || parsed;
+
+    const scores = new Map();
+    for (const ticket of tickets) {
+      const grade = parseFloat(grades[ticket.ticketId]);
+      scores.set(String(ticket.ticketId), Number.isFinite(grade) ? Math.min(Math.max(grade / 10, 0), 1) : 0);
+    }
+    return scores;
+  }
+
+  // Reorder candidates by a weighted blend of their retrieval score and the given strategies, keeping the top limit
+  // Each ticket gets _additional.rerank = { score, retrievalRank, retrieval, llm, lexical, quality }; strategies
+  // that were not used (or failed, like an unavailable LLM) are null and left out of the blend
+  async rerank(query, tickets, limit, strategies = this.settings.strategies, { signal } = {}) {
+    if (strategies.length === 0 || tickets.length === 0) {
+      return tickets.slice(0, limit);
+    }
+    this.validateStrategies(strategies);
+
+    let llm = null;
+    if (strategies.includes('llm')) {
+      try {
+        llm = await this.llmScores(query, tickets, { signal });
+      } catch (error) {
+        if (error.name === 'AbortError') {
+          throw error;
+        }
+        logger.warn('⚠️ LLM reranking failed, ranking without it', { error });
+      }
+    }
+
+    const { weights } = this.settings;
+    const retrieval = this.retrievalScores(tickets);
+    const ranked = tickets.map((ticket, index) => {
+      const components = {
+        retrieval: retrieval[index],
+        llm: llm ? llm.get(String(ticket.ticketId)) : null,
+        lexical: strategies.includes('lexical') ? this.lexicalScore(query, ticket) : null,
+        quality: strategies.includes('quality') ? this.qualityScore(ticket) : null
+      };
+
+      let total = 0;
+      let weight = 0;
+      for (const [name, value] of Object.entries(components)) {
+        if (value !== null && weights[name] > 0) {
+          total += weights[name] * value;
+          weight += weights[name];
+        }
+      }
+
+      const round = value => (value === null ? null : Math.round(value * 10000) / 10000);
+      return {
+        ...ticket,
+        _additional: {
+          ...(ticket._additional || {}),
+          rerank: {
+            score: round(weight > 0 ? total / weight : 0),
+            retrievalRank: index + 1,
+            ...Object.fromEntries(Object.entries(components).map(([name, value]) => [name, round(value)]))
+          }
+        }
+      };
+    });
+
+    // Ties keep their retrieval order
+    ranked.sort((a, b) => (b._additional.rerank.score - a._additional.rerank.score) ||
+      (a._additional.rerank.retrievalRank - b._additional.rerank.retrievalRank));
+
+    logger.info('🔀 Reranked candidates', { candidates: tickets.length, strategies, kept: Math.min(limit, ranked.length) });
+    return ranked.slice(0, limit);
+  }
+}
+
+export { RERANK_STRATEGIES };
+export default Reranker;
@@ -0,0 +1,207 @@
+// Response caches for the query pipeline: routing decisions, search results, answers and analytics (in-memory LRU and file-backed)
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { logger } from './logger.js';
+import { traceStep } from './debugTrace.js';
+import config from '../config.js';
+
+const CACHE_LAYERS = ['routing', 'search', 'answer', 'analytics'];
+
+// JSON with object keys sorted, so equal filters always produce the same cache key
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => stableStringify(item === undefined ? null : item)).join(',')}]`;
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    const fields = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${fields.join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+// Shared key building, TTLs and import invalidation; subclasses only decide where entries are kept
+// (readEntry / writeEntry / deleteEntry / clearEntries)
+// Every entry records the data generation it was computed from; the importer bumps the generation so
+// all stores, in every process, stop serving results from before the import
+class ResponseCache {
+  constructor(options = {}) {
+    this.enabled = options.enabled ?? config.cache.enabled;
+    this.ttlSeconds = { ...config.cache.ttlSeconds, ...(options.ttlSeconds || {}) };
+    this.directory = path.resolve(options.directory || config.cache.directory);
+    this.generationFile = path.join(this.directory, 'generation');
+  }
+
+  // Questions differing only in case, spacing or trailing punctuation share entries
+  normalizeQuery(query) {
+    return String(query || '').toLowerCase().replace(/\s+/g, ' ').trim().replace(/[\s?!.]+$/, '');
+  }
+
+  // Tenant scope as a stable value: null, one product name, or a sorted list of names
+  normalizeTenant(tenant) {
+    if (!tenant || (Array.isArray(tenant) && tenant.length === 0)) return null;
+    const names = [...new Set([].concat(tenant).map(name => String(name).trim()))].sort();
+    return names.length === 1 ? names[0] : names;
+  }
+
+  // Key for a layer entry; parts holds the query, tenant, filters and anything else the result depends on
+  buildKey(layer, { query, tenant, ...parts } = {}) {
+    const material = stableStringify({ layer, query: this.normalizeQuery(query), tenant: this.normalizeTenant(tenant), ...parts });
+    return `${layer}-${crypto.createHash('sha256').update(material).digest('hex')}`;
+  }
+
+  isEnabled(layer) {
+    return this.enabled && this.ttlSeconds[layer] > 0;
+  }
+
+  // Generation of the ticket data; 'initial' until the first import after the cache was set up
+  async currentGeneration() {
+    try {
+      return (await fs.readFile(this.generationFile, 'utf8')).trim();
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return 'initial';
+      }
+      throw error;
+    }
+  }
+
+  // Serve a layer from the cache or compute it: resolves to { value, hit }
+  // cacheIf(value) keeps fallbacks and error results out of the cache; cache failures never fail the query
+  async wrap(layer, parts, compute, { cacheIf = () => true } = {}) {
+    if (!CACHE_LAYERS.includes(layer)) {
+      throw new Error(`Unknown cache layer: ${layer}. Supported layers: ${CACHE_LAYERS.join(', ')}`);
+    }
+    if (!this.isEnabled(layer)) {
+      return { value: await compute(), hit: false };
+    }
+
+    const key = this.buildKey(layer, parts);
+    let generation = null;
+    try {
+      generation = await this.currentGeneration();
+      const entry = await this.readEntry(key);
+      if (entry && entry.generation === generation && entry.expiresAt > Date.now()) {
+        // The steps that produced a cached value are not repeated, so the debug trace shows the hit instead
+        traceStep('cache', { layer, hit: true });
+        return { value: entry.value, hit: true };
+      }
+      if (entry) {
+        await this.deleteEntry(key);
+      }
+    } catch (error) {
+      logger.warn('⚠️ Response cache read failed', { layer, error });
+    }
+
+    const value = await compute();
+    // The generation read before computing: a result that overlapped an import is never stored as current
+    if (generation && cacheIf(value)) {
+      try {
+        await this.writeEntry(key, { layer, value, generation, expiresAt: Date.now() + this.ttlSeconds[layer] * 1000 });
+      } catch (error) {
+        logger.warn('⚠️ Response cache write failed', { layer, error });
+      }
+    }
+    return { value, hit: false };
+  }
+
+  // Drop every cached result, here and in other processes sharing the cache directory
+  async invalidate() {
+    await fs.mkdir(this.directory, { recursive: true });
+    await fs.writeFile(this.generationFile, `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`);
+    await this.clearEntries();
+  }
+}
+
+// In-memory LRU - fast, per server process, emptied on restart
+class InMemoryResponseCache extends ResponseCache {
+  constructor(options = {}) {
+    super(options);
+    this.entries = new Map();
+    this.maxEntries = options.maxEntries || config.cache.maxEntries;
+  }
+
+  // Entries are copied in and out so callers can modify what they get back
+  async readEntry(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return null;
+    }
+
+    // Re-insert so Map iteration order reflects recency
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return structuredClone(entry);
+  }
+
+  async writeEntry(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, structuredClone(entry));
+    if (this.entries.size > this.maxEntries) {
+      const oldestKey = this.entries.keys().next().value;
+      this.entries.delete(oldestKey);
+    }
+  }
+
+  async deleteEntry(key) {
+    this.entries.delete(key);
+  }
+
+  async clearEntries() {
+    this.entries.clear();
+  }
+}
+
+// File-backed store - one JSON file per entry, shared by server processes and kept across restarts
+class FileResponseCache extends ResponseCache {
+  constructor(options = {}) {
+    super(options);
+    this.entriesDirectory = path.join(this.directory, 'entries');
+  }
+
+  getEntryPath(key) {
+    return path.join(this.entriesDirectory, `${key}.json`);
+  }
+
+  async readEntry(key) {
+    try {
+      return JSON.parse(await fs.readFile(this.getEntryPath(key), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async writeEntry(key, entry) {
+    await fs.mkdir(this.entriesDirectory, { recursive: true });
+    await fs.writeFile(this.getEntryPath(key), JSON.stringify(entry));
+  }
+
+  async deleteEntry(key) {
+    await fs.rm(this.getEntryPath(key), { force: true });
+  }
+
+  async clearEntries() {
+    await fs.rm(this.entriesDirectory, { recursive: true, force: true });
+  }
+}
+
+// Factory that picks the store implementation from configuration
+function createResponseCache(type = config.cache.store, options = {}) {
+  switch (type) {
+    case 'memory':
+      return new InMemoryResponseCache(options);
+    case 'file':
+      return new FileResponseCache(options);
+    default:
+      throw new Error(`Unsupported response cache store: ${type}. Supported stores: memory, file`);
+  }
+}
+
+export { CACHE_LAYERS, ResponseCache, InMemoryResponseCache, FileResponseCache };
+export default createResponseCache;
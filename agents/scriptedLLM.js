@@ -0,0 +1,62 @@
+// Deterministic scripted LLM for offline runs and tests (no network, same output for the same prompt)
+import fs from 'fs';
+
+class ScriptedLLM {
+  // script: [{ match: 'regex' | RegExp, response: string | object }], tried in order against the prompt
+  constructor({ script = [], defaultResponse = 'This is a scripted response.' } = {}) {
+    this.rules = script.map(rule => ({
+      match: rule.match instanceof RegExp ? rule.match : new RegExp(rule.match, 'i'),
+      response: rule.response
+    }));
+    this.defaultResponse = defaultResponse;
+    this.calls = []; // Prompts received, for assertions in tests
+  }
+
+  // Load a script file: either an array of rules or { rules, default }
+  static fromFile(scriptPath) {
+    const script = JSON.parse(fs.readFileSync(scriptPath, 'utf8'));
+    return Array.isArray(script) ?
+      new ScriptedLLM({ script }) :
+      new ScriptedLLM({ script: script.rules || [], defaultResponse: script.default });
+  }
+
+  // Pick the response for a prompt; objects are returned as JSON so routing prompts can be scripted
+  respond(prompt) {
+    const text = typeof prompt === 'string' ? prompt : JSON.stringify(prompt);
+    this.calls.push(text);
+
+    const rule = this.rules.find(candidate => candidate.match.test(text));
+    const response = rule ? rule.response : this.defaultResponse;
+    return typeof response === 'string' ? response : JSON.stringify(response);
+  }
+
+  // Same shape as LangChain chat models: resolves to { content }
+  async invoke(prompt, options = {}) {
+    this.throwIfAborted(options.signal);
+    return { content: this.respond(prompt) };
+  }
+
+  // Same shape as LangChain chat models: resolves to an async iterable of { content } chunks
+  async stream(prompt, options = {}) {
+    const content = this.respond(prompt);
+    const chunks = content.match(/\S+\s*|\s+/g) || [];
+    const throwIfAborted = () => this.throwIfAborted(options.signal);
+
+    return (async function* () {
+      for (const chunk of chunks) {
+        throwIfAborted();
+        yield { content: chunk };
+      }
+    })();
+  }
+
+  throwIfAborted(signal) {
+    if (signal && signal.aborted) {
+      const error = new Error('Scripted LLM call aborted');
+      error.name = 'AbortError';
+      throw error;
+    }
+  }
+}
+
+export default ScriptedLLM;
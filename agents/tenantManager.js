@@ -0,0 +1,207 @@
+// Tenant Manager: product tenants as a productPurchased filter or as native Weaviate tenants (one shard per product)
+import weaviate from 'weaviate-ts-client';
+import config from '../config.js';
+
+const TENANCY_MODES = ['filter', 'native'];
+
+// Weaviate tenant names allow letters, digits, '-' and '_' only ("GoPro Hero" -> "GoPro-Hero")
+function toTenantName(product) {
+  return String(product).trim().replace(/[^A-Za-z0-9_-]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 64);
+}
+
+class TenantManager {
+  constructor() {
+    this.client = weaviate.client({
+      scheme: 'http',
+      host: config.weaviate.url.replace('http://', ''),
+    });
+    this.mode = config.weaviate.tenancy;
+    this.className = config.weaviate.className;
+    this.known = null; // { names: Promise<Set>, expiresAt } of isKnownTenant
+
+    if (!TENANCY_MODES.includes(this.mode)) {
+      throw new Error(`Unsupported tenancy mode: ${this.mode}. Supported modes: ${TENANCY_MODES.join(', ')}`);
+    }
+  }
+
+  isNative() {
+    return this.mode === 'native';
+  }
+
+  toTenantName(product) {
+    return toTenantName(product);
+  }
+
+  // Product to add as a where filter: the tenant in filter mode, none in native mode (the shard isolates it)
+  filterTenant(tenant) {
+    return this.isNative() ? null : tenant;
+  }
+
+  // Tenant shards a request reads: [null] in filter mode, the named tenant(s) or every active tenant in native mode
+  async resolveScopes(tenant = null) {
+    if (!this.isNative()) {
+      return [null];
+    }
+    if (tenant) {
+      return [...new Set([].concat(tenant).map(name => this.toTenantName(name)))];
+    }
+    const tenants = await this.listTenants();
+    return tenants.filter(entry => entry.active).map(entry => entry.name);
+  }
+
+  // Whether a tenant exists: a product with tickets in filter mode, a tenant shard in native mode
+  // The names are re-read every config.weaviate.tenantListTtlSeconds, or on the next call after forgetKnownTenants()
+  async isKnownTenant(tenant, now = Date.now()) {
+    if (!tenant) {
+      return false;
+    }
+    if (!this.known || now >= this.known.expiresAt) {
+      const names = this.isNative()
+        ? this.listTenants().then(tenants => tenants.map(entry => entry.name))
+        : this.aggregate({ groupBy: 'productPurchased' }).then(groups => groups.map(group => group.groupedBy.value));
+      const known = { names: names.then(list => new Set(list)), expiresAt: now + config.weaviate.tenantListTtlSeconds * 1000 };
+      // A failed read is retried on the next call instead of being kept until it expires
+      known.names.catch(() => {
+        if (this.known === known) this.forgetKnownTenants();
+      });
+      this.known = known;
+    }
+
+    const names = await this.known.names;
+    return names.has(this.isNative() ? this.toTenantName(tenant) : String(tenant).trim());
+  }
+
+  // Drop the tenant names isKnownTenant read, after tenants or tickets were created or deleted
+  forgetKnownTenants() {
+    this.known = null;
+  }
+
+  // Point a query builder at one tenant shard (no-op outside native mode)
+  scoped(builder, scope) {
+    return scope ? builder.withTenant(scope) : builder;
+  }
+
+  // Run a Get query on every scope and merge the objects, best ranked first; same shape as builder.do()
+  async getAcross(builder, scopes, limit = null) {
+    const objects = [];
+    for (const scope of scopes) {
+      const result = await this.scoped(builder, scope).do();
+      if (result.errors && result.errors.length > 0) {
+        return result;
+      }
+      objects.push(...(result.data.Get[this.className] || []));
+    }
+
+    const merged = scopes.length > 1 ? this.rankMerged(objects) : objects;
+    return { data: { Get: { [this.className]: limit ? merged.slice(0, limit) : merged } } };
+  }
+
+  // Order objects from several shards by hybrid score (desc) or vector distance (asc)
+  rankMerged(objects) {
+    const additional = object => object._additional || {};
+    if (objects.some(object => additional(object).score !== undefined)) {
+      return [...objects].sort((a, b) => parseFloat(additional(b).score || 0) - parseFloat(additional(a).score || 0));
+    }
+    if (objects.some(object => additional(object).distance !== undefined)) {
+      return [...objects].sort((a, b) => (additional(a).distance ?? Infinity) - (additional(b).distance ?? Infinity));
+    }
+    return objects;
+  }
+
+  // Run an Aggregate query on every scope and merge the groups (counts summed, means weighted by count, overall
+  // minimum and maximum)
+  async aggregate({ where = null, groupBy = null, fields = 'meta { count }' } = {}, scopes = [null]) {
+    const groups = [];
+    for (const scope of scopes) {
+      let query = this.client.graphql
+        .aggregate()
+        .withClassName(this.className)
+        .withFields(groupBy ? `groupedBy { value } ${fields}` : fields);
+
+      if (where) {
+        query = query.withWhere(where);
+      }
+      if (groupBy) {
+        query = query.withGroupBy([groupBy]);
+      }
+
+      const result = await this.scoped(query, scope).do();
+      if (result.errors) {
+        throw new Error(`Aggregate query failed: ${result.errors.map(error => error.message).join('; ')}`);
+      }
+      groups.push(...(result.data.Aggregate[this.className] || []));
+    }
+
+    return scopes.length > 1 ? this.mergeAggregates(groups) : groups;
+  }
+
+  // Merge Aggregate rows with the same groupedBy value
+  mergeAggregates(groups) {
+    const merged = new Map();
+
+    for (const group of groups) {
+      const key = group.groupedBy ? String(group.groupedBy.value) : '';
+      const target = merged.get(key);
+      if (!target) {
+        merged.set(key, JSON.parse(JSON.stringify(group)));
+        continue;
+      }
+
+      for (const [field, stats] of Object.entries(group)) {
+        if (field === 'groupedBy' || !stats) continue;
+        const current = target[field];
+        const count = (current.count || 0) + (stats.count || 0);
+        if (stats.mean !== undefined) {
+          current.mean = count ? (((current.mean || 0) * (current.count || 0)) + ((stats.mean || 0) * (stats.count || 0))) / count : null;
+        }
+        for (const [bound, pick] of [['minimum', Math.min], ['maximum', Math.max]]) {
+          if (stats[bound] !== undefined && stats[bound] !== null) {
+            current[bound] = current[bound] === null || current[bound] === undefined ? stats[bound] : pick(current[bound], stats[bound]);
+          }
+        }
+        current.count = count;
+      }
+    }
+
+    return [...merged.values()];
+  }
+
+  // Native tenants with their activity: [{ name, active, activityStatus }]
+  async listTenants() {
+    const tenants = await this.client.schema.tenantsGetter(this.className).do();
+    return (tenants || []).map(tenant => ({
+      name: tenant.name,
+      activityStatus: tenant.activityStatus || 'HOT',
+      active: !tenant.activityStatus || tenant.activityStatus === 'HOT'
+    }));
+  }
+
+  // Create tenants for products that do not have one yet, returning the names created
+  async createTenants(products) {
+    const existing = new Set((await this.listTenants()).map(tenant => tenant.name));
+    const names = [...new Set(products.map(product => this.toTenantName(product)))].filter(name => name && !existing.has(name));
+
+    if (names.length > 0) {
+      await this.client.schema.tenantsCreator(this.className, names.map(name => ({ name }))).do();
+    }
+    return names;
+  }
+
+  // Delete tenants and all their tickets
+  async deleteTenants(products) {
+    const names = products.map(product => this.toTenantName(product));
+    await this.client.schema.tenantsDeleter(this.className, names).do();
+    return names;
+  }
+
+  // Activate (HOT, queryable) or deactivate (COLD, offloaded) a tenant
+  async setActive(product, active) {
+    const name = this.toTenantName(product);
+    const activityStatus = active ? 'HOT' : 'COLD';
+    await this.client.schema.tenantsUpdater(this.className, [{ name, activityStatus }]).do();
+    return { name, active, activityStatus };
+  }
+}
+
+export { TENANCY_MODES, toTenantName };
+export default TenantManager;
@@ -0,0 +1,220 @@
+// Ticket Store: single SupportTicket objects created, read, updated and deleted through the API, validated and
+// cleaned exactly like imported CSV rows
+import weaviate from 'weaviate-ts-client';
+import TenantManager from './tenantManager.js';
+import { validateTicket } from '../weaviate/validate_data.js';
+import { createNormalizer } from '../weaviate/normalize_text.js';
+import { cleanTicketData, contentHash, ticketClassDefinition, ticketObjectId, ticketTenant } from '../weaviate/ticket_data.js';
+import config from '../config.js';
+
+// Writable ticket fields and the CSV columns the importer reads them from; the other stored properties (raw text,
+// description language, response and resolution hours, content hash) are derived from these
+const TICKET_FIELDS = {
+  ticketId: 'Ticket ID',
+  customerName: 'Customer Name',
+  customerEmail: 'Customer Email',
+  customerAge: 'Customer Age',
+  customerGender: 'Customer Gender',
+  productPurchased: 'Product Purchased',
+  dateOfPurchase: 'Date of Purchase',
+  ticketType: 'Ticket Type',
+  ticketSubject: 'Ticket Subject',
+  ticketDescription: 'Ticket Description',
+  ticketStatus: 'Ticket Status',
+  resolution: 'Resolution',
+  ticketPriority: 'Ticket Priority',
+  ticketChannel: 'Ticket Channel',
+  ticketCreatedAt: 'Ticket Created At',
+  firstResponseTime: 'First Response Time',
+  resolvedAt: 'Time to Resolution',
+  customerSatisfactionRating: 'Customer Satisfaction Rating'
+};
+
+const NUMBER_FIELDS = ['customerAge', 'customerSatisfactionRating'];
+
+// The object ID is derived from ticketId, and in native tenancy productPurchased picks the tenant shard
+const IMMUTABLE_FIELDS = ['ticketId', 'productPurchased'];
+
+// Properties embedded by the vectorizer; the stored vector is reused when none of them change
+const VECTORIZED_PROPERTIES = ticketClassDefinition().properties
+  .filter(property => property.moduleConfig && property.moduleConfig['text2vec-transformers'] &&
+    property.moduleConfig['text2vec-transformers'].skip === false)
+  .map(property => property.name);
+
+class TicketStore {
+  constructor() {
+    this.client = weaviate.client({
+      scheme: 'http',
+      host: config.weaviate.url.replace('http://', ''),
+    });
+    this.tenants = new TenantManager();
+    this.className = config.weaviate.className;
+    this.normalize = createNormalizer();
+  }
+
+  // Check the field names and types of a request body, returning its fields with strings trimmed
+  // Throws on unknown or derived fields and on values of the wrong type (null clears an optional field)
+  readFields(body) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      throw new Error('Ticket must be a JSON object');
+    }
+    const unknown = Object.keys(body).filter(field => !Object.hasOwn(TICKET_FIELDS, field));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown or read-only ticket fields: ${unknown.join(', ')}. Writable fields: ${Object.keys(TICKET_FIELDS).join(', ')}`);
+    }
+
+    const fields = {};
+    for (const [field, value] of Object.entries(body)) {
+      const type = NUMBER_FIELDS.includes(field) ? 'number' : 'string';
+      if (value !== null && typeof value !== type) {
+        throw new Error(`${field} must be a ${type} or null`);
+      }
+      fields[field] = typeof value === 'string' ? value.trim() : value;
+    }
+    return fields;
+  }
+
+  // Fields as the CSV row the importer would read
+  toRow(fields) {
+    return Object.fromEntries(Object.entries(TICKET_FIELDS).map(([field, column]) =>
+      [column, fields[field] === null || fields[field] === undefined ? '' : String(fields[field])]));
+  }
+
+  // Apply the import's row rules (required fields, allowed values, dates, number ranges), throwing with every problem
+  validate(fields) {
+    const columns = Object.fromEntries(Object.entries(TICKET_FIELDS).map(([field, column]) => [column, field]));
+    const issues = validateTicket(this.toRow(fields));
+    if (issues.length > 0) {
+      throw new Error(`Invalid ticket: ${issues.map(issue => `${columns[issue.field] || issue.field} ${issue.reason}`).join('; ')}`);
+    }
+  }
+
+  // Validated fields of a new ticket
+  normalizeTicket(body) {
+    const fields = this.readFields(body);
+    this.validate(fields);
+    return fields;
+  }
+
+  // Validated fields of a stored ticket with the changes in body applied
+  normalizeUpdate(stored, body) {
+    const changes = this.readFields(body);
+    if (Object.keys(changes).length === 0) {
+      throw new Error(`Provide at least one field to update. Writable fields: ${Object.keys(TICKET_FIELDS).join(', ')}`);
+    }
+    const fixed = IMMUTABLE_FIELDS.filter(field => field in changes && changes[field] !== stored.properties[field]);
+    if (fixed.length > 0) {
+      throw new Error(`${fixed.join(', ')} cannot be changed; create a new ticket instead`);
+    }
+
+    const fields = { ...this.sourceFields(stored.properties), ...changes };
+    this.validate(fields);
+    return fields;
+  }
+
+  // Writable fields of a stored ticket, with descriptions and resolutions as written rather than normalised
+  // customerEmail is left out: it is stored hashed or redacted and is only replaced when an update sets it
+  sourceFields(properties) {
+    const fields = Object.fromEntries(Object.keys(TICKET_FIELDS)
+      .filter(field => field !== 'customerEmail')
+      .map(field => [field, properties[field] ?? null]));
+    fields.ticketDescription = properties.ticketDescriptionRaw ?? properties.ticketDescription ?? null;
+    fields.resolution = properties.resolutionRaw ?? properties.resolution ?? null;
+    return fields;
+  }
+
+  // Stored properties: the fields cleaned like an imported row, plus the content hash incremental imports compare
+  toProperties(fields, stored = null) {
+    const cleaned = cleanTicketData(this.toRow(fields), this.normalize);
+    if (stored && fields.customerEmail === undefined) {
+      cleaned.customerEmail = stored.properties.customerEmail ?? '';
+    }
+    return { ...cleaned, contentHash: contentHash(cleaned) };
+  }
+
+  // Look a ticket up by ticket ID in every active tenant shard: { id, tenant, properties, vector } or null
+  // options.vector also fetches the stored vector; options.tenants limits native tenancy to those tenants' shards
+  async find(ticketId, { vector = false, tenants = null } = {}) {
+    const id = ticketObjectId(ticketId);
+    const allowed = tenants && new Set(tenants.map(tenant => this.tenants.toTenantName(tenant)));
+    for (const scope of await this.tenants.resolveScopes()) {
+      if (scope && allowed && !allowed.has(scope)) {
+        continue;
+      }
+      const exists = await this.tenants.scoped(this.client.data.checker().withClassName(this.className).withId(id), scope).do();
+      if (!exists) {
+        continue;
+      }
+
+      let getter = this.client.data.getterById().withClassName(this.className).withId(id);
+      if (vector) {
+        getter = getter.withVector();
+      }
+      const object = await this.tenants.scoped(getter, scope).do();
+      return { id, tenant: scope, properties: object.properties || {}, vector: object.vector || null };
+    }
+    return null;
+  }
+
+  // Whether a new ticket's ID is taken where it would be stored: only its own tenant shard in native tenancy, so IDs
+  // in other tenants are neither reported nor in the way; the shared class in filter tenancy, where ticket IDs are
+  // unique across tenants
+  async exists(ticketId, productPurchased) {
+    const tenant = ticketTenant(productPurchased);
+    if (tenant && !(await this.tenants.listTenants()).some(entry => entry.name === tenant)) {
+      return false;
+    }
+    const checker = this.client.data.checker().withClassName(this.className).withId(ticketObjectId(ticketId));
+    return this.tenants.scoped(checker, tenant).do();
+  }
+
+  // Store a new ticket (fields from normalizeTicket) under the same object ID and tenant an import would use
+  async create(fields) {
+    const properties = this.toProperties(fields);
+    const id = ticketObjectId(properties.ticketId);
+    const tenant = ticketTenant(properties.productPurchased);
+    if (tenant) {
+      await this.tenants.createTenants([properties.productPurchased]);
+    }
+
+    const creator = this.client.data.creator().withClassName(this.className).withId(id).withProperties(properties);
+    await this.tenants.scoped(creator, tenant).do();
+    return { id, tenant, properties, vector: null };
+  }
+
+  // Replace a stored ticket (found with its vector) with fields from normalizeUpdate
+  // The stored vector is kept unless a vectorized property changed; the data updater of this client version cannot
+  // send a vector, so the object is written through the batch endpoint like the importer does
+  async update(stored, fields) {
+    const properties = this.toProperties(fields, stored);
+    const revectorized = !stored.vector || VECTORIZED_PROPERTIES.some(name => (properties[name] ?? '') !== (stored.properties[name] ?? ''));
+
+    const result = await this.client.batch.objectsBatcher().withObject({
+      class: this.className,
+      id: stored.id,
+      properties,
+      ...(revectorized ? {} : { vector: stored.vector }),
+      ...(stored.tenant ? { tenant: stored.tenant } : {})
+    }).do();
+
+    const errors = (result || []).flatMap(item => (item.result && item.result.errors && item.result.errors.error) || []);
+    if (errors.length > 0) {
+      throw new Error(`Failed to update ticket ${properties.ticketId}: ${errors.map(error => error.message).join('; ')}`);
+    }
+    return { ticket: { ...stored, properties, vector: null }, revectorized };
+  }
+
+  async delete(stored) {
+    const deleter = this.client.data.deleter().withClassName(this.className).withId(stored.id);
+    await this.tenants.scoped(deleter, stored.tenant).do();
+  }
+
+  // Ticket as returned by the API: its object ID and stored properties, without the import's content hash
+  summarize(ticket) {
+    const { contentHash: hash, ...properties } = ticket.properties;
+    return { objectId: ticket.id, ...properties };
+  }
+}
+
+export { TICKET_FIELDS, IMMUTABLE_FIELDS, VECTORIZED_PROPERTIES };
+export default TicketStore;
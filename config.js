@@ -2,19 +2,71 @@
 import dotenv from 'dotenv';
 dotenv.config();
 
+// Read a JSON environment variable, failing with the variable's name when it is malformed or of the wrong kind
+function parseJsonEnv(name, fallback, expected) {
+  if (!process.env[name]) return fallback;
+  let value;
+  try {
+    value = JSON.parse(process.env[name]);
+  } catch (error) {
+    throw new Error(`Invalid configuration: ${name} must be ${expected} (${error.message})`);
+  }
+  if (value === null || typeof value !== 'object' || Array.isArray(value) !== Array.isArray(fallback)) {
+    throw new Error(`Invalid configuration: ${name} must be ${expected}`);
+  }
+  return value;
+}
+
 const config = {
   // LLM Configuration
   llm: {
-    // Default to Google Gemini (free tier)
+    // Default to Google Gemini (free tier); also 'openai', 'openai-compatible' (Ollama, llama.cpp server) or 'scripted'
     provider: process.env.LLM_PROVIDER || 'gemini',
     googleApiKey: process.env.GOOGLE_API_KEY,
-    openaiApiKey: process.env.OPENAI_API_KEY
+    openaiApiKey: process.env.OPENAI_API_KEY,
+    baseUrl: process.env.LLM_BASE_URL || 'http://localhost:11434/v1', // OpenAI-compatible endpoint (Ollama default)
+    localApiKey: process.env.LLM_API_KEY || 'not-needed', // Most local servers ignore the key
+    scriptPath: process.env.LLM_SCRIPT, // JSON rules for the scripted provider
+    defaultModels: {
+      gemini: 'gemini-1.5-flash',
+      openai: 'gpt-3.5-turbo',
+      'openai-compatible': 'llama3.1',
+      scripted: 'scripted'
+    },
+    // Per-role settings; model falls back to the provider default above
+    roles: {
+      routing: {
+        model: process.env.LLM_ROUTING_MODEL,
+        temperature: 0,
+        timeout: 10000
+      },
+      answering: {
+        model: process.env.LLM_ANSWERING_MODEL,
+        temperature: 0,
+        timeout: 30000
+      },
+      summarising: {
+        model: process.env.LLM_SUMMARISING_MODEL,
+        temperature: 0,
+        timeout: 15000
+      },
+      reranking: {
+        model: process.env.LLM_RERANKING_MODEL,
+        temperature: 0,
+        timeout: 10000
+      }
+    }
   },
 
   // Weaviate Configuration
   weaviate: {
     url: process.env.WEAVIATE_URL || 'http://localhost:8080',
-    className: 'SupportTicket'
+    // 'filter': one shared class, tenants are a productPurchased filter
+    // 'native': Weaviate multi-tenancy, one tenant shard per product in its own class
+    tenancy: process.env.TENANCY_MODE || 'filter',
+    className: process.env.WEAVIATE_CLASS || (process.env.TENANCY_MODE === 'native' ? 'SupportTicketTenant' : 'SupportTicket'),
+    // Seconds the list of existing tenants is kept when checking request tenants for rate limits and metrics
+    tenantListTtlSeconds: parseInt(process.env.TENANT_LIST_TTL || '60')
   },
 
   // Server Configuration
@@ -30,11 +82,136 @@ const config = {
     maxTokens: 1000
   },
 
+  // Retrieval Configuration
+  search: {
+    mode: process.env.SEARCH_MODE || 'hybrid', // 'hybrid' (BM25 + vector) or 'vector'
+    alpha: parseFloat(process.env.SEARCH_ALPHA || '0.5'), // 0 = pure BM25, 1 = pure vector
+    fusionType: 'relativeScoreFusion',
+    properties: ['ticketSubject', 'ticketDescription', 'resolution', 'productPurchased'], // BM25 fields
+    text: process.env.SEARCH_TEXT || 'normalized', // Ticket text quoted in answers: 'normalized' or 'raw'
+    // Seconds the status, priority, channel and type values matched by filter extraction are kept before re-reading them
+    schemaValuesTtlSeconds: parseInt(process.env.FILTER_VALUES_TTL || '300'),
+    // Second-stage reranking: over-fetch candidates, rescore them and keep the best; no strategies keeps retrieval order
+    rerank: {
+      strategies: (process.env.RERANK_STRATEGIES || '').split(',').map(strategy => strategy.trim()).filter(Boolean), // 'llm', 'lexical', 'quality'
+      candidates: parseInt(process.env.RERANK_CANDIDATES || '25'), // Tickets fetched before reranking
+      // Weight of each score in the combined rerank score; retrieval is the hybrid score or vector distance
+      weights: {
+        retrieval: parseFloat(process.env.RERANK_WEIGHT_RETRIEVAL || '1'),
+        llm: parseFloat(process.env.RERANK_WEIGHT_LLM || '2'),
+        lexical: parseFloat(process.env.RERANK_WEIGHT_LEXICAL || '1'),
+        quality: parseFloat(process.env.RERANK_WEIGHT_QUALITY || '0.5')
+      }
+    }
+  },
+
+  // Answer Citations - answers cite tickets as [#1234]; citations are checked against the retrieved tickets
+  citations: {
+    unverified: process.env.CITATIONS_UNVERIFIED || 'flag', // 'flag' keeps citations of tickets that were not retrieved, 'remove' strips them
+    snippetLength: 200 // Characters quoted from the cited ticket
+  },
+
+  // Conversation Memory Configuration
+  memory: {
+    store: process.env.MEMORY_STORE || 'memory', // 'memory' or 'file'
+    directory: process.env.MEMORY_DIR || './data/threads',
+    maxTurns: 20, // Turns kept per thread
+    maxThreads: 1000, // In-memory store only
+    historyTurns: 6 // Recent turns fed into routing and RAG prompts
+  },
+
+  // Response Cache Configuration - one layer per pipeline step, keyed on normalised query, tenant and filters
+  cache: {
+    enabled: process.env.CACHE_ENABLED !== 'false',
+    store: process.env.CACHE_STORE || 'memory', // 'memory' (LRU) or 'file'
+    directory: process.env.CACHE_DIR || './data/cache', // File store entries and the import generation marker
+    maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES || '1000'), // In-memory store only
+    // Seconds each layer is kept; 0 turns a layer off
+    ttlSeconds: {
+      routing: parseInt(process.env.CACHE_TTL_ROUTING || '3600'),
+      search: parseInt(process.env.CACHE_TTL_SEARCH || '900'),
+      answer: parseInt(process.env.CACHE_TTL_ANSWER || '900'),
+      analytics: parseInt(process.env.CACHE_TTL_ANALYTICS || '300')
+    }
+  },
+
   // Chart.js Configuration
   charts: {
     width: 800,
     height: 400,
-    backgroundColor: '#ffffff'
+    backgroundColor: '#ffffff',
+    trendBucket: 'month', // Default bucket for trend charts: 'day', 'week' or 'month'
+    pageSize: 1000, // Objects per page when analytics need raw rows
+    // Weaviate's QUERY_MAXIMUM_RESULTS: filtered reads page with offsets up to this many objects, a cursor beyond it
+    maxQueryResults: parseInt(process.env.WEAVIATE_QUERY_MAXIMUM_RESULTS || '10000')
+  },
+
+  // API Keys and Roles
+  auth: {
+    roles: ['admin', 'agent', 'customer'],
+    // Every endpoint except /health and /api-docs needs an API key unless AUTH_REQUIRED=false
+    required: process.env.AUTH_REQUIRED !== 'false',
+    // Role of callers without a key when authentication is not required
+    defaultRole: process.env.DEFAULT_ROLE || 'customer',
+    store: process.env.API_KEY_STORE || 'config', // 'config' (API_KEYS, changes kept in memory) or 'file'
+    // JSON array of { key, role, tenants, name }; tenants ["*"] (default) allows every tenant
+    keys: parseJsonEnv('API_KEYS', [], 'a JSON array of API keys'),
+    file: process.env.API_KEY_FILE || './data/api-keys.json',
+    rotationGraceSeconds: parseInt(process.env.API_KEY_ROTATION_GRACE || '3600') // Old key stays valid this long after rotation
+  },
+
+  // Rate limits on /query, per API key and per tenant (token buckets); 0 turns a limit off
+  rateLimits: {
+    enabled: process.env.RATE_LIMIT_ENABLED !== 'false',
+    key: {
+      requestsPerMinute: parseInt(process.env.RATE_LIMIT_KEY_RPM || '30'),
+      tokensPerDay: parseInt(process.env.RATE_LIMIT_KEY_TOKENS_PER_DAY || '200000') // LLM tokens (prompt + completion)
+    },
+    tenant: {
+      requestsPerMinute: parseInt(process.env.RATE_LIMIT_TENANT_RPM || '120'),
+      tokensPerDay: parseInt(process.env.RATE_LIMIT_TENANT_TOKENS_PER_DAY || '1000000')
+    },
+    // Per-tenant overrides, e.g. {"iPhone": {"requestsPerMinute": 300}}; keys can carry their own limits
+    tenants: parseJsonEnv('RATE_LIMIT_TENANTS', {}, 'a JSON object of per-tenant limits'),
+    // Buckets kept in memory; refilled, then least recently used, buckets are dropped beyond this
+    maxBuckets: parseInt(process.env.RATE_LIMIT_MAX_BUCKETS || '10000')
+  },
+
+  // Logging - leveled logs tagged with the request's X-Request-Id
+  logging: {
+    level: process.env.LOG_LEVEL || 'info', // 'debug', 'info', 'warn' or 'error'
+    // 'json' (one object per line) or 'pretty' (readable lines for development)
+    format: process.env.LOG_FORMAT || (process.env.NODE_ENV === 'production' ? 'json' : 'pretty'),
+    // Replace query text, answers and ticket content in log fields with their length
+    redactContent: process.env.LOG_REDACT_CONTENT !== 'false',
+    redactFields: ['query', 'userQuery', 'standaloneQuery', 'keywords', 'answer', 'prompt', 'history',
+      'ticketSubject', 'ticketDescription', 'resolution']
+  },
+
+  // Prometheus metrics served at GET /metrics (admin keys for every tenant only)
+  metrics: {
+    enabled: process.env.METRICS_ENABLED !== 'false',
+    // Latency histogram buckets in seconds
+    buckets: (process.env.METRICS_BUCKETS || '0.05,0.1,0.25,0.5,1,2.5,5,10,30').split(',').map(Number).filter(Number.isFinite),
+    slowResponseMs: 5000 // NFR-1: responses slower than this are counted as slow
+  },
+
+  // PII Policy
+  pii: {
+    unredactedRoles: (process.env.PII_UNREDACTED_ROLES || 'admin').split(',').map(role => role.trim()),
+    emailStorage: process.env.PII_EMAIL_STORAGE || 'hash', // How imports store customerEmail: 'hash', 'redact' or 'plain'
+    hashSalt: process.env.PII_HASH_SALT || '',
+    redactPrompts: process.env.PII_REDACT_PROMPTS !== 'false' // Scrub ticket text before it is sent to the LLM
+  },
+
+  // Data Import Configuration
+  import: {
+    normalization: {
+      // Steps applied in order to descriptions and resolutions: placeholders, unicode, boilerplate, pii, whitespace
+      steps: (process.env.IMPORT_NORMALIZE_STEPS || 'placeholders,unicode,boilerplate,pii,whitespace')
+        .split(',').map(step => step.trim()).filter(Boolean),
+      detectLanguage: process.env.IMPORT_DETECT_LANGUAGE === 'true'
+    }
   }
 };
 
@@ -0,0 +1,101 @@
+// Retrieval and answer metrics for the evaluation harness
+import CitationVerifier from '../agents/citationVerifier.js';
+
+// Flag mode keeps every cited ID in the answer, so citations of tickets that were not retrieved can be scored
+const verifier = new CitationVerifier({ unverified: 'flag' });
+
+// Function to build the relevance judgement of a golden question
+// Tickets are judged by relevantTicketIds when the question lists them, otherwise by relevantProducts
+function relevanceJudge(question) {
+  const ids = new Set((question.relevantTicketIds || []).map(String));
+  const products = new Set((question.relevantProducts || []).map(product => product.toLowerCase()));
+  const byIds = ids.size > 0;
+
+  return {
+    // Relevant tickets in the collection, or null when only products are known (the count is open-ended)
+    total: byIds ? ids.size : null,
+    isRelevant: ticket => (byIds ?
+      ids.has(String(ticket.ticketId)) :
+      products.has(String(ticket.productPurchased || '').toLowerCase()))
+  };
+}
+
+// Function to compute recall@k: the share of relevant tickets found in the top k
+// With product judgements (no relevantTotal) every slot could hold a relevant ticket, so recall@k is hits / k
+function recallAtK(relevance, k, relevantTotal = null) {
+  const total = relevantTotal ?? k;
+  return total > 0 ? relevance.slice(0, k).filter(Boolean).length / total : 0;
+}
+
+// Function to compute the reciprocal rank of the first relevant ticket (0 when none is retrieved)
+function reciprocalRank(relevance) {
+  const index = relevance.indexOf(true);
+  return index === -1 ? 0 : 1 / (index + 1);
+}
+
+// Function to compute nDCG@k with binary relevance
+function ndcgAtK(relevance, k, relevantTotal = null) {
+  const dcg = relevance.slice(0, k).reduce((sum, relevant, index) => sum + (relevant ? 1 / Math.log2(index + 2) : 0), 0);
+  const idealHits = Math.min(k, relevantTotal ?? k);
+  let ideal = 0;
+  for (let index = 0; index < idealHits; index++) {
+    ideal += 1 / Math.log2(index + 2);
+  }
+  return ideal > 0 ? dcg / ideal : 0;
+}
+
+// Function to score the retrieval of one question: { recall, mrr, ndcg }
+function retrievalMetrics(tickets, question, k) {
+  const judge = relevanceJudge(question);
+  const relevance = tickets.slice(0, k).map(ticket => judge.isRelevant(ticket));
+
+  return {
+    recall: recallAtK(relevance, k, judge.total),
+    mrr: reciprocalRank(relevance),
+    ndcg: ndcgAtK(relevance, k, judge.total)
+  };
+}
+
+// Function to compute citation precision: the share of cited ticket IDs that are relevant to the question
+// Citations of tickets that were not retrieved count as wrong; null when the answer cites nothing
+function citationPrecision(answer, tickets, question) {
+  const judge = relevanceJudge(question);
+  const retrieved = new Map(tickets.map(ticket => [String(ticket.ticketId), ticket]));
+  const checked = verifier.verify(answer, tickets);
+  const cited = [...checked.citedTicketIds, ...checked.unverifiedTicketIds];
+  if (cited.length === 0) {
+    return null;
+  }
+
+  const relevant = cited.filter(id => retrieved.has(id) && judge.isRelevant(retrieved.get(id)));
+  return relevant.length / cited.length;
+}
+
+// Function to compute faithfulness: the mean, over answer sentences, of the share of a sentence's significant words
+// found in the tickets it cites. Uncited sentences score 0, since nothing in the retrieved tickets backs them
+function faithfulness(answer, tickets) {
+  const retrieved = new Map(tickets.map(ticket => [String(ticket.ticketId), ticket]));
+  const citations = new Map(verifier.verify(answer, tickets).citations.map(citation => [citation.sentence, citation.ticketIds]));
+  const sentences = verifier.splitSentences(answer)
+    .map(sentence => verifier.cleanSentence(sentence))
+    .filter(sentence => verifier.words(sentence).size > 0);
+  if (sentences.length === 0) {
+    return 0;
+  }
+
+  const scores = sentences.map(sentence => {
+    const words = verifier.words(sentence);
+    const sources = (citations.get(sentence) || []).map(id => retrieved.get(id));
+    const supporting = verifier.words(sources.map(ticket => `${ticket.ticketSubject || ''} ${ticket.ticketDescription || ''} ${ticket.resolution || ''}`).join(' '));
+    return [...words].filter(word => supporting.has(word)).length / words.size;
+  });
+  return scores.reduce((sum, score) => sum + score, 0) / scores.length;
+}
+
+// Function to average a metric across questions, skipping questions where it is null
+function mean(values) {
+  const present = values.filter(value => value !== null && value !== undefined);
+  return present.length > 0 ? present.reduce((sum, value) => sum + value, 0) / present.length : null;
+}
+
+export { relevanceJudge, recallAtK, reciprocalRank, ndcgAtK, retrievalMetrics, citationPrecision, faithfulness, mean };
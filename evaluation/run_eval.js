@@ -0,0 +1,320 @@
+// Offline evaluation: runs a golden set of questions through RAGAgent retrieval and answering and writes
+// a JSON and a Markdown report that can be diffed between runs
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import RAGAgent from '../agents/ragAgent.js';
+import { RERANK_STRATEGIES } from '../agents/reranker.js';
+import LLMClient, { trackUsage } from '../agents/llmClient.js';
+import { retrievalMetrics, citationPrecision, faithfulness, mean } from './metrics.js';
+
+// Get __dirname equivalent in ES modules
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const defaultSetPath = path.join(__dirname, 'golden_set.json');
+const defaultReportPath = path.join(__dirname, 'reports', 'report');
+
+const USAGE = `Usage: npm run eval -- [options]
+
+Options:
+  --set <path>        Golden set to run (default: evaluation/golden_set.json)
+  --k <n>             Tickets retrieved per question and cut-off for the metrics (default: the golden set's k, else 10)
+  --retrieval-only    Score retrieval only, without generating answers (no LLM calls)
+  --mode <mode>       Search mode: hybrid or vector (default: SEARCH_MODE)
+  --alpha <n>         Hybrid weighting between 0 (BM25) and 1 (vector) (default: SEARCH_ALPHA)
+  --rerank <list>     Comma-separated rerank strategies (${RERANK_STRATEGIES.join(', ')}), or none (default: RERANK_STRATEGIES)
+  --report <path>     Report path without extension; <path>.json and <path>.md are written
+                      (default: evaluation/reports/report)
+  --help              Show this message`;
+
+// Function to parse command line options
+function parseArgs(argv) {
+  const options = {
+    setPath: defaultSetPath,
+    k: null,
+    retrievalOnly: false,
+    search: {},
+    reportPath: defaultReportPath,
+    help: false
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, ...rest] = argv[i].split('=');
+    const inlineValue = rest.length > 0 ? rest.join('=') : undefined;
+    switch (flag) {
+      case '--set': {
+        const value = inlineValue ?? argv[++i];
+        if (!value) {
+          throw new Error('--set expects a file path');
+        }
+        options.setPath = path.resolve(value);
+        break;
+      }
+      case '--k': {
+        const value = inlineValue ?? argv[++i];
+        const k = Number(value);
+        if (!Number.isInteger(k) || k < 1) {
+          throw new Error(`--k expects a positive whole number, got: ${value || 'nothing'}`);
+        }
+        options.k = k;
+        break;
+      }
+      case '--retrieval-only':
+        options.retrievalOnly = true;
+        break;
+      case '--mode': {
+        const value = inlineValue ?? argv[++i];
+        if (!['hybrid', 'vector'].includes(value)) {
+          throw new Error(`--mode expects hybrid or vector, got: ${value || 'nothing'}`);
+        }
+        options.search.mode = value;
+        break;
+      }
+      case '--alpha': {
+        const value = inlineValue ?? argv[++i];
+        const alpha = Number(value);
+        if (value === undefined || isNaN(alpha) || alpha < 0 || alpha > 1) {
+          throw new Error(`--alpha expects a number between 0 and 1, got: ${value || 'nothing'}`);
+        }
+        options.search.alpha = alpha;
+        break;
+      }
+      case '--rerank': {
+        const value = inlineValue ?? argv[++i];
+        if (!value) {
+          throw new Error('--rerank expects a list of strategies or none');
+        }
+        const strategies = value === 'none' ? [] : value.split(',').map(strategy => strategy.trim()).filter(Boolean);
+        const unknown = strategies.filter(strategy => !RERANK_STRATEGIES.includes(strategy));
+        if (unknown.length > 0) {
+          throw new Error(`Unknown rerank strategy: ${unknown.join(', ')}. Supported strategies: ${RERANK_STRATEGIES.join(', ')}`);
+        }
+        options.search.rerank = strategies;
+        break;
+      }
+      case '--report': {
+        const value = inlineValue ?? argv[++i];
+        if (!value) {
+          throw new Error('--report expects a file path');
+        }
+        options.reportPath = path.resolve(value).replace(/\.(json|md)$/i, '');
+        break;
+      }
+      case '--help':
+        options.help = true;
+        break;
+      default:
+        throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+
+  return options;
+}
+
+// Function to load and check a golden set: { version, k, questions: [{ id, query, tenant, relevantTicketIds | relevantProducts }] }
+function loadGoldenSet(filePath) {
+  const goldenSet = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (goldenSet.version === undefined || !Array.isArray(goldenSet.questions) || goldenSet.questions.length === 0) {
+    throw new Error(`${filePath} needs a version and a non-empty questions array`);
+  }
+
+  const ids = new Set();
+  goldenSet.questions.forEach((question, index) => {
+    const label = question.id || `questions[${index}]`;
+    if (!question.id || ids.has(question.id)) {
+      throw new Error(`${label}: every question needs a unique id`);
+    }
+    if (!question.query || typeof question.query !== 'string') {
+      throw new Error(`${label}: query must be a non-empty string`);
+    }
+    const judged = ['relevantTicketIds', 'relevantProducts'].some(field => Array.isArray(question[field]) && question[field].length > 0);
+    if (!judged) {
+      throw new Error(`${label}: list the expected relevantTicketIds or relevantProducts`);
+    }
+    ids.add(question.id);
+  });
+  return goldenSet;
+}
+
+// Function to run one golden question: retrieve, optionally answer, and score both
+async function evaluateQuestion(agent, question, { k, retrievalOnly, search }) {
+  const tickets = await agent.searchTickets(question.query, question.tenant || null, k, search);
+  const result = {
+    id: question.id,
+    query: question.query,
+    tenant: question.tenant || null,
+    retrievedTicketIds: tickets.map(ticket => String(ticket.ticketId)),
+    ...retrievalMetrics(tickets, question, k)
+  };
+
+  if (retrievalOnly) {
+    return result;
+  }
+
+  const { result: response, usage } = await trackUsage(() => agent.generateResponse(question.query, tickets));
+  return {
+    ...result,
+    citationPrecision: citationPrecision(response.answer, tickets, question),
+    faithfulness: tickets.length > 0 ? faithfulness(response.answer, tickets) : null,
+    citedTicketIds: response.references.ticketIds || [],
+    unverifiedTicketIds: response.references.unverifiedTicketIds || [],
+    fallbackUsed: Boolean(response.references.fallbackUsed),
+    llmTokens: usage.totalTokens,
+    answer: response.answer
+  };
+}
+
+// Function to run a golden set and assemble the report
+async function runEvaluation(options) {
+  const goldenSet = loadGoldenSet(options.setPath);
+  const k = options.k || goldenSet.k || 10;
+  // Retrieval-only runs never answer, so they need no LLM provider credentials
+  const agent = new RAGAgent(options.retrievalOnly ? { llm: new LLMClient('answering', { provider: 'scripted' }) } : {});
+  const { mode, alpha, text, rerank } = agent.resolveSearchOptions(options.search);
+
+  const results = [];
+  for (const [index, question] of goldenSet.questions.entries()) {
+    console.log(`🧪 [${index + 1}/${goldenSet.questions.length}] ${question.id}: "${question.query}"`);
+    results.push(await evaluateQuestion(agent, question, { k, retrievalOnly: options.retrievalOnly, search: options.search }));
+  }
+
+  const summary = {
+    questions: results.length,
+    recall: mean(results.map(result => result.recall)),
+    mrr: mean(results.map(result => result.mrr)),
+    ndcg: mean(results.map(result => result.ndcg))
+  };
+  if (!options.retrievalOnly) {
+    summary.citationPrecision = mean(results.map(result => result.citationPrecision));
+    summary.faithfulness = mean(results.map(result => result.faithfulness));
+    summary.answersWithoutCitations = results.filter(result => result.citationPrecision === null).length;
+    summary.fallbackAnswers = results.filter(result => result.fallbackUsed).length;
+    summary.llmTokens = results.reduce((sum, result) => sum + result.llmTokens, 0);
+  }
+
+  return {
+    goldenSet: {
+      path: path.relative(process.cwd(), options.setPath),
+      version: goldenSet.version,
+      questions: goldenSet.questions.length
+    },
+    generatedAt: new Date().toISOString(),
+    settings: {
+      k,
+      mode,
+      alpha: mode === 'hybrid' ? alpha : null,
+      text,
+      rerank,
+      retrievalOnly: options.retrievalOnly,
+      llm: options.retrievalOnly ? null : `${agent.llm.settings.provider}/${agent.llm.settings.model}`
+    },
+    summary,
+    questions: results
+  };
+}
+
+// Function to format a metric for the Markdown report
+function formatMetric(value) {
+  return value === null || value === undefined ? 'n/a' : value.toFixed(3);
+}
+
+// Function to render a report as Markdown: settings, summary and one row per question
+function formatMarkdown(report) {
+  const { settings, summary } = report;
+  const { k } = settings;
+  const answers = !settings.retrievalOnly;
+  const lines = [
+    '# Evaluation Report',
+    '',
+    `Golden set: \`${report.goldenSet.path}\` (version ${report.goldenSet.version}, ${report.goldenSet.questions} questions)`,
+    '',
+    `Settings: k=${k}, search ${settings.mode}${settings.alpha !== null ? ` (alpha ${settings.alpha})` : ''}, ` +
+      `text ${settings.text}, rerank ${settings.rerank.length > 0 ? settings.rerank.join(', ') : 'none'}, ` +
+      `answers ${answers ? settings.llm : 'not generated'}`,
+    '',
+    '## Summary',
+    '',
+    '| Metric | Value |',
+    '| --- | --- |',
+    `| Recall@${k} | ${formatMetric(summary.recall)} |`,
+    `| MRR | ${formatMetric(summary.mrr)} |`,
+    `| nDCG@${k} | ${formatMetric(summary.ndcg)} |`
+  ];
+  if (answers) {
+    lines.push(
+      `| Citation precision | ${formatMetric(summary.citationPrecision)} |`,
+      `| Faithfulness | ${formatMetric(summary.faithfulness)} |`,
+      `| Answers without citations | ${summary.answersWithoutCitations} |`,
+      `| Fallback answers | ${summary.fallbackAnswers} |`
+    );
+  }
+
+  lines.push('', '## Questions', '');
+  const columns = ['Question', `Recall@${k}`, 'MRR', `nDCG@${k}`].concat(answers ? ['Citation precision', 'Faithfulness', 'Cited'] : []);
+  lines.push(`| ${columns.join(' | ')} |`, `| ${columns.map(() => '---').join(' | ')} |`);
+  for (const result of report.questions) {
+    const cells = [result.id, formatMetric(result.recall), formatMetric(result.mrr), formatMetric(result.ndcg)];
+    if (answers) {
+      cells.push(formatMetric(result.citationPrecision), formatMetric(result.faithfulness),
+        result.citedTicketIds.concat(result.unverifiedTicketIds.map(id => `${id} (unverified)`)).join(', ') || '-');
+    }
+    lines.push(`| ${cells.join(' | ')} |`);
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+// Function to write <basePath>.json and <basePath>.md
+function writeReports(report, basePath) {
+  fs.mkdirSync(path.dirname(basePath), { recursive: true });
+  const jsonPath = `${basePath}.json`;
+  const markdownPath = `${basePath}.md`;
+  fs.writeFileSync(jsonPath, JSON.stringify(report, null, 2) + '\n');
+  fs.writeFileSync(markdownPath, formatMarkdown(report));
+  return [jsonPath, markdownPath];
+}
+
+// Main execution function
+async function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`❌ ${error.message}\n`);
+    console.log(USAGE);
+    process.exit(1);
+  }
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  try {
+    const report = await runEvaluation(options);
+    const [jsonPath, markdownPath] = writeReports(report, options.reportPath);
+
+    const { summary, settings } = report;
+    console.log(`\n📈 Recall@${settings.k}: ${formatMetric(summary.recall)}  MRR: ${formatMetric(summary.mrr)}  nDCG@${settings.k}: ${formatMetric(summary.ndcg)}`);
+    if (!settings.retrievalOnly) {
+      console.log(`🔗 Citation precision: ${formatMetric(summary.citationPrecision)}  Faithfulness: ${formatMetric(summary.faithfulness)}`);
+    }
+    console.log(`📄 Reports written: ${jsonPath}, ${markdownPath}`);
+
+    // Nothing retrieved at all usually means Weaviate is down or empty, not a bad retrieval setup
+    if (report.questions.every(result => result.retrievedTicketIds.length === 0)) {
+      console.error('❌ No tickets were retrieved for any question. Is Weaviate running with the tickets imported?');
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('Fatal error:', error);
+    process.exit(1);
+  }
+}
+
+// Run the script
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
+
+export { parseArgs, loadGoldenSet, evaluateQuestion, runEvaluation, formatMarkdown };
@@ -1,16 +1,40 @@
 // Node.js Express server for Customer Support AI Assistant - UPDATED VERSION
 import express from 'express';
+import { randomUUID } from 'crypto';
 import cors from 'cors';
 import helmet from 'helmet';
-import weaviate from 'weaviate-ts-client';
 import config from './config.js';
 import DelegatingAgent from './agents/delegatingAgent.js';
+import ChartRenderer from './agents/chartRenderer.js';
+import PIIRedactor from './agents/piiRedactor.js';
+import TenantManager from './agents/tenantManager.js';
+import createApiKeyStore from './agents/apiKeyStore.js';
+import TicketStore from './agents/ticketStore.js';
+import RateLimiter from './agents/rateLimiter.js';
+import { trackUsage } from './agents/llmClient.js';
+import { traceQuery } from './agents/debugTrace.js';
+import { metrics } from './agents/metrics.js';
+import { logger } from './agents/logger.js';
+import { RERANK_STRATEGIES } from './agents/reranker.js';
+import { ANALYTICS_CHARTS, TREND_CHARTS } from './agents/chartTool.js';
 import { specs, swaggerUi } from './swagger.js';
 
+// Endpoints that answer without an API key
+const PUBLIC_PATHS = ['/health'];
+
+// Incoming X-Request-Id values are kept when they look like an ID, otherwise a new one is issued
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
 class SupportAssistantServer {
   constructor() {
     this.app = express();
     this.delegatingAgent = new DelegatingAgent();
+    this.chartRenderer = new ChartRenderer();
+    this.piiRedactor = new PIIRedactor();
+    this.tenants = new TenantManager();
+    this.apiKeys = createApiKeyStore();
+    this.tickets = new TicketStore();
+    this.rateLimiter = new RateLimiter();
     this.setupMiddleware();
     this.setupRoutes();
   }
@@ -36,10 +60,295 @@ class SupportAssistantServer {
       customSiteTitle: 'Customer Support AI Assistant API'
     }));
 
+    // Correlation ID: taken from X-Request-Id or generated, echoed back, and attached to every log line of the request
+    this.app.use((req, res, next) => {
+      const presented = req.get('X-Request-Id');
+      req.requestId = presented && REQUEST_ID_PATTERN.test(presented) ? presented : randomUUID();
+      res.set('X-Request-Id', req.requestId);
+      logger.runWithContext({ requestId: req.requestId }, next);
+    });
+
     // Request logging
     this.app.use((req, res, next) => {
-      console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
+      const startTime = Date.now();
+      logger.info('➡️ Request received', { method: req.method, path: req.path });
+      res.on('finish', () => {
+        logger.info('⬅️ Request completed', {
+          requestId: req.requestId,
+          method: req.method,
+          path: req.path,
+          status: res.statusCode,
+          durationMs: Date.now() - startTime
+        });
+      });
+      next();
+    });
+
+    // API key authentication: sets req.apiKey, req.role and req.allowedTenants
+    this.app.use((req, res, next) => this.authenticate(req, res, next));
+
+    // PII policy: roles without access get customer data redacted from every JSON response
+    this.app.use((req, res, next) => {
+      req.redactPII = !this.piiRedactor.canViewPII(req.role);
+      res.set('X-PII-Redacted', String(req.redactPII));
+
+      if (req.redactPII) {
+        const json = res.json.bind(res);
+        res.json = body => json(this.piiRedactor.redactValue(body));
+      }
+      next();
+    });
+  }
+
+  // Identify the caller from X-API-Key or Authorization: Bearer <key>
+  // Requests without a key are only let through (with the default role, every tenant) when AUTH_REQUIRED=false
+  async authenticate(req, res, next) {
+    req.apiKey = null;
+    req.role = config.auth.defaultRole;
+    req.allowedTenants = null; // null = every tenant
+
+    const bearer = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+    const presented = req.get('X-API-Key') || (bearer && bearer[1]);
+
+    if (!presented) {
+      if (!config.auth.required || PUBLIC_PATHS.includes(req.path)) {
+        return next();
+      }
+      return res.status(401).json({
+        error: 'An API key is required. Send it in the X-API-Key header or as Authorization: Bearer <key>.',
+        code: 'UNAUTHORIZED',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    try {
+      const apiKey = await this.apiKeys.authenticate(presented);
+      if (!apiKey) {
+        return res.status(401).json({
+          error: 'Invalid or revoked API key',
+          code: 'INVALID_API_KEY',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      req.apiKey = apiKey;
+      req.role = apiKey.role;
+      req.allowedTenants = this.apiKeys.allowedTenants(apiKey);
+      next();
+    } catch (error) {
+      logger.error('Error authenticating request', { error });
+      res.status(500).json({
+        error: 'Failed to authenticate request',
+        code: 'AUTH_ERROR',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  // Whether the caller's key may read a tenant
+  canAccessTenant(req, tenant) {
+    return !req.apiKey || this.apiKeys.canAccessTenant(req.apiKey, tenant);
+  }
+
+  // Error payload for named tenants outside the caller's allow-list, or null
+  tenantAccessError(req, tenants = []) {
+    const denied = tenants.filter(tenant => tenant && !this.canAccessTenant(req, tenant));
+    if (denied.length === 0) {
+      return null;
+    }
+    return {
+      error: `This API key cannot access tenant: ${denied.join(', ')}`,
+      code: 'TENANT_FORBIDDEN',
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  // Spell a tenant the way the key's allow-list does, so filters match the stored product name
+  canonicalTenant(req, tenant) {
+    const allowed = tenant && req.allowedTenants &&
+      req.allowedTenants.find(name => name.toLowerCase() === String(tenant).trim().toLowerCase());
+    return allowed || tenant;
+  }
+
+  // Tenant used when a request names none: a key limited to one tenant is scoped to it automatically
+  defaultTenant(req) {
+    return req.allowedTenants && req.allowedTenants.length === 1 ? req.allowedTenants[0] : null;
+  }
+
+  // Keys limited to some tenants only see the threads they started
+  canAccessThread(req, thread) {
+    return !req.allowedTenants || Boolean(req.apiKey && thread.owner === req.apiKey.id);
+  }
+
+  threadNotFound(res, threadId) {
+    return res.status(404).json({
+      error: `Thread not found: ${threadId}`,
+      code: 'THREAD_NOT_FOUND',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  // Apply the caller's allow-list to a query: { status, error } when refused, otherwise { tenant, options }
+  // options carries the allow-list and thread owner for DelegatingAgent.handleQuery
+  async scopeQuery(req, { tenant, threadId, trend } = {}) {
+    const accessError = this.tenantAccessError(req, [tenant, ...((trend && trend.tenants) || [])]);
+    if (accessError) {
+      return { status: 403, error: accessError };
+    }
+
+    if (threadId) {
+      const thread = await this.delegatingAgent.conversationStore.getThread(threadId);
+      if (thread && !this.canAccessThread(req, thread)) {
+        return {
+          status: 404,
+          error: { error: `Thread not found: ${threadId}`, code: 'THREAD_NOT_FOUND', timestamp: new Date().toISOString() }
+        };
+      }
+    }
+
+    return {
+      tenant: this.canonicalTenant(req, tenant) || this.defaultTenant(req),
+      options: {
+        allowedTenants: req.allowedTenants,
+        owner: req.apiKey ? req.apiKey.id : null
+      }
+    };
+  }
+
+  // Rate limit subjects of a query: the caller's API key (client address without one) and the tenant it reads
+  // Only existing tenants get a bucket, so made-up tenant names cannot grow the limiter's memory
+  async rateLimitSubjects(req, tenant) {
+    const known = await this.tenants.isKnownTenant(tenant).catch(error => {
+      logger.warn('⚠️ Could not check the tenant for rate limiting', { tenant, error });
+      return false;
+    });
+    return this.rateLimiter.subjectsFor({
+      keyId: req.apiKey ? req.apiKey.id : `ip:${req.ip}`,
+      keyLimits: req.apiKey ? req.apiKey.limits : null,
+      tenant: known ? tenant : null
+    });
+  }
+
+  // Tenant label of the request metrics: 'other' for tenants that do not exist, so made-up names add no series
+  async tenantLabel(tenant) {
+    if (!tenant) {
+      return null;
+    }
+    return (await this.tenants.isKnownTenant(tenant).catch(() => false)) ? tenant : 'other';
+  }
+
+  // Admit a query against its rate limits, setting the RateLimit-* and X-LLM-Token-* headers
+  // Sends a 429 and returns false when a request or token budget is spent
+  checkRateLimit(req, res, subjects) {
+    const decision = this.rateLimiter.admit(subjects);
+
+    if (decision.requests) {
+      res.set({
+        'RateLimit-Limit': String(decision.requests.limit),
+        'RateLimit-Remaining': String(decision.requests.remaining),
+        'RateLimit-Reset': String(decision.requests.reset)
+      });
+    }
+    if (decision.tokens) {
+      res.set({
+        'X-LLM-Token-Limit': String(decision.tokens.limit),
+        'X-LLM-Token-Remaining': String(decision.tokens.remaining)
+      });
+    }
+
+    if (decision.allowed) {
+      return true;
+    }
+
+    const { scope, id, type } = decision.blocked;
+    const subject = scope === 'key' ? 'API key' : `tenant ${id}`;
+    logger.warn('🚦 Rate limited', { scope, id, type });
+    res.set('Retry-After', String(decision.retryAfter));
+    res.status(429).json({
+      error: type === 'requests'
+        ? `Too many requests for this ${subject}. Retry in ${decision.retryAfter}s.`
+        : `Daily LLM token budget exhausted for this ${subject}. Retry in ${decision.retryAfter}s.`,
+      code: type === 'requests' ? 'RATE_LIMITED' : 'TOKEN_BUDGET_EXCEEDED',
+      timestamp: new Date().toISOString()
+    });
+    return false;
+  }
+
+  // Middleware: only callers with one of the given roles may continue
+  requireRole(...roles) {
+    return (req, res, next) => {
+      if (!roles.includes(req.role)) {
+        return res.status(403).json({
+          error: `This endpoint requires the ${roles.join(' or ')} role`,
+          code: 'FORBIDDEN',
+          timestamp: new Date().toISOString()
+        });
+      }
+      next();
+    };
+  }
+
+  // Middleware: only keys that may read every tenant may continue (they could otherwise widen their own access)
+  requireAllTenants() {
+    return (req, res, next) => {
+      if (req.allowedTenants) {
+        return res.status(403).json({
+          error: 'This endpoint requires an API key for every tenant',
+          code: 'FORBIDDEN',
+          timestamp: new Date().toISOString()
+        });
+      }
       next();
+    };
+  }
+
+  // Middleware: tenant management only exists with native Weaviate multi-tenancy
+  requireNativeTenancy() {
+    return (req, res, next) => {
+      if (!this.tenants.isNative()) {
+        return res.status(400).json({
+          error: 'Tenant management requires TENANCY_MODE=native; in filter mode tenants are the products in the data',
+          code: 'NATIVE_TENANCY_REQUIRED',
+          timestamp: new Date().toISOString()
+        });
+      }
+      next();
+    };
+  }
+
+  // Look up a native tenant by product or tenant name
+  async findTenant(product) {
+    const name = this.tenants.toTenantName(product);
+    return (await this.tenants.listTenants()).find(tenant => tenant.name === name) || null;
+  }
+
+  apiKeyNotFound(res, keyId) {
+    return res.status(404).json({
+      error: `API key not found: ${keyId}`,
+      code: 'API_KEY_NOT_FOUND',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  ticketNotFound(res, ticketId) {
+    return res.status(404).json({
+      error: `Ticket not found: ${ticketId}`,
+      code: 'TICKET_NOT_FOUND',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  // Look up a ticket the caller may read; tickets of other tenants are reported as not found
+  async findTicket(req, ticketId, options = {}) {
+    const ticket = await this.tickets.find(ticketId, { ...options, tenants: req.allowedTenants });
+    return ticket && this.canAccessTenant(req, ticket.properties.productPurchased) ? ticket : null;
+  }
+
+  tenantNotFound(req, res) {
+    return res.status(404).json({
+      error: `Tenant not found: ${req.params.tenant}`,
+      code: 'TENANT_NOT_FOUND',
+      timestamp: new Date().toISOString()
     });
   }
 
@@ -52,6 +361,7 @@ class SupportAssistantServer {
      *     summary: Health check endpoint
      *     description: Returns the health status of the API server
      *     tags: [System]
+     *     security: []
      *     responses:
      *       200:
      *         description: Server is healthy
@@ -72,6 +382,50 @@ class SupportAssistantServer {
       });
     });
 
+    // Prometheus metrics endpoint
+    /**
+     * @swagger
+     * /metrics:
+     *   get:
+     *     summary: Pipeline metrics for Prometheus
+     *     description: |
+     *       Counters and latency histograms in the Prometheus text exposition format:
+     *       - `support_requests_total{endpoint,tenant,status}` - queries per endpoint (`query`, `stream`), tenant and outcome
+     *       - `support_request_duration_seconds{endpoint}` - end-to-end query latency
+     *       - `support_slow_responses_total{endpoint}` - queries over the NFR-1 limit of 5 seconds
+     *       - `support_stage_duration_seconds{stage}` - latency of `routing`, `search`, `generation` and `analytics`
+     *       - `support_stage_errors_total{stage}` - stages that failed
+     *       - `support_routes_total{route}` - routing decisions: `rag`, `chart`, `both` or `none`
+     *       - `support_fallbacks_total{fallback}` - `keyword_routing`, `transformer_error`, `graphql_fallback`, `fetch_objects` or `template_answer`
+     *       - `support_llm_rate_limited_total{role,provider}` - LLM calls rejected with 429 or quota errors
+     *
+     *       Per-tenant counts span every tenant, so the endpoint needs an admin key for every tenant (Prometheus
+     *       can send it with `authorization: { credentials: <key> }`). Disabled with METRICS_ENABLED=false.
+     *     tags: [System]
+     *     responses:
+     *       200:
+     *         description: Metrics in Prometheus text format
+     *         content:
+     *           text/plain:
+     *             schema:
+     *               type: string
+     *             example: |
+     *               # HELP support_routes_total Routing decisions: rag (RAG only), chart (charts or trends only), both, none
+     *               # TYPE support_routes_total counter
+     *               support_routes_total{route="rag"} 42
+     *               support_routes_total{route="both"} 7
+     *       401:
+     *         $ref: '#/components/responses/Unauthorized'
+     *       403:
+     *         description: Caller is not an admin with access to every tenant
+     */
+    if (config.metrics.enabled) {
+      this.app.get('/metrics', this.requireRole('admin'), this.requireAllTenants(), (req, res) => {
+        res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+        res.send(metrics.render());
+      });
+    }
+
     // FR-13: Main query endpoint
     /**
      * @swagger
@@ -85,7 +439,17 @@ class SupportAssistantServer {
      *       - Use both tools for combined responses
      *       
      *       The Delegating Agent analyzes the query and routes it to appropriate tools.
+     *
+     *       Admins can add `debug: true` (or `?debug=true`) to get a `debug` trace of every step: routing decision,
+     *       prompts and raw LLM output, search strategy and where clauses, candidate tickets with scores, fallbacks
+     *       and timings. Other roles get a 403.
      *     tags: [Query]
+     *     parameters:
+     *       - in: query
+     *         name: debug
+     *         schema:
+     *           type: boolean
+     *         description: Return the debug trace (admin keys only); same as `debug` in the body
      *     requestBody:
      *       required: true
      *       content:
@@ -110,6 +474,45 @@ class SupportAssistantServer {
      *               value:
      *                 query: "Show me iPhone issues"
      *                 tenant: "iPhone"
+     *             debug_query:
+     *               summary: Query with Debug Trace (admin)
+     *               value:
+     *                 query: "Why does my GoPro battery drain?"
+     *                 tenant: "GoPro Hero"
+     *                 debug: true
+     *             hybrid_query:
+     *               summary: Keyword-heavy Hybrid Search Example
+     *               value:
+     *                 query: "refund for error code E42"
+     *                 search:
+     *                   mode: "hybrid"
+     *                   alpha: 0.25
+     *             filtered_query:
+     *               summary: Query with Natural-language Filters
+     *               value:
+     *                 query: "open critical tickets from email about refunds in 2021"
+     *             trend_query:
+     *               summary: Trend Query with Per-tenant Series
+     *               value:
+     *                 query: "Show monthly ticket volume trend"
+     *                 trend:
+     *                   bucket: "month"
+     *                   tenants: ["iPhone", "GoPro Hero"]
+     *                   from: "2021-01-01"
+     *                   to: "2021-12-31"
+     *             rendered_chart_query:
+     *               summary: Analytics Query with Chart Image Links
+     *               value:
+     *                 query: "Show high priority ticket analytics"
+     *                 tenant: "GoPro Hero"
+     *                 render:
+     *                   format: "png"
+     *                   mode: "url"
+     *             follow_up_query:
+     *               summary: Follow-up Query in an Existing Thread
+     *               value:
+     *                 query: "What about for high priority ones?"
+     *                 threadId: "3f1c2a9e-5b7d-4e21-9a0c-7d2b8e4f6a11"
      *     responses:
      *       200:
      *         description: Query processed successfully
@@ -121,20 +524,56 @@ class SupportAssistantServer {
      *               rag_response:
      *                 summary: RAG Response
      *                 value:
-     *                   answer: "I found 3 relevant support tickets for your query. The most common solutions include checking device settings, restarting the device, and ensuring proper connectivity."
+     *                   answer: "The most common fix is restarting the device after a firmware update [#1234]. Connectivity drops were solved by re-pairing [#5678]."
      *                   references:
-     *                     ticketIds: ["1234", "5678", "9012"]
+     *                     threadId: "3f1c2a9e-5b7d-4e21-9a0c-7d2b8e4f6a11"
+     *                     ticketIds: ["1234", "5678"]
+     *                     retrievedTicketIds: ["1234", "5678", "9012"]
+     *                     citations:
+     *                       - sentence: "The most common fix is restarting the device after a firmware update."
+     *                         ticketIds: ["1234"]
+     *                         unverifiedTicketIds: []
+     *                         snippets:
+     *                           - ticketId: "1234"
+     *                             field: "resolution"
+     *                             text: "Restarted the device after updating the firmware."
+     *                       - sentence: "Connectivity drops were solved by re-pairing."
+     *                         ticketIds: ["5678"]
+     *                         unverifiedTicketIds: []
+     *                         snippets:
+     *                           - ticketId: "5678"
+     *                             field: "resolution"
+     *                             text: "Re-paired the device with the phone."
+     *                     unverifiedTicketIds: []
+     *                     turn: 1
+     *                     search:
+     *                       mode: "hybrid"
+     *                       alpha: 0.5
+     *                       rerank: null
+     *                       scores:
+     *                         - ticketId: "1234"
+     *                           score: 0.91
+     *                           distance: null
+     *                           keywordScore: { original: 3.2, normalized: 0.48 }
+     *                           vectorScore: { original: 0.86, normalized: 0.43 }
      *                   chart: null
      *                   metadata:
      *                     processingTimeMs: 1250
      *                     timestamp: "2025-09-17T07:41:09.931Z"
      *                     tenant: "global"
+     *                     filters: []
+     *                     cache:
+     *                       routing: false
+     *                       search: false
+     *                       answer: false
+     *                       analytics: null
      *               analytics_response:
      *                 summary: Analytics Response
      *                 value:
      *                   answer: "📊 **Analytics Dashboard:**\nI've generated comprehensive analytics for your support tickets."
      *                   references:
-     *                     ticketIds: []
+     *                     threadId: "3f1c2a9e-5b7d-4e21-9a0c-7d2b8e4f6a11"
+     *                     turn: 2
      *                   chart:
      *                     statusDistribution:
      *                       type: "doughnut"
@@ -145,6 +584,15 @@ class SupportAssistantServer {
      *                     processingTimeMs: 2100
      *                     timestamp: "2025-09-17T07:41:16.888Z"
      *                     tenant: "global"
+     *                     analytics:
+     *                       charts:
+     *                         source: "analytics"
+     *                         strategy: "aggregate"
+     *                         rowStrategy: "cursor"
+     *                         totalTickets: 8469
+     *                         rowsScanned: 8469
+     *                         pages: 9
+     *                         exact: true
      *       400:
      *         description: Invalid request
      *         content:
@@ -155,6 +603,29 @@ class SupportAssistantServer {
      *               error: "Invalid query. Please provide a non-empty string."
      *               code: "INVALID_QUERY"
      *               timestamp: "2025-09-17T07:41:09.931Z"
+     *       401:
+     *         $ref: '#/components/responses/Unauthorized'
+     *       403:
+     *         description: The API key cannot access a requested tenant, or asked for a debug trace without the admin role
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/ErrorResponse'
+     *             examples:
+     *               tenant:
+     *                 summary: Tenant not allowed
+     *                 value:
+     *                   error: "This API key cannot access tenant: iPhone"
+     *                   code: "TENANT_FORBIDDEN"
+     *                   timestamp: "2025-09-17T07:41:09.931Z"
+     *               debug:
+     *                 summary: Debug trace without the admin role
+     *                 value:
+     *                   error: "Debug traces require the admin role"
+     *                   code: "FORBIDDEN"
+     *                   timestamp: "2025-09-17T07:41:09.931Z"
+     *       429:
+     *         $ref: '#/components/responses/RateLimited'
      *       500:
      *         description: Internal server error
      *         content:
@@ -167,23 +638,46 @@ class SupportAssistantServer {
      *               timestamp: "2025-09-17T07:41:09.931Z"
      */
     this.app.post('/query', async (req, res) => {
+      // Clients asking for an event stream get the streaming variant of this endpoint
+      if (this.wantsEventStream(req)) {
+        return this.streamQuery(req, res);
+      }
+
+      const startTime = Date.now();
+      let tenant = null;
       try {
-        const startTime = Date.now();
-        
         // Validate request
-        const { query, tenant } = req.body;
+        const { query, threadId, search, trend, render } = req.body;
         
-        if (!query || typeof query !== 'string' || query.trim().length === 0) {
-          return res.status(400).json({
-            error: 'Invalid query. Please provide a non-empty string.',
-            code: 'INVALID_QUERY'
-          });
+        const validationError = this.validateQueryRequest(req.body);
+        if (validationError) {
+          return res.status(400).json(validationError);
+        }
+
+        const debug = this.wantsDebug(req);
+        if (debug && req.role !== 'admin') {
+          return res.status(403).json(this.debugForbiddenError());
+        }
+
+        const scope = await this.scopeQuery(req, req.body);
+        if (scope.error) {
+          return res.status(scope.status).json(scope.error);
+        }
+        tenant = scope.tenant;
+
+        const subjects = await this.rateLimitSubjects(req, scope.tenant);
+        if (!this.checkRateLimit(req, res, subjects)) {
+          return;
         }
 
-        console.log(`📨 Received query: "${query}"${tenant ? ` for tenant: ${tenant}` : ''}`);
+        logger.info('📨 Received query', { query, tenant: scope.tenant, threadId });
 
-        // FR-14: Handle query independently (single-turn)
-        const result = await this.delegatingAgent.handleQuery(query.trim(), tenant);
+        // Handle query within its conversation thread (a new thread is started when none is given)
+        // Admins asking for debug=true also get every step the agents took
+        const { result: { result, usage }, trace } = await traceQuery(() => trackUsage(() =>
+          this.delegatingAgent.handleQuery(query.trim(), scope.tenant, threadId, { ...scope.options, search, trend, requestId: req.requestId })),
+        { enabled: debug });
+        this.rateLimiter.consumeTokens(subjects, usage.totalTokens);
 
         const processingTime = Date.now() - startTime;
         
@@ -193,22 +687,38 @@ class SupportAssistantServer {
           references: result.references,
           chart: result.chart,
           metadata: {
+            requestId: req.requestId,
             processingTimeMs: processingTime,
             timestamp: new Date().toISOString(),
-            tenant: tenant || 'global'
+            tenant: result.tenant || 'global',
+            filters: result.filters || [],
+            analytics: result.analytics || null,
+            cache: result.cache || null,
+            llmTokens: usage.totalTokens
           }
         };
 
+        // Optionally render the Chart.js configs to images (inline data URIs or /charts URLs)
+        if (render && result.chart) {
+          response.images = await this.renderChartImages(result, render, { query, trend });
+        }
+
+        if (trace) {
+          response.debug = this.formatDebugTrace(req, trace, usage);
+        }
+
         // NFR-1: Check if response time is within 5 seconds
-        if (processingTime > 5000) {
-          console.warn(`⚠️ Response time exceeded 5 seconds: ${processingTime}ms`);
+        if (processingTime > config.metrics.slowResponseMs) {
+          logger.warn('⚠️ Response time exceeded 5 seconds', { processingTimeMs: processingTime });
         }
+        metrics.recordRequest('query', await this.tenantLabel(result.tenant), processingTime);
 
-        console.log(`✅ Query processed in ${processingTime}ms`);
+        logger.info('✅ Query processed', { processingTimeMs: processingTime, llmTokens: usage.totalTokens });
         res.json(response);
 
       } catch (error) {
-        console.error('Query processing error:', error);
+        logger.error('Query processing error', { error });
+        metrics.recordRequest('query', await this.tenantLabel(tenant), Date.now() - startTime, 'error');
         
         res.status(500).json({
           error: 'Internal server error while processing your query.',
@@ -218,13 +728,77 @@ class SupportAssistantServer {
       }
     });
 
+    // Streaming query endpoint (Server-Sent Events)
+    /**
+     * @swagger
+     * /query/stream:
+     *   post:
+     *     summary: Process user query and stream the answer
+     *     description: |
+     *       Streaming variant of `POST /query` using Server-Sent Events. The same stream is returned by
+     *       `POST /query` when the request sends `Accept: text/event-stream`.
+     *
+     *       Events are sent in this order:
+     *       - `route` - routing decision (needsRAG, needsChart, reasoning, threadId, tenant)
+     *       - `references` - retrieved tickets (RAG queries only)
+     *       - `token` - answer text as it is generated; `replace: true` means discard the text shown so far
+     *       - `chart` - one event per Chart.js config as soon as it is built (`name`, `chart`)
+     *       - `metadata` - final event with the full answer, references and timings (plus `debug` when an admin sent debug=true)
+     *
+     *       If processing fails part-way an `error` event (ErrorResponse shape) is sent and the stream closes.
+     *       Processing stops when the client disconnects.
+     *     tags: [Query]
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             $ref: '#/components/schemas/QueryRequest'
+     *           example:
+     *             query: "Show most common GoPro Hero issues"
+     *     responses:
+     *       200:
+     *         description: Event stream
+     *         content:
+     *           text/event-stream:
+     *             schema:
+     *               type: string
+     *             example: |
+     *               event: route
+     *               data: {"needsRAG":true,"needsChart":false,"reasoning":"Asks about product issues","threadId":"3f1c2a9e-5b7d-4e21-9a0c-7d2b8e4f6a11","tenant":null}
+     *
+     *               event: references
+     *               data: {"tickets":[{"ticketId":"1234","ticketSubject":"Product setup","productPurchased":"GoPro Hero","ticketStatus":"Closed","ticketPriority":"High"}]}
+     *
+     *               event: token
+     *               data: {"text":"The most common GoPro Hero issues"}
+     *
+     *               event: metadata
+     *               data: {"answer":"The most common GoPro Hero issues ...","references":{"threadId":"3f1c2a9e-5b7d-4e21-9a0c-7d2b8e4f6a11","ticketIds":["1234"],"turn":1},"metadata":{"processingTimeMs":1250,"timestamp":"2025-09-17T07:41:09.931Z","tenant":"global"}}
+     *       400:
+     *         description: Invalid request
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/ErrorResponse'
+     *       401:
+     *         $ref: '#/components/responses/Unauthorized'
+     *       403:
+     *         $ref: '#/components/responses/TenantForbidden'
+     *       429:
+     *         $ref: '#/components/responses/RateLimited'
+     */
+    this.app.post('/query/stream', (req, res) => this.streamQuery(req, res));
+
     // Get available tenants (products)
     /**
      * @swagger
      * /tenants:
      *   get:
      *     summary: Get available tenants (products)
-     *     description: Returns a list of available tenants (products) in the system with their ticket counts
+     *     description: |
+     *       Returns a list of available tenants (products) in the system with their ticket counts.
+     *       With TENANCY_MODE=native every tenant shard is listed with its Weaviate name and whether it is active.
      *     tags: [Analytics]
      *     responses:
      *       200:
@@ -252,14 +826,14 @@ class SupportAssistantServer {
      */
     this.app.get('/tenants', async (req, res) => {
       try {
-        const tenants = await this.getAvailableTenants();
+        const tenants = (await this.getAvailableTenants()).filter(entry => this.canAccessTenant(req, entry.name));
         res.json({
           tenants,
           count: tenants.length,
           timestamp: new Date().toISOString()
         });
       } catch (error) {
-        console.error('Error fetching tenants:', error);
+        logger.error('Error fetching tenants', { error });
         res.status(500).json({
           error: 'Failed to fetch available tenants',
           code: 'TENANTS_ERROR'
@@ -267,73 +841,1092 @@ class SupportAssistantServer {
       }
     });
 
-    // Get system statistics
+    // Native tenant management (admin only)
     /**
      * @swagger
-     * /stats:
-     *   get:
-     *     summary: Get system statistics
-     *     description: Returns comprehensive system statistics including ticket counts, status distribution, and server metrics
-     *     tags: [Analytics]
+     * /tenants:
+     *   post:
+     *     summary: Create native tenants
+     *     description: |
+     *       Creates one Weaviate tenant per product. Products that already have a tenant are left as they are.
+     *       Requires the admin role and TENANCY_MODE=native.
+     *     tags: [Tenants]
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             $ref: '#/components/schemas/CreateTenantsRequest'
      *     responses:
-     *       200:
-     *         description: System statistics
+     *       201:
+     *         description: Tenants created
      *         content:
      *           application/json:
      *             schema:
-     *               $ref: '#/components/schemas/StatsResponse'
-     *             example:
-     *               totalTickets: 8469
-     *               statusDistribution:
-     *                 Open: 1250
-     *                 Closed: 6500
-     *                 "Pending Customer Response": 719
-     *               availableTenants:
-     *                 - name: "iPhone"
-     *                   ticketCount: 1250
-     *                 - name: "Samsung TV"
-     *                   ticketCount: 890
-     *               uptime: 3600
-     *               memoryUsage:
-     *                 rss: 45678912
-     *                 heapTotal: 20971520
-     *                 heapUsed: 15728640
-     *               timestamp: "2025-09-17T07:41:09.931Z"
-     *       500:
-     *         description: Error fetching statistics
+     *               $ref: '#/components/schemas/CreateTenantsResponse'
+     *       400:
+     *         description: Invalid tenant list, or the server is not in native tenancy mode
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/ErrorResponse'
+     *       403:
+     *         description: Caller is not an admin
      *         content:
      *           application/json:
      *             schema:
      *               $ref: '#/components/schemas/ErrorResponse'
      */
-    this.app.get('/stats', async (req, res) => {
+    this.app.post('/tenants', this.requireRole('admin'), this.requireNativeTenancy(), async (req, res) => {
+      const { tenants } = req.body || {};
+      if (!Array.isArray(tenants) || tenants.length === 0 ||
+        !tenants.every(name => typeof name === 'string' && this.tenants.toTenantName(name))) {
+        return res.status(400).json({
+          error: 'Invalid tenants. Please provide a non-empty array of product names.',
+          code: 'INVALID_TENANTS'
+        });
+      }
+      const accessError = this.tenantAccessError(req, tenants);
+      if (accessError) {
+        return res.status(403).json(accessError);
+      }
+
       try {
-        const stats = await this.getSystemStats();
-        res.json({
-          ...stats,
+        const created = await this.tenants.createTenants(tenants);
+        this.tenants.forgetKnownTenants();
+        logger.info('🏢 Created tenants', { tenants: created });
+        res.status(201).json({
+          created,
+          tenants: [...new Set(tenants.map(name => this.tenants.toTenantName(name)))],
           timestamp: new Date().toISOString()
         });
       } catch (error) {
-        console.error('Error fetching stats:', error);
+        logger.error('Error creating tenants', { error });
         res.status(500).json({
-          error: 'Failed to fetch system statistics',
-          code: 'STATS_ERROR'
+          error: 'Failed to create tenants',
+          code: 'TENANTS_ERROR'
         });
       }
     });
 
-    // Note: Demo functionality is provided through Swagger UI at /api-docs
-    // Interactive examples and documentation are available there
+    /**
+     * @swagger
+     * /tenants/{tenant}:
+     *   patch:
+     *     summary: Activate or deactivate a native tenant
+     *     description: |
+     *       Deactivated tenants (COLD) are offloaded by Weaviate and skipped by queries, analytics and stats
+     *       until they are activated again (HOT). Requires the admin role and TENANCY_MODE=native.
+     *     tags: [Tenants]
+     *     parameters:
+     *       - in: path
+     *         name: tenant
+     *         required: true
+     *         schema:
+     *           type: string
+     *         description: Product or tenant name
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             required: [active]
+     *             properties:
+     *               active:
+     *                 type: boolean
+     *           example:
+     *             active: false
+     *     responses:
+     *       200:
+     *         description: Tenant status updated
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/TenantStatusResponse'
+     *       400:
+     *         description: Invalid body, or the server is not in native tenancy mode
+     *       403:
+     *         description: Caller is not an admin
+     *       404:
+     *         description: Tenant not found
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/ErrorResponse'
+     *   delete:
+     *     summary: Delete a native tenant and all of its tickets
+     *     description: Requires the admin role and TENANCY_MODE=native.
+     *     tags: [Tenants]
+     *     parameters:
+     *       - in: path
+     *         name: tenant
+     *         required: true
+     *         schema:
+     *           type: string
+     *         description: Product or tenant name
+     *     responses:
+     *       204:
+     *         description: Tenant deleted
+     *       400:
+     *         description: The server is not in native tenancy mode
+     *       403:
+     *         description: Caller is not an admin
+     *       404:
+     *         description: Tenant not found
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/ErrorResponse'
+     */
+    this.app.patch('/tenants/:tenant', this.requireRole('admin'), this.requireNativeTenancy(), async (req, res) => {
+      const { active } = req.body || {};
+      if (typeof active !== 'boolean') {
+        return res.status(400).json({
+          error: 'Invalid tenant update. Please provide { "active": true | false }.',
+          code: 'INVALID_TENANT_UPDATE'
+        });
+      }
 
-    // 404 handler
-    this.app.use('*', (req, res) => {
-      res.status(404).json({
-        error: 'Endpoint not found',
-        code: 'NOT_FOUND',
+      const accessError = this.tenantAccessError(req, [req.params.tenant]);
+      if (accessError) {
+        return res.status(403).json(accessError);
+      }
+
+      try {
+        if (!(await this.findTenant(req.params.tenant))) {
+          return this.tenantNotFound(req, res);
+        }
+        const status = await this.tenants.setActive(req.params.tenant, active);
+        // Cached results may include (or miss) the tenant's tickets
+        await this.delegatingAgent.cache.invalidate();
+        logger.info(`🏢 Tenant ${active ? 'activated' : 'deactivated'}`, { tenant: status.name });
+        res.json({
+          ...status,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        logger.error('Error updating tenant', { error });
+        res.status(500).json({
+          error: 'Failed to update tenant',
+          code: 'TENANTS_ERROR'
+        });
+      }
+    });
+
+    this.app.delete('/tenants/:tenant', this.requireRole('admin'), this.requireNativeTenancy(), async (req, res) => {
+      const accessError = this.tenantAccessError(req, [req.params.tenant]);
+      if (accessError) {
+        return res.status(403).json(accessError);
+      }
+
+      try {
+        if (!(await this.findTenant(req.params.tenant))) {
+          return this.tenantNotFound(req, res);
+        }
+        const [name] = await this.tenants.deleteTenants([req.params.tenant]);
+        this.tenants.forgetKnownTenants();
+        await this.delegatingAgent.cache.invalidate();
+        logger.info('🗑️ Deleted tenant', { tenant: name });
+        res.status(204).end();
+      } catch (error) {
+        logger.error('Error deleting tenant', { error });
+        res.status(500).json({
+          error: 'Failed to delete tenant',
+          code: 'TENANTS_ERROR'
+        });
+      }
+    });
+
+    // API key management (admin keys for every tenant only)
+    /**
+     * @swagger
+     * /keys:
+     *   get:
+     *     summary: List API keys
+     *     description: Returns the metadata of every API key, including revoked ones. Secrets are never returned.
+     *     tags: [API Keys]
+     *     responses:
+     *       200:
+     *         description: API keys
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/ApiKeysResponse'
+     *       403:
+     *         description: Caller is not an admin with access to every tenant
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/ErrorResponse'
+     *   post:
+     *     summary: Create an API key
+     *     description: Issues a key bound to a role and a tenant allow-list. The key is only shown in this response.
+     *     tags: [API Keys]
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             $ref: '#/components/schemas/CreateApiKeyRequest'
+     *     responses:
+     *       201:
+     *         description: Key created
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/ApiKeySecretResponse'
+     *       400:
+     *         description: Unknown role, malformed tenant list or invalid limits
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/ErrorResponse'
+     *       403:
+     *         description: Caller is not an admin with access to every tenant
+     */
+    this.app.get('/keys', this.requireRole('admin'), this.requireAllTenants(), async (req, res) => {
+      try {
+        const keys = await this.apiKeys.listKeys();
+        res.json({
+          keys,
+          count: keys.length,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        logger.error('Error listing API keys', { error });
+        res.status(500).json({
+          error: 'Failed to list API keys',
+          code: 'API_KEYS_ERROR'
+        });
+      }
+    });
+
+    this.app.post('/keys', this.requireRole('admin'), this.requireAllTenants(), async (req, res) => {
+      let settings;
+      try {
+        settings = this.apiKeys.normalizeSettings(req.body || {});
+      } catch (error) {
+        return res.status(400).json({
+          error: error.message,
+          code: 'INVALID_API_KEY_SETTINGS'
+        });
+      }
+
+      try {
+        const created = await this.apiKeys.createKey(settings);
+        logger.info('🔑 Created API key', { keyId: created.id, role: created.role, tenants: created.tenants });
+        res.status(201).json({
+          ...created,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        logger.error('Error creating API key', { error });
+        res.status(500).json({
+          error: 'Failed to create API key',
+          code: 'API_KEYS_ERROR'
+        });
+      }
+    });
+
+    /**
+     * @swagger
+     * /keys/{keyId}/rotate:
+     *   post:
+     *     summary: Rotate an API key
+     *     description: |
+     *       Issues a new secret for the key, keeping its role and tenants. The old secret keeps working for
+     *       graceSeconds (default API_KEY_ROTATION_GRACE) so clients can switch over; 0 invalidates it at once.
+     *     tags: [API Keys]
+     *     parameters:
+     *       - in: path
+     *         name: keyId
+     *         required: true
+     *         schema:
+     *           type: string
+     *     requestBody:
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             properties:
+     *               graceSeconds:
+     *                 type: integer
+     *                 minimum: 0
+     *                 example: 3600
+     *     responses:
+     *       200:
+     *         description: Key rotated; the new secret is only shown in this response
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/ApiKeySecretResponse'
+     *       400:
+     *         description: Invalid grace period
+     *       403:
+     *         description: Caller is not an admin with access to every tenant
+     *       404:
+     *         description: Key not found or already revoked
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/ErrorResponse'
+     */
+    this.app.post('/keys/:keyId/rotate', this.requireRole('admin'), this.requireAllTenants(), async (req, res) => {
+      const { graceSeconds } = req.body || {};
+      if (graceSeconds !== undefined && !(Number.isInteger(graceSeconds) && graceSeconds >= 0)) {
+        return res.status(400).json({
+          error: 'Invalid graceSeconds. Please provide a non-negative integer.',
+          code: 'INVALID_API_KEY_SETTINGS'
+        });
+      }
+
+      try {
+        const rotated = await this.apiKeys.rotateKey(req.params.keyId, graceSeconds);
+        if (!rotated) {
+          return this.apiKeyNotFound(res, req.params.keyId);
+        }
+        logger.info('🔑 Rotated API key', { keyId: rotated.id });
+        res.json({
+          ...rotated,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        logger.error('Error rotating API key', { error });
+        res.status(500).json({
+          error: 'Failed to rotate API key',
+          code: 'API_KEYS_ERROR'
+        });
+      }
+    });
+
+    /**
+     * @swagger
+     * /keys/{keyId}:
+     *   delete:
+     *     summary: Revoke an API key
+     *     description: The key (and any previous secret still in its rotation grace period) stops working immediately.
+     *     tags: [API Keys]
+     *     parameters:
+     *       - in: path
+     *         name: keyId
+     *         required: true
+     *         schema:
+     *           type: string
+     *     responses:
+     *       204:
+     *         description: Key revoked
+     *       403:
+     *         description: Caller is not an admin with access to every tenant
+     *       404:
+     *         description: Key not found or already revoked
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/ErrorResponse'
+     */
+    this.app.delete('/keys/:keyId', this.requireRole('admin'), this.requireAllTenants(), async (req, res) => {
+      try {
+        const revoked = await this.apiKeys.revokeKey(req.params.keyId);
+        if (!revoked) {
+          return this.apiKeyNotFound(res, req.params.keyId);
+        }
+        logger.info('🔑 Revoked API key', { keyId: revoked.id });
+        res.status(204).end();
+      } catch (error) {
+        logger.error('Error revoking API key', { error });
+        res.status(500).json({
+          error: 'Failed to revoke API key',
+          code: 'API_KEYS_ERROR'
+        });
+      }
+    });
+
+    // Single-ticket management for integrations (admin and agent keys, within their tenants)
+    /**
+     * @swagger
+     * /tickets:
+     *   post:
+     *     summary: Create a ticket
+     *     description: |
+     *       Stores one support ticket in the SupportTicket class, validated and cleaned like an imported CSV row
+     *       (allowed status, priority and channel values, dates, age and rating ranges, description normalisation,
+     *       customer email hashed per PII_EMAIL_STORAGE). The ticket is vectorized on write and keyed by ticketId, so a
+     *       later import updates it instead of duplicating it. Requires the admin or agent role and access to the
+     *       ticket's product.
+     *     tags: [Tickets]
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             $ref: '#/components/schemas/CreateTicketRequest'
+     *     responses:
+     *       201:
+     *         description: Ticket created
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/Ticket'
+     *       400:
+     *         description: Unknown fields, wrong types or values the import would reject
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/ErrorResponse'
+     *             example:
+     *               error: "Invalid ticket: ticketStatus not an allowed value (Open, Closed, Pending Customer Response)"
+     *               code: "INVALID_TICKET"
+     *               timestamp: "2025-09-17T07:41:09.931Z"
+     *       403:
+     *         description: Caller is not an admin or agent, or cannot access the ticket's product
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/ErrorResponse'
+     *       409:
+     *         description: |
+     *           A ticket with this ticketId already exists in the ticket's tenant. In filter tenancy all tenants share
+     *           one class, so the ticketId must be unused in every tenant
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/ErrorResponse'
+     *             example:
+     *               error: "Ticket already exists: 8470"
+     *               code: "TICKET_EXISTS"
+     *               timestamp: "2025-09-17T07:41:09.931Z"
+     */
+    this.app.post('/tickets', this.requireRole('admin', 'agent'), async (req, res) => {
+      let fields;
+      try {
+        fields = this.tickets.normalizeTicket(req.body);
+      } catch (error) {
+        return res.status(400).json({
+          error: error.message,
+          code: 'INVALID_TICKET',
+          timestamp: new Date().toISOString()
+        });
+      }
+      const accessError = this.tenantAccessError(req, [fields.productPurchased]);
+      if (accessError) {
+        return res.status(403).json(accessError);
+      }
+
+      try {
+        if (await this.tickets.exists(fields.ticketId, fields.productPurchased)) {
+          return res.status(409).json({
+            error: `Ticket already exists: ${fields.ticketId}`,
+            code: 'TICKET_EXISTS',
+            timestamp: new Date().toISOString()
+          });
+        }
+        const ticket = await this.tickets.create(fields);
+        this.tenants.forgetKnownTenants();
+        // Cached search results, answers and analytics do not include the new ticket
+        await this.delegatingAgent.cache.invalidate();
+        logger.info('🎫 Created ticket', { ticketId: fields.ticketId, tenant: fields.productPurchased });
+        res.status(201).json({
+          ...this.tickets.summarize(ticket),
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        logger.error('Error creating ticket', { error });
+        res.status(500).json({
+          error: 'Failed to create ticket',
+          code: 'TICKETS_ERROR'
+        });
+      }
+    });
+
+    /**
+     * @swagger
+     * /tickets/{ticketId}:
+     *   get:
+     *     summary: Get a ticket
+     *     description: Returns the stored ticket, including its normalised and raw text. Requires the admin or agent role.
+     *     tags: [Tickets]
+     *     parameters:
+     *       - in: path
+     *         name: ticketId
+     *         required: true
+     *         schema:
+     *           type: string
+     *         example: "8470"
+     *     responses:
+     *       200:
+     *         description: The ticket
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/Ticket'
+     *       403:
+     *         description: Caller is not an admin or agent
+     *       404:
+     *         description: No ticket with this ticketId in the tenants the caller can access
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/ErrorResponse'
+     *   patch:
+     *     summary: Update a ticket
+     *     description: |
+     *       Changes some fields of a ticket, typically ticketStatus or resolution; the other fields keep their stored
+     *       values and the whole ticket is validated again. ticketId and productPurchased cannot be changed. The ticket
+     *       is re-vectorized only when a vectorized text field changes; otherwise its stored vector is kept.
+     *       Requires the admin or agent role.
+     *     tags: [Tickets]
+     *     parameters:
+     *       - in: path
+     *         name: ticketId
+     *         required: true
+     *         schema:
+     *           type: string
+     *         example: "8470"
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             $ref: '#/components/schemas/UpdateTicketRequest'
+     *           example:
+     *             ticketStatus: "Closed"
+     *             resolution: "Reset the device to factory settings and restored the backup."
+     *             resolvedAt: "2025-09-17T09:30:00.000Z"
+     *     responses:
+     *       200:
+     *         description: Ticket updated
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/UpdatedTicket'
+     *       400:
+     *         description: No fields, unknown fields, a changed ticketId or productPurchased, or invalid values
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/ErrorResponse'
+     *       403:
+     *         description: Caller is not an admin or agent
+     *       404:
+     *         description: No ticket with this ticketId in the tenants the caller can access
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/ErrorResponse'
+     *   delete:
+     *     summary: Delete a ticket
+     *     description: Removes the ticket, e.g. test data created by an integration. Requires the admin or agent role.
+     *     tags: [Tickets]
+     *     parameters:
+     *       - in: path
+     *         name: ticketId
+     *         required: true
+     *         schema:
+     *           type: string
+     *     responses:
+     *       204:
+     *         description: Ticket deleted
+     *       403:
+     *         description: Caller is not an admin or agent
+     *       404:
+     *         description: No ticket with this ticketId in the tenants the caller can access
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/ErrorResponse'
+     */
+    this.app.get('/tickets/:ticketId', this.requireRole('admin', 'agent'), async (req, res) => {
+      try {
+        const ticket = await this.findTicket(req, req.params.ticketId);
+        if (!ticket) {
+          return this.ticketNotFound(res, req.params.ticketId);
+        }
+        res.json({
+          ...this.tickets.summarize(ticket),
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        logger.error('Error fetching ticket', { error });
+        res.status(500).json({
+          error: 'Failed to fetch ticket',
+          code: 'TICKETS_ERROR'
+        });
+      }
+    });
+
+    this.app.patch('/tickets/:ticketId', this.requireRole('admin', 'agent'), async (req, res) => {
+      try {
+        // The stored vector is reused when no vectorized field changes
+        const stored = await this.findTicket(req, req.params.ticketId, { vector: true });
+        if (!stored) {
+          return this.ticketNotFound(res, req.params.ticketId);
+        }
+
+        let fields;
+        try {
+          fields = this.tickets.normalizeUpdate(stored, req.body);
+        } catch (error) {
+          return res.status(400).json({
+            error: error.message,
+            code: 'INVALID_TICKET',
+            timestamp: new Date().toISOString()
+          });
+        }
+
+        const { ticket, revectorized } = await this.tickets.update(stored, fields);
+        await this.delegatingAgent.cache.invalidate();
+        logger.info('🎫 Updated ticket', { ticketId: req.params.ticketId, fields: Object.keys(req.body), revectorized });
+        res.json({
+          ...this.tickets.summarize(ticket),
+          revectorized,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        logger.error('Error updating ticket', { error });
+        res.status(500).json({
+          error: 'Failed to update ticket',
+          code: 'TICKETS_ERROR'
+        });
+      }
+    });
+
+    this.app.delete('/tickets/:ticketId', this.requireRole('admin', 'agent'), async (req, res) => {
+      try {
+        const ticket = await this.findTicket(req, req.params.ticketId);
+        if (!ticket) {
+          return this.ticketNotFound(res, req.params.ticketId);
+        }
+        await this.tickets.delete(ticket);
+        this.tenants.forgetKnownTenants();
+        await this.delegatingAgent.cache.invalidate();
+        logger.info('🗑️ Deleted ticket', { ticketId: req.params.ticketId });
+        res.status(204).end();
+      } catch (error) {
+        logger.error('Error deleting ticket', { error });
+        res.status(500).json({
+          error: 'Failed to delete ticket',
+          code: 'TICKETS_ERROR'
+        });
+      }
+    });
+
+    // Get system statistics
+    /**
+     * @swagger
+     * /stats:
+     *   get:
+     *     summary: Get system statistics
+     *     description: Returns comprehensive system statistics including ticket counts, status distribution, and server metrics
+     *     tags: [Analytics]
+     *     responses:
+     *       200:
+     *         description: System statistics
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/StatsResponse'
+     *             example:
+     *               totalTickets: 8469
+     *               statusDistribution:
+     *                 Open: 1250
+     *                 Closed: 6500
+     *                 "Pending Customer Response": 719
+     *               availableTenants:
+     *                 - name: "iPhone"
+     *                   ticketCount: 1250
+     *                 - name: "Samsung TV"
+     *                   ticketCount: 890
+     *               uptime: 3600
+     *               memoryUsage:
+     *                 rss: 45678912
+     *                 heapTotal: 20971520
+     *                 heapUsed: 15728640
+     *               timestamp: "2025-09-17T07:41:09.931Z"
+     *       500:
+     *         description: Error fetching statistics
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/ErrorResponse'
+     */
+    this.app.get('/stats', async (req, res) => {
+      try {
+        const stats = await this.getSystemStats(req.allowedTenants);
+        stats.availableTenants = stats.availableTenants.filter(entry => this.canAccessTenant(req, entry.name));
+        res.json({
+          ...stats,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        logger.error('Error fetching stats', { error });
+        res.status(500).json({
+          error: 'Failed to fetch system statistics',
+          code: 'STATS_ERROR'
+        });
+      }
+    });
+
+    // Conversation thread endpoints
+    /**
+     * @swagger
+     * /threads:
+     *   get:
+     *     summary: List conversation threads
+     *     description: Returns a summary of every stored conversation thread, most recently updated first
+     *     tags: [Conversations]
+     *     responses:
+     *       200:
+     *         description: List of conversation threads
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/ThreadsResponse'
+     *       500:
+     *         description: Error fetching threads
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/ErrorResponse'
+     */
+    this.app.get('/threads', async (req, res) => {
+      try {
+        const threads = (await this.delegatingAgent.conversationStore.listThreads())
+          .filter(thread => this.canAccessThread(req, thread));
+        res.json({
+          threads,
+          count: threads.length,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        logger.error('Error fetching threads', { error });
+        res.status(500).json({
+          error: 'Failed to fetch conversation threads',
+          code: 'THREADS_ERROR'
+        });
+      }
+    });
+
+    /**
+     * @swagger
+     * /threads/{threadId}:
+     *   get:
+     *     summary: Get a conversation thread transcript
+     *     description: Returns every stored turn of a thread together with the tenant and ticket IDs it has used
+     *     tags: [Conversations]
+     *     parameters:
+     *       - in: path
+     *         name: threadId
+     *         required: true
+     *         schema:
+     *           type: string
+     *         description: Thread identifier returned in references.threadId
+     *     responses:
+     *       200:
+     *         description: Thread transcript
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/Thread'
+     *       404:
+     *         description: Thread not found
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/ErrorResponse'
+     *   delete:
+     *     summary: Delete a conversation thread
+     *     description: Removes a thread and its transcript from the conversation store
+     *     tags: [Conversations]
+     *     parameters:
+     *       - in: path
+     *         name: threadId
+     *         required: true
+     *         schema:
+     *           type: string
+     *     responses:
+     *       204:
+     *         description: Thread deleted
+     *       404:
+     *         description: Thread not found
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/ErrorResponse'
+     */
+    this.app.get('/threads/:threadId', async (req, res) => {
+      try {
+        const thread = await this.delegatingAgent.conversationStore.getThread(req.params.threadId);
+        if (!thread || !this.canAccessThread(req, thread)) {
+          return this.threadNotFound(res, req.params.threadId);
+        }
+        res.json(thread);
+      } catch (error) {
+        logger.error('Error fetching thread', { error });
+        res.status(500).json({
+          error: 'Failed to fetch conversation thread',
+          code: 'THREADS_ERROR'
+        });
+      }
+    });
+
+    this.app.delete('/threads/:threadId', async (req, res) => {
+      try {
+        const { conversationStore } = this.delegatingAgent;
+        const thread = await conversationStore.getThread(req.params.threadId);
+        if (!thread || !this.canAccessThread(req, thread) || !(await conversationStore.deleteThread(req.params.threadId))) {
+          return this.threadNotFound(res, req.params.threadId);
+        }
+        res.status(204).end();
+      } catch (error) {
+        logger.error('Error deleting thread', { error });
+        res.status(500).json({
+          error: 'Failed to delete conversation thread',
+          code: 'THREADS_ERROR'
+        });
+      }
+    });
+
+    // Render a single chart as an image
+    /**
+     * @swagger
+     * /charts/{chartName}:
+     *   get:
+     *     summary: Render an analytics chart as an image
+     *     description: |
+     *       Builds the named chart server-side and returns it as SVG (default) or PNG, so clients without
+     *       Chart.js (email digests, Slack bots, PDF reports) can display analytics. Accepts the same
+     *       structured filters that are extracted from natural-language queries.
+     *     tags: [Analytics]
+     *     parameters:
+     *       - in: path
+     *         name: chartName
+     *         required: true
+     *         schema:
+     *           type: string
+     *           enum: [statusDistribution, priorityDistribution, responseTimeChart, resolutionTimeChart, satisfactionChart, responseTimeHistogram, resolutionTimeHistogram, durationByPriority, durationByChannel, volumeTrend, satisfactionTrend, priorityTrend]
+     *       - in: query
+     *         name: format
+     *         schema:
+     *           type: string
+     *           enum: [svg, png]
+     *           default: svg
+     *       - in: query
+     *         name: tenant
+     *         schema:
+     *           type: string
+     *         description: Product name to restrict the chart to
+     *         example: "GoPro Hero"
+     *       - in: query
+     *         name: ticketStatus
+     *         schema:
+     *           type: string
+     *         description: Comma-separated statuses
+     *         example: "Open,Pending Customer Response"
+     *       - in: query
+     *         name: ticketPriority
+     *         schema:
+     *           type: string
+     *         description: Comma-separated priorities
+     *       - in: query
+     *         name: ticketChannel
+     *         schema:
+     *           type: string
+     *         description: Comma-separated channels
+     *       - in: query
+     *         name: ticketType
+     *         schema:
+     *           type: string
+     *         description: Comma-separated ticket types
+     *       - in: query
+     *         name: from
+     *         schema:
+     *           type: string
+     *           format: date
+     *         description: Start of the dateOfPurchase range (inclusive)
+     *       - in: query
+     *         name: to
+     *         schema:
+     *           type: string
+     *           format: date
+     *         description: End of the dateOfPurchase range (exclusive)
+     *       - in: query
+     *         name: minAge
+     *         schema:
+     *           type: integer
+     *       - in: query
+     *         name: maxAge
+     *         schema:
+     *           type: integer
+     *       - in: query
+     *         name: bucket
+     *         schema:
+     *           type: string
+     *           enum: [day, week, month]
+     *         description: Time bucket for trend charts
+     *       - in: query
+     *         name: tenants
+     *         schema:
+     *           type: string
+     *         description: Comma-separated products to overlay on trend charts
+     *       - in: query
+     *         name: width
+     *         schema:
+     *           type: integer
+     *           minimum: 200
+     *           maximum: 2000
+     *       - in: query
+     *         name: height
+     *         schema:
+     *           type: integer
+     *           minimum: 200
+     *           maximum: 2000
+     *     responses:
+     *       200:
+     *         description: Rendered chart
+     *         content:
+     *           image/svg+xml:
+     *             schema:
+     *               type: string
+     *           image/png:
+     *             schema:
+     *               type: string
+     *               format: binary
+     *       400:
+     *         description: Invalid format, filters or size, or a query parameter given more than once
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/ErrorResponse'
+     *             example:
+     *               error: "ticketPriority must be one of: Critical, High, Medium, Low"
+     *               code: "INVALID_FILTERS"
+     *       404:
+     *         description: Unknown chart name
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/ErrorResponse'
+     *       501:
+     *         description: PNG rendering is not installed on this server
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/ErrorResponse'
+     */
+    this.app.get('/charts/:chartName', async (req, res) => {
+      try {
+        const { chartName } = req.params;
+        const { tenant, format = 'svg', bucket, tenants } = req.query;
+
+        if (![...ANALYTICS_CHARTS, ...TREND_CHARTS].includes(chartName)) {
+          return res.status(404).json({
+            error: `Chart not found: ${chartName}. Available charts: ${[...ANALYTICS_CHARTS, ...TREND_CHARTS].join(', ')}`,
+            code: 'CHART_NOT_FOUND',
+            timestamp: new Date().toISOString()
+          });
+        }
+
+        // Repeated (?tenant=a&tenant=b) or bracketed (?tenant[x]=a) parameters arrive as arrays and objects
+        const repeated = Object.keys(req.query).filter(name => typeof req.query[name] !== 'string');
+        if (repeated.length > 0) {
+          return res.status(400).json({
+            error: `Invalid chart options. Give each query parameter once as a plain value: ${repeated.join(', ')}`,
+            code: 'INVALID_CHART_OPTIONS'
+          });
+        }
+
+        const size = {};
+        for (const dimension of ['width', 'height']) {
+          if (req.query[dimension] === undefined) continue;
+          const value = parseInt(req.query[dimension], 10);
+          if (Number.isNaN(value) || value < 200 || value > 2000) {
+            return res.status(400).json({
+              error: `Invalid ${dimension}. Please provide an integer between 200 and 2000.`,
+              code: 'INVALID_CHART_OPTIONS'
+            });
+          }
+          size[dimension] = value;
+        }
+
+        if (!['svg', 'png'].includes(format) || (bucket !== undefined && !['day', 'week', 'month'].includes(bucket))) {
+          return res.status(400).json({
+            error: "Invalid chart options. format must be 'svg' or 'png' and bucket 'day', 'week' or 'month'.",
+            code: 'INVALID_CHART_OPTIONS'
+          });
+        }
+
+        if (format === 'png' && !(await this.chartRenderer.isPngAvailable())) {
+          return res.status(501).json({
+            error: 'PNG rendering is not available on this server. Request format=svg instead.',
+            code: 'PNG_UNAVAILABLE'
+          });
+        }
+
+        const overlay = tenants ? tenants.split(',').map(name => name.trim()).filter(Boolean) : undefined;
+        const accessError = this.tenantAccessError(req, [tenant, ...(overlay || [])]);
+        if (accessError) {
+          return res.status(403).json(accessError);
+        }
+
+        const { filters, errors } = await this.delegatingAgent.queryFilters.fromParams(req.query);
+        if (errors.length > 0) {
+          return res.status(400).json({
+            error: errors.join('; '),
+            code: 'INVALID_FILTERS'
+          });
+        }
+
+        // Without a tenant, charts cover the tenants the key may read
+        const chart = await this.delegatingAgent.chartTool.generateChart(chartName, this.canonicalTenant(req, tenant) || req.allowedTenants, {
+          filters,
+          bucket,
+          tenants: overlay
+        });
+
+        const image = await this.chartRenderer.render(chart, format, size);
+        res.set('Cache-Control', 'no-cache');
+        res.type(image.contentType).send(image.body);
+
+      } catch (error) {
+        logger.error('Error rendering chart', { error });
+        res.status(500).json({
+          error: 'Failed to render chart',
+          code: 'CHART_RENDER_ERROR',
+          timestamp: new Date().toISOString()
+        });
+      }
+    });
+
+    // Note: Demo functionality is provided through Swagger UI at /api-docs
+    // Interactive examples and documentation are available there
+
+    // 404 handler
+    this.app.use('*', (req, res) => {
+      res.status(404).json({
+        error: 'Endpoint not found',
+        code: 'NOT_FOUND',
         availableEndpoints: [
           'POST /query',
+          'POST /query/stream',
           'GET /tenants',
+          'POST /tenants (admin, native tenancy)',
+          'PATCH /tenants/:tenant (admin, native tenancy)',
+          'DELETE /tenants/:tenant (admin, native tenancy)',
+          'GET /keys (admin)',
+          'POST /keys (admin)',
+          'POST /keys/:keyId/rotate (admin)',
+          'DELETE /keys/:keyId (admin)',
+          'POST /tickets (admin, agent)',
+          'GET /tickets/:ticketId (admin, agent)',
+          'PATCH /tickets/:ticketId (admin, agent)',
+          'DELETE /tickets/:ticketId (admin, agent)',
           'GET /stats',
+          'GET /threads',
+          'GET /threads/:threadId',
+          'DELETE /threads/:threadId',
+          'GET /charts/:chartName',
+          'GET /metrics (admin)',
           'GET /health',
           'GET /api-docs (Swagger UI with examples)'
         ]
@@ -342,7 +1935,7 @@ class SupportAssistantServer {
 
     // Error handler
     this.app.use((error, req, res, next) => {
-      console.error('Unhandled error:', error);
+      logger.error('Unhandled error', { error });
       res.status(500).json({
         error: 'Internal server error',
         code: 'INTERNAL_ERROR',
@@ -351,60 +1944,311 @@ class SupportAssistantServer {
     });
   }
 
-  // Helper method to get available tenants (products)
-  async getAvailableTenants() {
+  // debug: true in the body or ?debug=true asks for the step-by-step trace of a query
+  wantsDebug(req) {
+    return req.body.debug === true || req.query.debug === 'true';
+  }
+
+  // Traces hold prompts, raw LLM output and retrieval internals, so they are for admins only
+  debugForbiddenError() {
+    return {
+      error: 'Debug traces require the admin role',
+      code: 'FORBIDDEN',
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  // Response shape of a debug trace: the steps with their timings plus the query's LLM usage
+  formatDebugTrace(req, trace, usage) {
+    return { requestId: req.requestId, llm: usage, ...trace.toJSON() };
+  }
+
+  // Validate a /query request body, returning an error payload or null
+  validateQueryRequest({ query, threadId, search, trend, render, debug } = {}) {
+    if (!query || typeof query !== 'string' || query.trim().length === 0) {
+      return {
+        error: 'Invalid query. Please provide a non-empty string.',
+        code: 'INVALID_QUERY'
+      };
+    }
+
+    if (threadId !== undefined && (typeof threadId !== 'string' || threadId.trim().length === 0 || threadId.length > 100)) {
+      return {
+        error: 'Invalid threadId. Please provide a non-empty string of at most 100 characters.',
+        code: 'INVALID_THREAD_ID'
+      };
+    }
+
+    if (search !== undefined) {
+      const validMode = search && (search.mode === undefined || ['hybrid', 'vector'].includes(search.mode));
+      const validAlpha = search && (search.alpha === undefined || (typeof search.alpha === 'number' && search.alpha >= 0 && search.alpha <= 1));
+      const validText = search && (search.text === undefined || ['normalized', 'raw'].includes(search.text));
+      const validRerank = search && (search.rerank === undefined ||
+        (Array.isArray(search.rerank) && search.rerank.every(strategy => RERANK_STRATEGIES.includes(strategy))));
+      if (!validMode || !validAlpha || !validText || !validRerank) {
+        return {
+          error: `Invalid search options. mode must be 'hybrid' or 'vector', alpha a number between 0 and 1, text 'normalized' or 'raw' and rerank an array of ${RERANK_STRATEGIES.join(', ')}.`,
+          code: 'INVALID_SEARCH_OPTIONS'
+        };
+      }
+    }
+
+    if (trend !== undefined) {
+      const isDate = value => value === undefined || (typeof value === 'string' && !isNaN(new Date(value).getTime()));
+      const validBucket = trend && (trend.bucket === undefined || ['day', 'week', 'month'].includes(trend.bucket));
+      const validTenants = trend && (trend.tenants === undefined ||
+        (Array.isArray(trend.tenants) && trend.tenants.every(name => typeof name === 'string' && name.length > 0)));
+      if (!validBucket || !validTenants || !isDate(trend.from) || !isDate(trend.to)) {
+        return {
+          error: "Invalid trend options. bucket must be 'day', 'week' or 'month', tenants an array of names and from/to ISO dates.",
+          code: 'INVALID_TREND_OPTIONS'
+        };
+      }
+    }
+
+    if (render !== undefined) {
+      const validFormat = render && (render.format === undefined || ['svg', 'png'].includes(render.format));
+      const validMode = render && (render.mode === undefined || ['embed', 'url'].includes(render.mode));
+      if (!validFormat || !validMode) {
+        return {
+          error: "Invalid render options. format must be 'svg' or 'png' and mode 'embed' or 'url'.",
+          code: 'INVALID_RENDER_OPTIONS'
+        };
+      }
+    }
+
+    if (debug !== undefined && typeof debug !== 'boolean') {
+      return {
+        error: 'Invalid debug option. debug must be true or false.',
+        code: 'INVALID_DEBUG_OPTION'
+      };
+    }
+
+    return null;
+  }
+
+  // Render the charts of a query result as data URIs (mode 'embed') or GET /charts links (mode 'url')
+  async renderChartImages(result, render, { query, trend = {} } = {}) {
+    let format = render.format || 'svg';
+    const images = {};
+
+    if (render.mode === 'url') {
+      const baseParams = { ...this.delegatingAgent.queryFilters.toParams(result.filters), format };
+      if (result.tenant) {
+        baseParams.tenant = result.tenant;
+      }
+
+      for (const name of Object.keys(result.chart)) {
+        const params = { ...baseParams };
+        if (TREND_CHARTS.includes(name)) {
+          params.bucket = trend.bucket || this.delegatingAgent.detectTrendBucket(query);
+          if (trend.tenants) params.tenants = trend.tenants.join(',');
+          if (trend.from && !params.from) params.from = trend.from;
+          if (trend.to && !params.to) {
+            // Trend ranges include their end date while /charts treats `to` as exclusive
+            const to = new Date(trend.to);
+            to.setUTCDate(to.getUTCDate() + 1);
+            params.to = to.toISOString();
+          }
+        }
+        images[name] = `/charts/${name}?${new URLSearchParams(params)}`;
+      }
+      return images;
+    }
+
+    if (format === 'png' && !(await this.chartRenderer.isPngAvailable())) {
+      logger.warn('⚠️ PNG rendering unavailable - embedding SVG images instead');
+      format = 'svg';
+    }
+
+    for (const [name, chart] of Object.entries(result.chart)) {
+      try {
+        images[name] = this.chartRenderer.toDataUri(await this.chartRenderer.render(chart, format));
+      } catch (error) {
+        logger.error('Error rendering chart', { chart: name, error });
+      }
+    }
+    return images;
+  }
+
+  // Helper to detect clients that asked for Server-Sent Events
+  wantsEventStream(req) {
+    const accept = req.get('Accept') || '';
+    return accept.includes('text/event-stream');
+  }
+
+  // Stream a query response as Server-Sent Events
+  async streamQuery(req, res) {
+    const validationError = this.validateQueryRequest(req.body);
+    if (validationError) {
+      return res.status(400).json(validationError);
+    }
+
+    const startTime = Date.now();
+    const { query, threadId, search, trend, render } = req.body;
+
+    const debug = this.wantsDebug(req);
+    if (debug && req.role !== 'admin') {
+      return res.status(403).json(this.debugForbiddenError());
+    }
+
+    // Failures before the event stream starts (thread store, tenant list) are answered as plain JSON errors
+    let scope;
+    let subjects;
+    try {
+      scope = await this.scopeQuery(req, req.body);
+      if (!scope.error) {
+        subjects = await this.rateLimitSubjects(req, scope.tenant);
+      }
+    } catch (error) {
+      logger.error('Streaming query error', { error });
+      metrics.recordRequest('stream', null, Date.now() - startTime, 'error');
+      return res.status(500).json({
+        error: 'Internal server error while processing your query.',
+        code: 'PROCESSING_ERROR',
+        timestamp: new Date().toISOString()
+      });
+    }
+    if (scope.error) {
+      return res.status(scope.status).json(scope.error);
+    }
+    const { tenant } = scope;
+
+    // Limits are checked before the event stream starts so a 429 is still a plain JSON error
+    if (!this.checkRateLimit(req, res, subjects)) {
+      return;
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no' // Disable proxy buffering so events arrive immediately
+    });
+    res.flushHeaders();
+
+    // Stop the agents as soon as the client disconnects
+    const abortController = new AbortController();
+    res.on('close', () => {
+      if (!res.writableEnded) {
+        abortController.abort();
+      }
+    });
+
+    const sendEvent = (type, data) => {
+      if (!abortController.signal.aborted && !res.writableEnded) {
+        const payload = req.redactPII ? this.piiRedactor.redactValue(data) : data;
+        res.write(`event: ${type}\ndata: ${JSON.stringify(payload)}\n\n`);
+      }
+    };
+
+    logger.info('📨 Received streaming query', { query, tenant, threadId });
+
     try {
-      const client = weaviate.client({
-        scheme: 'http',
-        host: config.weaviate.url.replace('http://', ''),
+      const { result: { result, usage }, trace } = await traceQuery(() => trackUsage(() => this.delegatingAgent.handleQuery(query.trim(), tenant, threadId, {
+        ...scope.options,
+        onEvent: sendEvent,
+        signal: abortController.signal,
+        search,
+        trend,
+        requestId: req.requestId
+      })), { enabled: debug });
+      this.rateLimiter.consumeTokens(subjects, usage.totalTokens);
+
+      if (abortController.signal.aborted) {
+        return;
+      }
+
+      // handleQuery has already sent an error event when it failed
+      if (!result.references.error) {
+        const images = render && result.chart ? await this.renderChartImages(result, render, { query, trend }) : undefined;
+        const processingTime = Date.now() - startTime;
+        sendEvent('metadata', {
+          answer: result.answer,
+          references: result.references,
+          images,
+          metadata: {
+            requestId: req.requestId,
+            processingTimeMs: processingTime,
+            timestamp: new Date().toISOString(),
+            tenant: result.tenant || 'global',
+            filters: result.filters || [],
+            analytics: result.analytics || null,
+            cache: result.cache || null,
+            llmTokens: usage.totalTokens
+          },
+          debug: trace ? this.formatDebugTrace(req, trace, usage) : undefined
+        });
+
+        // NFR-1: Check if response time is within 5 seconds
+        if (processingTime > config.metrics.slowResponseMs) {
+          logger.warn('⚠️ Response time exceeded 5 seconds', { processingTimeMs: processingTime });
+        }
+        metrics.recordRequest('stream', await this.tenantLabel(result.tenant), processingTime);
+        logger.info('✅ Streaming query processed', { processingTimeMs: processingTime, llmTokens: usage.totalTokens });
+      } else {
+        metrics.recordRequest('stream', await this.tenantLabel(tenant), Date.now() - startTime, 'error');
+      }
+
+    } catch (error) {
+      logger.error('Streaming query error', { error });
+      metrics.recordRequest('stream', await this.tenantLabel(tenant), Date.now() - startTime, 'error');
+      sendEvent('error', {
+        error: 'Internal server error while processing your query.',
+        code: 'PROCESSING_ERROR',
+        timestamp: new Date().toISOString()
       });
+    } finally {
+      res.end();
+    }
+  }
 
-      // FIXED: Correct GraphQL query with meta.count
-      const result = await client.graphql
-        .aggregate()
-        .withClassName(config.weaviate.className)
-        .withFields('groupedBy { value } meta { count }')
-        .withGroupBy(['productPurchased'])
-        .do();
+  // Helper method to get available tenants (products)
+  // Native mode lists every tenant shard; deactivated ones cannot be queried, so their count is null
+  async getAvailableTenants() {
+    try {
+      if (!this.tenants.isNative()) {
+        const groups = await this.tenants.aggregate({ groupBy: 'productPurchased' });
+        return groups.map(item => ({
+          name: item.groupedBy.value,
+          ticketCount: item.meta.count
+        }));
+      }
 
-      // FIXED: Use meta.count instead of groupedBy.count
-      return result.data.Aggregate[config.weaviate.className].map(item => ({
-        name: item.groupedBy.value,
-        ticketCount: item.meta.count
-      }));
+      const tenants = [];
+      for (const tenant of await this.tenants.listTenants()) {
+        const [group] = tenant.active
+          ? await this.tenants.aggregate({ groupBy: 'productPurchased' }, [tenant.name])
+          : [];
+        tenants.push({
+          name: group ? group.groupedBy.value : tenant.name,
+          tenant: tenant.name,
+          ticketCount: group ? group.meta.count : (tenant.active ? 0 : null),
+          active: tenant.active
+        });
+      }
+      return tenants;
 
     } catch (error) {
-      console.error('Error fetching tenants:', error);
+      logger.error('Error fetching tenants', { error });
       return [];
     }
   }
 
-  // Helper method to get system statistics
-  async getSystemStats() {
+  // Helper method to get system statistics (active tenants only in native mode)
+  // allowedTenants limits the figures to the tenants an API key may read (null = every tenant)
+  async getSystemStats(allowedTenants = null) {
     try {
-      const client = weaviate.client({
-        scheme: 'http',
-        host: config.weaviate.url.replace('http://', ''),
-      });
+      const scopes = await this.tenants.resolveScopes(allowedTenants);
+      const where = this.delegatingAgent.queryFilters.compile({}, this.tenants.filterTenant(allowedTenants));
 
       // Get total ticket count
-      const countResult = await client.graphql
-        .aggregate()
-        .withClassName(config.weaviate.className)
-        .withFields('meta { count }')
-        .do();
-
-      const totalTickets = countResult.data.Aggregate[config.weaviate.className][0].meta.count;
+      const [totals = { meta: { count: 0 } }] = await this.tenants.aggregate({ where }, scopes);
+      const totalTickets = totals.meta.count;
 
       // Get status distribution
-      const statusResult = await client.graphql
-        .aggregate()
-        .withClassName(config.weaviate.className)
-        .withFields('groupedBy { value } meta { count }')
-        .withGroupBy(['ticketStatus'])
-        .do();
-
-      const statusDistribution = statusResult.data.Aggregate[config.weaviate.className].reduce((acc, item) => {
+      const statusGroups = await this.tenants.aggregate({ where, groupBy: 'ticketStatus' }, scopes);
+      const statusDistribution = statusGroups.reduce((acc, item) => {
         acc[item.groupedBy.value] = item.meta.count;
         return acc;
       }, {});
@@ -418,7 +2262,7 @@ class SupportAssistantServer {
       };
 
     } catch (error) {
-      console.error('Error fetching system stats:', error);
+      logger.error('Error fetching system stats', { error });
       return {
         totalTickets: 0,
         statusDistribution: {},
@@ -430,20 +2274,34 @@ class SupportAssistantServer {
   }
 
   // Start the server
-  start() {
+  // Refuses to start when authentication is required but no API key could ever pass it: /keys itself needs an
+  // admin key, so keys cannot be added afterwards
+  async start() {
     const port = config.server.port;
-    
-    this.app.listen(port, () => {
-      console.log('🚀 Customer Support AI Assistant Server Started');
-      console.log('=' .repeat(50));
-      console.log(`📡 Server running on: http://localhost:${port}`);
-      console.log(`📚 API Documentation: http://localhost:${port}/api-docs`);
-      console.log(`🏥 Health check: http://localhost:${port}/health`);
-      console.log(`🔍 Query endpoint: POST http://localhost:${port}/query`);
-      console.log(`🏢 Tenants endpoint: http://localhost:${port}/tenants`);
-      console.log(`📈 Stats endpoint: http://localhost:${port}/stats`);
-      console.log('=' .repeat(50));
-      console.log('🎯 Ready to handle customer support queries!');
+
+    const keys = await this.apiKeys.listKeys().catch(error => {
+      logger.error('Error loading API keys', { error });
+      return null;
+    });
+    if (config.auth.required && keys && !keys.some(key => !key.revokedAt)) {
+      logger.error('❌ No API keys configured: every request would be rejected and no key could be created. ' +
+        'Add an admin key to API_KEYS, e.g. API_KEYS=\'[{"key":"<secret>","role":"admin"}]\', or set AUTH_REQUIRED=false for local development');
+      process.exitCode = 1;
+      return null;
+    }
+
+    return this.app.listen(port, () => {
+      const url = `http://localhost:${port}`;
+      logger.info('🚀 Customer Support AI Assistant Server Started', {
+        url,
+        docs: `${url}/api-docs`,
+        health: `${url}/health`,
+        query: `POST ${url}/query`,
+        metrics: config.metrics.enabled ? `${url}/metrics` : null,
+        tenancy: config.weaviate.tenancy,
+        auth: config.auth.required ? 'required' : 'optional',
+        apiKeyStore: config.auth.store
+      });
     });
   }
 }
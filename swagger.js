@@ -25,10 +25,27 @@ const options = {
         - Real-time response generation with structured JSON output
         
         ## Authentication
-        Currently no authentication required for demo purposes.
+        Every endpoint except \`/health\` needs an API key, sent as \`X-API-Key: <key>\` or
+        \`Authorization: Bearer <key>\`. Each key is bound to a role (\`admin\`, \`agent\` or \`customer\`) and a
+        tenant allow-list. Naming a tenant outside the allow-list returns \`403 TENANT_FORBIDDEN\`; requests without a
+        tenant are scoped to the allowed tenants automatically. Admins manage keys through \`/keys\`.
+
+        ## Customer Data (PII)
+        Customer names, emails, phone numbers and card numbers are replaced with \`[NAME]\`, \`[EMAIL]\`,
+        \`[PHONE]\` and \`[CARD]\` in every response unless the role of the caller's API key may see them
+        (admin by default). The \`X-PII-Redacted\` response header says whether redaction was applied.
+
+        ## Tenancy
+        Tenants are products. With \`TENANCY_MODE=filter\` (default) they are a \`productPurchased\` filter on one
+        shared class; with \`TENANCY_MODE=native\` each product is a Weaviate tenant shard that admins create, delete,
+        activate and deactivate through the \`/tenants\` routes.
         
         ## Rate Limiting
-        No rate limiting implemented in demo mode.
+        \`/query\` and \`/query/stream\` are limited per API key and per tenant with token buckets: requests per
+        minute and LLM tokens per day. Responses carry \`RateLimit-Limit\`, \`RateLimit-Remaining\` and
+        \`RateLimit-Reset\` for the tightest request limit, and \`X-LLM-Token-Limit\` / \`X-LLM-Token-Remaining\` for the
+        tightest token budget. Blocked calls return \`429\` with \`Retry-After\` and the code \`RATE_LIMITED\` or
+        \`TOKEN_BUDGET_EXCEEDED\`.
       `,
       contact: {
         name: 'Customer Support AI Assistant',
@@ -50,6 +67,63 @@ const options = {
       }
     ],
     components: {
+      securitySchemes: {
+        ApiKeyAuth: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-API-Key',
+          description: 'API key bound to a role and a tenant allow-list'
+        },
+        BearerAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          description: 'The same API key sent as Authorization: Bearer <key>'
+        }
+      },
+      responses: {
+        Unauthorized: {
+          description: 'Missing, invalid or revoked API key',
+          content: {
+            'application/json': {
+              schema: { $ref: '#/components/schemas/ErrorResponse' },
+              example: { error: 'Invalid or revoked API key', code: 'INVALID_API_KEY', timestamp: '2025-09-17T07:41:09.931Z' }
+            }
+          }
+        },
+        TenantForbidden: {
+          description: 'The API key cannot access a requested tenant',
+          content: {
+            'application/json': {
+              schema: { $ref: '#/components/schemas/ErrorResponse' },
+              example: { error: 'This API key cannot access tenant: iPhone', code: 'TENANT_FORBIDDEN', timestamp: '2025-09-17T07:41:09.931Z' }
+            }
+          }
+        },
+        RateLimited: {
+          description: 'A request rate limit or daily LLM token budget of the API key or tenant is spent',
+          headers: {
+            'Retry-After': { description: 'Seconds until the call can be retried', schema: { type: 'integer' } },
+            'RateLimit-Limit': { description: 'Requests per minute of the tightest limit', schema: { type: 'integer' } },
+            'RateLimit-Remaining': { description: 'Requests left in that limit', schema: { type: 'integer' } },
+            'RateLimit-Reset': { description: 'Seconds until that limit is full again', schema: { type: 'integer' } }
+          },
+          content: {
+            'application/json': {
+              schema: { $ref: '#/components/schemas/ErrorResponse' },
+              examples: {
+                requests: {
+                  summary: 'Request rate limit',
+                  value: { error: 'Too many requests for this API key. Retry in 2s.', code: 'RATE_LIMITED', timestamp: '2025-09-17T07:41:09.931Z' }
+                },
+                tokens: {
+                  summary: 'Token budget',
+                  value: { error: 'Daily LLM token budget exhausted for this tenant iPhone. Retry in 1s.', code: 'TOKEN_BUDGET_EXCEEDED', timestamp: '2025-09-17T07:41:09.931Z' }
+                }
+              }
+            }
+          }
+        }
+      },
       schemas: {
         QueryRequest: {
           type: 'object',
@@ -67,6 +141,96 @@ const options = {
               description: 'Product/tenant identifier for multi-tenant queries',
               example: 'iPhone',
               maxLength: 100
+            },
+            threadId: {
+              type: 'string',
+              description: 'Conversation thread to continue. Omit to start a new thread; its ID is returned in references.threadId',
+              example: '3f1c2a9e-5b7d-4e21-9a0c-7d2b8e4f6a11',
+              maxLength: 100
+            },
+            search: {
+              type: 'object',
+              description: 'Per-request retrieval settings (defaults come from SEARCH_MODE and SEARCH_ALPHA)',
+              properties: {
+                mode: {
+                  type: 'string',
+                  enum: ['hybrid', 'vector'],
+                  description: 'hybrid combines BM25 keyword matching with vector search; vector uses nearText only',
+                  example: 'hybrid'
+                },
+                alpha: {
+                  type: 'number',
+                  minimum: 0,
+                  maximum: 1,
+                  description: 'Hybrid weighting: 0 = pure BM25, 1 = pure vector',
+                  example: 0.5
+                },
+                text: {
+                  type: 'string',
+                  enum: ['normalized', 'raw'],
+                  description: 'Ticket text used in answers: normalized (placeholders filled, boilerplate removed) or raw as imported',
+                  example: 'normalized'
+                },
+                rerank: {
+                  type: 'array',
+                  items: { type: 'string', enum: ['llm', 'lexical', 'quality'] },
+                  description: 'Rerank strategies applied to over-fetched candidates (defaults to RERANK_STRATEGIES; [] keeps retrieval order)',
+                  example: ['lexical', 'quality']
+                }
+              }
+            },
+            trend: {
+              type: 'object',
+              description: 'Options for trend charts, used when the query asks for trends, "over time" or daily/weekly/monthly figures',
+              properties: {
+                bucket: {
+                  type: 'string',
+                  enum: ['day', 'week', 'month'],
+                  description: 'Time bucket size (defaults to the wording of the query, then month)',
+                  example: 'month'
+                },
+                tenants: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  description: 'Overlay one series per tenant on each chart',
+                  example: ['iPhone', 'GoPro Hero']
+                },
+                from: {
+                  type: 'string',
+                  format: 'date',
+                  description: 'Start of the purchase date range (inclusive)',
+                  example: '2021-01-01'
+                },
+                to: {
+                  type: 'string',
+                  format: 'date',
+                  description: 'End of the purchase date range (inclusive)',
+                  example: '2021-12-31'
+                }
+              }
+            },
+            render: {
+              type: 'object',
+              description: 'Render generated charts to images for clients without Chart.js',
+              properties: {
+                format: {
+                  type: 'string',
+                  enum: ['svg', 'png'],
+                  description: 'Image format (PNG needs the optional @resvg/resvg-js package; embedded images fall back to SVG without it)',
+                  example: 'svg'
+                },
+                mode: {
+                  type: 'string',
+                  enum: ['embed', 'url'],
+                  description: "'embed' returns base64 data URIs, 'url' returns GET /charts links with the applied filters",
+                  example: 'embed'
+                }
+              }
+            },
+            debug: {
+              type: 'boolean',
+              description: 'Return the step-by-step trace of how the query was handled in `debug` (admin keys only; same as ?debug=true)',
+              example: false
             }
           }
         },
@@ -81,13 +245,42 @@ const options = {
             references: {
               type: 'object',
               properties: {
+                threadId: {
+                  type: 'string',
+                  description: 'Conversation thread this answer belongs to',
+                  example: '3f1c2a9e-5b7d-4e21-9a0c-7d2b8e4f6a11'
+                },
+                turn: {
+                  type: 'integer',
+                  description: 'Turn number of this answer within the thread',
+                  example: 1
+                },
                 ticketIds: {
                   type: 'array',
                   items: {
                     type: 'string'
                   },
-                  description: 'Array of ticket IDs referenced in the response',
+                  description: 'Retrieved tickets the answer cites, in order of first citation',
+                  example: ['1234', '5678']
+                },
+                retrievedTicketIds: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  description: 'Every ticket retrieved for the answer, cited or not',
                   example: ['1234', '5678', '9012']
+                },
+                citations: {
+                  type: 'array',
+                  items: { $ref: '#/components/schemas/Citation' }
+                },
+                unverifiedTicketIds: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  description: 'Ticket IDs the answer cited that were not retrieved (flagged, or removed from the answer with CITATIONS_UNVERIFIED=remove)',
+                  example: []
+                },
+                search: {
+                  $ref: '#/components/schemas/SearchBreakdown'
                 }
               }
             },
@@ -106,17 +299,64 @@ const options = {
                 },
                 responseTimeChart: {
                   type: 'object',
-                  description: 'Bar chart showing response time statistics'
+                  description: 'Bar chart of hours from ticket creation to first response (average, p50, p90, p95, min, max)'
+                },
+                resolutionTimeChart: {
+                  type: 'object',
+                  description: 'Bar chart of hours from first response to resolution (average, p50, p90, p95, min, max)'
+                },
+                responseTimeHistogram: {
+                  type: 'object',
+                  description: 'Histogram of first response times (< 1h up to > 7 days)'
+                },
+                resolutionTimeHistogram: {
+                  type: 'object',
+                  description: 'Histogram of resolution times (< 1h up to > 7 days)'
+                },
+                durationByPriority: {
+                  type: 'object',
+                  description: 'Grouped bar chart of p50/p90 response and resolution hours per priority'
+                },
+                durationByChannel: {
+                  type: 'object',
+                  description: 'Grouped bar chart of p50/p90 response and resolution hours per channel'
                 },
                 satisfactionChart: {
                   type: 'object',
                   description: 'Bar chart showing customer satisfaction ratings'
+                },
+                volumeTrend: {
+                  type: 'object',
+                  description: 'Line chart of ticket volume per time bucket (one series per tenant when requested)'
+                },
+                satisfactionTrend: {
+                  type: 'object',
+                  description: 'Line chart of average customer satisfaction per time bucket'
+                },
+                priorityTrend: {
+                  type: 'object',
+                  description: 'Stacked line chart of ticket priority mix per time bucket'
                 }
               }
             },
+            images: {
+              type: 'object',
+              description: 'Rendered charts keyed by chart name (only when render options were sent)',
+              additionalProperties: {
+                type: 'string'
+              },
+              example: {
+                statusDistribution: '/charts/statusDistribution?ticketPriority=High&format=png&tenant=GoPro+Hero'
+              }
+            },
             metadata: {
               type: 'object',
               properties: {
+                requestId: {
+                  type: 'string',
+                  description: 'Correlation ID of the request (the X-Request-Id header sent, or a generated UUID); it tags every log line written for the query',
+                  example: '0f8fad5b-d9cb-469f-a165-70867728950e'
+                },
                 processingTimeMs: {
                   type: 'integer',
                   description: 'Time taken to process the query in milliseconds',
@@ -133,12 +373,270 @@ const options = {
                   description: 'Tenant used for the query',
                   example: 'global'
                 },
+                filters: {
+                  type: 'array',
+                  description: 'Structured filters extracted from the query and applied to retrieval and analytics',
+                  items: {
+                    $ref: '#/components/schemas/AppliedFilter'
+                  }
+                },
+                analytics: {
+                  type: 'object',
+                  nullable: true,
+                  description: 'How chart data was read, keyed by chart group (only when charts were generated)',
+                  properties: {
+                    charts: { $ref: '#/components/schemas/AnalyticsStrategy' },
+                    trends: { $ref: '#/components/schemas/AnalyticsStrategy' }
+                  }
+                },
+                cache: { $ref: '#/components/schemas/CacheHits' },
+                llmTokens: {
+                  type: 'integer',
+                  description: 'LLM tokens used by the query and charged to the token budgets (estimated when the provider reports none)',
+                  example: 1840
+                },
                 mode: {
                   type: 'string',
                   description: 'Server mode (demo or production)',
                   example: 'demo'
                 }
               }
+            },
+            debug: { $ref: '#/components/schemas/DebugTrace' }
+          }
+        },
+        DebugTrace: {
+          type: 'object',
+          description: 'Step-by-step trace of a query, returned to admins with debug=true. Prompts, LLM output and ticket text have API keys and credentials replaced with [SECRET]',
+          properties: {
+            requestId: { type: 'string', example: '0f8fad5b-d9cb-469f-a165-70867728950e' },
+            totalMs: { type: 'number', description: 'Time from the start of the trace to when it was returned', example: 1243.7 },
+            llm: {
+              type: 'object',
+              description: 'LLM calls and tokens used by the query',
+              properties: {
+                calls: { type: 'integer', example: 2 },
+                inputTokens: { type: 'integer', example: 1510 },
+                outputTokens: { type: 'integer', example: 330 },
+                totalTokens: { type: 'integer', example: 1840 },
+                estimated: { type: 'boolean', example: false }
+              }
+            },
+            steps: {
+              type: 'array',
+              description: 'Steps in the order they started',
+              items: { $ref: '#/components/schemas/DebugStep' }
+            }
+          }
+        },
+        DebugStep: {
+          type: 'object',
+          description: `One step of a query. The other fields depend on the step:
+- stage: a timed pipeline stage (routing, search, generation, analytics)
+- llm: role, provider, model, prompt and raw output of an LLM call
+- routing: the routing decision, the LLM's reasoning and the standalone question
+- filters: structured filters extracted from the question
+- search: strategy (hybrid, vector, keyword-fallback, fetch-objects), the exact where clause, and the candidate tickets with scores or distances (or the GraphQL errors)
+- rerank: strategies applied and the reranked tickets with their scores
+- fallback: a fallback path taken (keyword_routing, transformer_error, graphql_fallback, fetch_objects, template_answer) and why
+- citations: cited and unverified ticket IDs
+- analytics_query / analytics: where clause and read strategy of chart data
+- cache: a response cache layer that was served from the cache`,
+          required: ['step', 'atMs'],
+          properties: {
+            step: {
+              type: 'string',
+              enum: ['stage', 'llm', 'routing', 'filters', 'search', 'rerank', 'fallback', 'citations', 'analytics_query', 'analytics', 'cache'],
+              example: 'search'
+            },
+            atMs: { type: 'number', description: 'Milliseconds from the start of the query to the start of the step', example: 12.4 },
+            durationMs: { type: 'number', description: 'Duration of timed steps (stage, llm, search, rerank)', example: 38.1 },
+            error: { type: 'string', description: 'Error a timed step failed with' }
+          },
+          additionalProperties: true,
+          example: {
+            step: 'search',
+            atMs: 12.4,
+            strategy: 'keyword-fallback',
+            query: 'gopro battery',
+            keywords: ['gopro', 'battery'],
+            limit: 10,
+            tenant: 'GoPro Hero',
+            scopes: [null],
+            where: { operator: 'And', operands: [{ path: ['productPurchased'], operator: 'Equal', valueText: 'GoPro Hero' }] },
+            candidates: [{ ticketId: '1234', score: null, distance: null, ticketSubject: 'Battery drains quickly' }],
+            durationMs: 38.1
+          }
+        },
+        AnalyticsStrategy: {
+          type: 'object',
+          properties: {
+            source: {
+              type: 'string',
+              enum: ['analytics', 'trends']
+            },
+            strategy: {
+              type: 'string',
+              enum: ['aggregate', 'where', 'cursor', 'cursor-filtered'],
+              description: "'aggregate' = Weaviate Aggregate queries; 'where' = matching objects paged with the where clause and offsets; 'cursor' = every object paged with a cursor; 'cursor-filtered' = cursor paging with the where clause applied in the server, used only when the matches exceed the query result window (cursors cannot be combined with filters)"
+            },
+            rowStrategy: {
+              type: 'string',
+              enum: ['none', 'where', 'cursor', 'cursor-filtered'],
+              description: "How raw rows were read for percentiles and histograms; 'none' when no ticket has a response time"
+            },
+            totalTickets: {
+              type: 'integer',
+              description: 'Exact number of tickets the charts cover',
+              example: 8469
+            },
+            rowsScanned: {
+              type: 'integer',
+              description: 'Objects read for percentiles and histograms',
+              example: 8469
+            },
+            pages: {
+              type: 'integer',
+              example: 9
+            },
+            exact: {
+              type: 'boolean',
+              description: 'Totals are never truncated',
+              example: true
+            },
+            cached: {
+              type: 'boolean',
+              description: 'The data came from the analytics cache (the other fields describe the original read)',
+              example: false
+            }
+          }
+        },
+        Citation: {
+          type: 'object',
+          description: 'One answer sentence and the retrieved tickets that support it',
+          properties: {
+            sentence: { type: 'string', example: 'Recalibrating the battery fixed the drain after the firmware update.' },
+            ticketIds: { type: 'array', items: { type: 'string' }, example: ['1234'] },
+            unverifiedTicketIds: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'IDs cited in this sentence that were not retrieved',
+              example: []
+            },
+            snippets: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  ticketId: { type: 'string', example: '1234' },
+                  field: { type: 'string', enum: ['resolution', 'ticketDescription'], example: 'resolution' },
+                  text: { type: 'string', example: 'Customer recalibrated the battery after the firmware update.' }
+                }
+              }
+            }
+          }
+        },
+        CacheHits: {
+          type: 'object',
+          description: 'Whether each pipeline layer was served from the response cache; null when the layer did not run',
+          properties: {
+            routing: { type: 'boolean', nullable: true, example: true },
+            search: { type: 'boolean', nullable: true, example: true },
+            answer: { type: 'boolean', nullable: true, example: false },
+            analytics: { type: 'boolean', nullable: true, example: null }
+          }
+        },
+        AppliedFilter: {
+          type: 'object',
+          properties: {
+            field: {
+              type: 'string',
+              enum: ['ticketStatus', 'ticketPriority', 'ticketChannel', 'ticketType', 'dateOfPurchase', 'customerAge'],
+              example: 'ticketPriority'
+            },
+            operator: {
+              type: 'string',
+              enum: ['Equal', 'Between'],
+              example: 'Equal'
+            },
+            values: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Matched schema values (Equal filters)',
+              example: ['Critical']
+            },
+            from: { type: 'string', format: 'date-time', description: 'Range start, inclusive (dateOfPurchase)' },
+            to: { type: 'string', format: 'date-time', description: 'Range end, exclusive (dateOfPurchase)' },
+            min: { type: 'integer', nullable: true, description: 'Minimum age, inclusive (customerAge)' },
+            max: { type: 'integer', nullable: true, description: 'Maximum age, inclusive (customerAge)' },
+            label: { type: 'string', description: 'Phrase the range was parsed from', example: 'last quarter' }
+          }
+        },
+        SearchBreakdown: {
+          type: 'object',
+          description: 'How tickets were retrieved and how each one scored',
+          properties: {
+            mode: {
+              type: 'string',
+              enum: ['hybrid', 'vector', 'keyword-fallback'],
+              description: 'Retrieval strategy that produced the tickets (keyword-fallback when the vectorizer is unavailable)',
+              example: 'hybrid'
+            },
+            alpha: {
+              type: 'number',
+              nullable: true,
+              example: 0.5
+            },
+            rerank: {
+              type: 'object',
+              nullable: true,
+              description: 'Strategies that reordered the tickets, null when they are in retrieval order',
+              properties: {
+                strategies: {
+                  type: 'array',
+                  items: { type: 'string', enum: ['llm', 'lexical', 'quality'] },
+                  example: ['lexical', 'quality']
+                }
+              }
+            },
+            scores: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  ticketId: { type: 'string', example: '1234' },
+                  score: { type: 'number', nullable: true, description: 'Fused hybrid score', example: 0.91 },
+                  distance: { type: 'number', nullable: true, description: 'Vector distance (vector mode)', example: null },
+                  keywordScore: {
+                    type: 'object',
+                    description: 'BM25 contribution',
+                    properties: {
+                      original: { type: 'number', example: 3.2 },
+                      normalized: { type: 'number', example: 0.48 }
+                    }
+                  },
+                  vectorScore: {
+                    type: 'object',
+                    description: 'Vector similarity contribution',
+                    properties: {
+                      original: { type: 'number', example: 0.86 },
+                      normalized: { type: 'number', example: 0.43 }
+                    }
+                  },
+                  rerank: {
+                    type: 'object',
+                    description: 'Rerank breakdown (only when reranked); component scores are 0-1, null when the strategy was not used',
+                    properties: {
+                      score: { type: 'number', description: 'Weighted blend the tickets are ordered by', example: 0.82 },
+                      retrievalRank: { type: 'integer', description: 'Position before reranking', example: 4 },
+                      retrieval: { type: 'number', description: 'Hybrid score or vector distance scaled across the candidates', example: 0.74 },
+                      llm: { type: 'number', nullable: true, description: 'LLM relevance grade', example: null },
+                      lexical: { type: 'number', nullable: true, description: 'Share of query words found in the ticket', example: 1 },
+                      quality: { type: 'number', nullable: true, description: 'Closed, resolved and highly rated tickets score higher', example: 0.925 }
+                    }
+                  }
+                }
+              }
             }
           }
         },
@@ -163,6 +661,166 @@ const options = {
             }
           }
         },
+        ApiKey: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', example: '3f9a1c2b7d4e' },
+            name: { type: 'string', nullable: true, example: 'Helpdesk widget' },
+            role: { type: 'string', enum: ['admin', 'agent', 'customer'], example: 'customer' },
+            tenants: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Tenants the key may read; ["*"] for every tenant',
+              example: ['iPhone']
+            },
+            limits: { $ref: '#/components/schemas/RateLimits' },
+            createdAt: { type: 'string', format: 'date-time' },
+            rotatedAt: { type: 'string', format: 'date-time', nullable: true },
+            revokedAt: { type: 'string', format: 'date-time', nullable: true },
+            previousKeyExpiresAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'Until when the secret replaced by the last rotation still works'
+            }
+          }
+        },
+        ApiKeySecretResponse: {
+          allOf: [
+            { $ref: '#/components/schemas/ApiKey' },
+            {
+              type: 'object',
+              properties: {
+                key: {
+                  type: 'string',
+                  description: 'The API key; it is not stored and cannot be shown again',
+                  example: 'sk_Jq3v0cR1m5bXk8yT2nW4hA6dF9gL7pZs'
+                }
+              }
+            }
+          ]
+        },
+        CreateApiKeyRequest: {
+          type: 'object',
+          required: ['role'],
+          properties: {
+            name: { type: 'string', example: 'Helpdesk widget' },
+            role: { type: 'string', enum: ['admin', 'agent', 'customer'], example: 'customer' },
+            tenants: {
+              type: 'array',
+              items: { type: 'string' },
+              default: ['*'],
+              example: ['iPhone']
+            },
+            limits: { $ref: '#/components/schemas/RateLimits' }
+          }
+        },
+        RateLimits: {
+          type: 'object',
+          nullable: true,
+          description: 'Overrides the default per-key limits for this key; 0 means unlimited',
+          properties: {
+            requestsPerMinute: { type: 'integer', minimum: 0, example: 10 },
+            tokensPerDay: { type: 'integer', minimum: 0, example: 50000 }
+          }
+        },
+        ApiKeysResponse: {
+          type: 'object',
+          properties: {
+            keys: {
+              type: 'array',
+              items: { $ref: '#/components/schemas/ApiKey' }
+            },
+            count: { type: 'integer', example: 3 },
+            timestamp: { type: 'string', format: 'date-time' }
+          }
+        },
+        TicketFields: {
+          type: 'object',
+          description: 'Writable ticket fields; dates are ISO 8601, optional fields may be null',
+          additionalProperties: false,
+          properties: {
+            ticketId: { type: 'string', example: '8470' },
+            customerName: { type: 'string', nullable: true, example: 'Jane Doe' },
+            customerEmail: {
+              type: 'string',
+              nullable: true,
+              description: 'Stored hashed or redacted per PII_EMAIL_STORAGE',
+              example: 'jane.doe@example.com'
+            },
+            customerAge: { type: 'integer', nullable: true, minimum: 0, maximum: 120, example: 34 },
+            customerGender: { type: 'string', nullable: true, example: 'Female' },
+            productPurchased: { type: 'string', description: 'Product, i.e. the tenant of the ticket', example: 'iPhone' },
+            dateOfPurchase: { type: 'string', format: 'date', nullable: true, example: '2025-08-01' },
+            ticketType: {
+              type: 'string',
+              nullable: true,
+              enum: ['Technical issue', 'Billing inquiry', 'Cancellation request', 'Product inquiry', 'Refund request'],
+              example: 'Technical issue'
+            },
+            ticketSubject: { type: 'string', example: 'Battery life' },
+            ticketDescription: { type: 'string', example: 'The battery drains within two hours after the latest update.' },
+            ticketStatus: { type: 'string', enum: ['Open', 'Closed', 'Pending Customer Response'], example: 'Open' },
+            resolution: { type: 'string', nullable: true, example: '' },
+            ticketPriority: { type: 'string', enum: ['Critical', 'High', 'Medium', 'Low'], example: 'High' },
+            ticketChannel: { type: 'string', enum: ['Email', 'Chat', 'Phone', 'Social media'], example: 'Email' },
+            ticketCreatedAt: { type: 'string', format: 'date-time', nullable: true, example: '2025-09-17T07:41:09.931Z' },
+            firstResponseTime: { type: 'string', format: 'date-time', nullable: true },
+            resolvedAt: { type: 'string', format: 'date-time', nullable: true },
+            customerSatisfactionRating: { type: 'number', nullable: true, minimum: 1, maximum: 5 }
+          }
+        },
+        CreateTicketRequest: {
+          allOf: [
+            { $ref: '#/components/schemas/TicketFields' },
+            {
+              type: 'object',
+              required: ['ticketId', 'productPurchased', 'ticketSubject', 'ticketDescription', 'ticketStatus', 'ticketPriority', 'ticketChannel']
+            }
+          ]
+        },
+        UpdateTicketRequest: {
+          allOf: [
+            { $ref: '#/components/schemas/TicketFields' },
+            {
+              type: 'object',
+              minProperties: 1,
+              description: 'Fields to change; ticketId and productPurchased cannot be changed'
+            }
+          ]
+        },
+        Ticket: {
+          allOf: [
+            { $ref: '#/components/schemas/TicketFields' },
+            {
+              type: 'object',
+              properties: {
+                objectId: { type: 'string', format: 'uuid', description: 'Weaviate object ID, derived from ticketId' },
+                ticketDescriptionRaw: { type: 'string', description: 'Description as written; ticketDescription is normalised' },
+                resolutionRaw: { type: 'string', description: 'Resolution as written; resolution is normalised' },
+                descriptionLanguage: { type: 'string', nullable: true },
+                firstResponseHours: { type: 'number', nullable: true, description: 'Hours from creation to first response' },
+                timeToResolution: { type: 'number', nullable: true, description: 'Hours from first response to resolution' },
+                timestamp: { type: 'string', format: 'date-time' }
+              }
+            }
+          ]
+        },
+        UpdatedTicket: {
+          allOf: [
+            { $ref: '#/components/schemas/Ticket' },
+            {
+              type: 'object',
+              properties: {
+                revectorized: {
+                  type: 'boolean',
+                  description: 'Whether a vectorized field changed and the ticket was embedded again',
+                  example: true
+                }
+              }
+            }
+          ]
+        },
         HealthResponse: {
           type: 'object',
           properties: {
@@ -194,8 +852,77 @@ const options = {
             },
             ticketCount: {
               type: 'integer',
-              description: 'Number of tickets for this tenant',
+              nullable: true,
+              description: 'Number of tickets for this tenant (null for deactivated native tenants)',
               example: 1250
+            },
+            tenant: {
+              type: 'string',
+              description: 'Weaviate tenant name (native tenancy only)',
+              example: 'iPhone'
+            },
+            active: {
+              type: 'boolean',
+              description: 'Whether the tenant shard can be queried (native tenancy only)',
+              example: true
+            }
+          }
+        },
+        CreateTenantsRequest: {
+          type: 'object',
+          required: ['tenants'],
+          properties: {
+            tenants: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Product names to create tenants for; names are converted to valid Weaviate tenant names',
+              example: ['iPhone', 'GoPro Hero']
+            }
+          }
+        },
+        CreateTenantsResponse: {
+          type: 'object',
+          properties: {
+            created: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Tenants that did not exist before this request',
+              example: ['GoPro-Hero']
+            },
+            tenants: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Tenant names for every requested product',
+              example: ['iPhone', 'GoPro-Hero']
+            },
+            timestamp: {
+              type: 'string',
+              format: 'date-time',
+              example: '2025-09-17T07:41:09.931Z'
+            }
+          }
+        },
+        TenantStatusResponse: {
+          type: 'object',
+          properties: {
+            name: {
+              type: 'string',
+              description: 'Weaviate tenant name',
+              example: 'GoPro-Hero'
+            },
+            active: {
+              type: 'boolean',
+              example: false
+            },
+            activityStatus: {
+              type: 'string',
+              enum: ['HOT', 'COLD'],
+              example: 'COLD'
+            },
+            timestamp: {
+              type: 'string',
+              format: 'date-time',
+              example: '2025-09-17T07:41:09.931Z'
             }
           }
         },
@@ -266,6 +993,107 @@ const options = {
             }
           }
         },
+        ThreadTurn: {
+          type: 'object',
+          properties: {
+            role: {
+              type: 'string',
+              enum: ['user', 'assistant'],
+              example: 'user'
+            },
+            content: {
+              type: 'string',
+              example: 'Show most common GoPro Hero issues'
+            },
+            ticketIds: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Tickets referenced by this turn',
+              example: []
+            },
+            timestamp: {
+              type: 'string',
+              format: 'date-time',
+              example: '2025-09-17T07:41:09.931Z'
+            }
+          }
+        },
+        Thread: {
+          type: 'object',
+          properties: {
+            threadId: {
+              type: 'string',
+              example: '3f1c2a9e-5b7d-4e21-9a0c-7d2b8e4f6a11'
+            },
+            tenant: {
+              type: 'string',
+              nullable: true,
+              description: 'Tenant used by the most recent turn',
+              example: 'GoPro Hero'
+            },
+            ticketIds: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Every ticket retrieved in this thread',
+              example: ['1234', '5678']
+            },
+            turns: {
+              type: 'array',
+              items: {
+                $ref: '#/components/schemas/ThreadTurn'
+              }
+            },
+            summary: {
+              type: 'string',
+              nullable: true,
+              description: 'LLM summary of turns that have scrolled out of the prompt history window',
+              example: 'The user is troubleshooting GoPro Hero battery drain and has seen tickets 1234 and 5678.'
+            },
+            summaryThrough: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'Timestamp of the last turn covered by the summary'
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time',
+              example: '2025-09-17T07:41:09.931Z'
+            },
+            updatedAt: {
+              type: 'string',
+              format: 'date-time',
+              example: '2025-09-17T07:42:31.104Z'
+            }
+          }
+        },
+        ThreadsResponse: {
+          type: 'object',
+          properties: {
+            threads: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  threadId: { type: 'string', example: '3f1c2a9e-5b7d-4e21-9a0c-7d2b8e4f6a11' },
+                  tenant: { type: 'string', nullable: true, example: 'GoPro Hero' },
+                  turnCount: { type: 'integer', example: 4 },
+                  createdAt: { type: 'string', format: 'date-time' },
+                  updatedAt: { type: 'string', format: 'date-time' }
+                }
+              }
+            },
+            count: {
+              type: 'integer',
+              example: 1
+            },
+            timestamp: {
+              type: 'string',
+              format: 'date-time',
+              example: '2025-09-17T07:41:09.931Z'
+            }
+          }
+        },
         DemoResponse: {
           type: 'object',
           properties: {
@@ -325,6 +1153,10 @@ const options = {
         }
       }
     },
+    security: [
+      { ApiKeyAuth: [] },
+      { BearerAuth: [] }
+    ],
     tags: [
       {
         name: 'Query',
@@ -337,6 +1169,22 @@ const options = {
       {
         name: 'Analytics',
         description: 'Analytics and statistics endpoints'
+      },
+      {
+        name: 'Conversations',
+        description: 'Multi-turn conversation thread management'
+      },
+      {
+        name: 'API Keys',
+        description: 'API key creation, rotation and revocation (admin keys for every tenant)'
+      },
+      {
+        name: 'Tenants',
+        description: 'Native Weaviate tenant management (admin role, TENANCY_MODE=native)'
+      },
+      {
+        name: 'Tickets',
+        description: 'Create, read, update and delete single support tickets (admin and agent roles)'
       }
     ]
   },
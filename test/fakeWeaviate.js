@@ -0,0 +1,490 @@
+// In-process fake of the Weaviate endpoints the agents use: GraphQL Get (hybrid, nearText, where, cursor, offset)
+// and Aggregate (where, groupBy), the REST objects list and single-object CRUD, batch writes, schema and meta.
+// Seeded from a CSV fixture.
+import http from 'http';
+import fs from 'fs';
+import csv from 'csv-parser';
+import { cleanTicketData, ticketObjectId } from '../weaviate/ticket_data.js';
+import config from '../config.js';
+
+const FAILURE_TARGETS = ['hybrid', 'nearText', 'get', 'aggregate', 'objects'];
+
+// Text properties searched by hybrid BM25 and compared by the stand-in vectorizer
+const VECTOR_PROPERTIES = ['ticketSubject', 'ticketDescription', 'resolution', 'productPurchased'];
+
+function tokenize(value) {
+  return String(value ?? '').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+}
+
+// Minimal parser for the GraphQL documents weaviate-ts-client builds:
+// { Get { Class(arg: value, ...) { field nested { field } } } }
+class GraphQLParser {
+  constructor(text) {
+    this.tokens = text.match(/"(?:[^"\\]|\\.)*"|[{}()[\]:,]|[^\s{}()[\]:,"]+/g) || [];
+    this.position = 0;
+  }
+
+  peek() {
+    return this.tokens[this.position];
+  }
+
+  next(expected) {
+    const token = this.tokens[this.position++];
+    if (expected && token !== expected) {
+      throw new Error(`Expected "${expected}" but found "${token}"`);
+    }
+    return token;
+  }
+
+  // { field(args) { ... } ... } -> [{ name, args, fields }]
+  selection() {
+    const fields = [];
+    this.next('{');
+    while (this.peek() !== '}') {
+      const field = { name: this.next(), args: {}, fields: null };
+      if (this.peek() === '(') {
+        field.args = this.arguments();
+      }
+      if (this.peek() === '{') {
+        field.fields = this.selection();
+      }
+      fields.push(field);
+    }
+    this.next('}');
+    return fields;
+  }
+
+  arguments() {
+    const args = {};
+    this.next('(');
+    while (this.peek() !== ')') {
+      const name = this.next();
+      this.next(':');
+      args[name] = this.value();
+      if (this.peek() === ',') this.next();
+    }
+    this.next(')');
+    return args;
+  }
+
+  value() {
+    const token = this.next();
+    if (token === '{') {
+      const object = {};
+      while (this.peek() !== '}') {
+        const name = this.next();
+        this.next(':');
+        object[name] = this.value();
+        if (this.peek() === ',') this.next();
+      }
+      this.next('}');
+      return object;
+    }
+    if (token === '[') {
+      const list = [];
+      while (this.peek() !== ']') {
+        list.push(this.value());
+        if (this.peek() === ',') this.next();
+      }
+      this.next(']');
+      return list;
+    }
+    if (token.startsWith('"')) return JSON.parse(token);
+    if (token === 'true' || token === 'false') return token === 'true';
+    if (token === 'null') return null;
+    if (!isNaN(Number(token))) return Number(token);
+    return token; // Enum values such as And, Equal or relativeScoreFusion
+  }
+}
+
+class FakeWeaviate {
+  // tickets: [{ id, properties }] as stored by the importer
+  constructor({ className = config.weaviate.className, tickets = [] } = {}) {
+    this.className = className;
+    this.objects = [...tickets].sort((a, b) => a.id.localeCompare(b.id)); // Cursor order
+    this.failures = new Map();
+    this.requests = []; // { method, path, body } of every request, for assertions
+    this.vectorized = []; // IDs of objects written without a vector, which the vectorizer embedded
+    this.server = null;
+  }
+
+  // Build a fake holding a CSV export, cleaned and keyed exactly as the importer stores it
+  static async fromCSV(csvPath, options = {}) {
+    const rows = await new Promise((resolve, reject) => {
+      const collected = [];
+      fs.createReadStream(csvPath)
+        .pipe(csv())
+        .on('data', row => collected.push(row))
+        .on('end', () => resolve(collected))
+        .on('error', reject);
+    });
+
+    const tickets = rows.map(row => {
+      const properties = cleanTicketData(row);
+      return { id: ticketObjectId(properties.ticketId), properties };
+    });
+    return new FakeWeaviate({ ...options, tickets });
+  }
+
+  // Listen on a free local port; resolves to the base URL to use as WEAVIATE_URL
+  async start() {
+    this.server = http.createServer((req, res) => this.handle(req, res));
+    await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+    return `http://127.0.0.1:${this.server.address().port}`;
+  }
+
+  async stop() {
+    if (this.server) {
+      await new Promise(resolve => this.server.close(resolve));
+      this.server = null;
+    }
+  }
+
+  // Make requests fail: 'hybrid' / 'nearText' / 'get' GraphQL Get queries, 'aggregate' queries or the 'objects' REST getter
+  // message is returned as a GraphQL error (HTTP 500 for objects); times limits how many requests fail
+  fail(target, message, times = Infinity) {
+    if (!FAILURE_TARGETS.includes(target)) {
+      throw new Error(`Unknown failure target: ${target}. Supported targets: ${FAILURE_TARGETS.join(', ')}`);
+    }
+    this.failures.set(target, { message, remaining: times });
+  }
+
+  clearFailures() {
+    this.failures.clear();
+  }
+
+  // The injected failure for a target, counting it down
+  takeFailure(target) {
+    const failure = this.failures.get(target);
+    if (!failure) return null;
+    if (--failure.remaining <= 0) {
+      this.failures.delete(target);
+    }
+    return failure.message;
+  }
+
+  handle(req, res) {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      this.requests.push({ method: req.method, path: url.pathname, body });
+
+      try {
+        const [status, payload] = this.route(req.method, url, body ? JSON.parse(body) : null);
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(payload));
+      } catch (error) {
+        res.writeHead(500, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: [{ message: error.message }] }));
+      }
+    });
+  }
+
+  route(method, url, body) {
+    const path = url.pathname;
+    if (path.startsWith('/v1/.well-known/')) return [200, {}];
+    if (path === '/v1/meta') return [200, { hostname: 'fake-weaviate', version: '1.24.0', modules: {} }];
+    if (method === 'GET' && path === '/v1/schema') return [200, { classes: [{ class: this.className, properties: [] }] }];
+    if (method === 'GET' && path === `/v1/schema/${this.className}/tenants`) return [200, []];
+    if (method === 'GET' && path === '/v1/objects') return this.listObjects(url.searchParams);
+    if (method === 'POST' && path === '/v1/graphql') return [200, this.graphql(body.query)];
+    if (method === 'POST' && path === '/v1/objects') return this.createObject(body);
+    if (method === 'POST' && path === '/v1/batch/objects') return [200, body.objects.map(object => this.batchObject(object))];
+    const single = /^\/v1\/objects\/([^/]+)\/([^/]+)$/.exec(path);
+    if (single && single[1] === this.className) return this.objectById(method, single[2], url.searchParams);
+    return [404, { error: [{ message: `${method} ${path} is not implemented by the fake` }] }];
+  }
+
+  // GET /v1/objects?class=&limit=&after= (no where filters, like the real endpoint)
+  listObjects(params) {
+    const message = this.takeFailure('objects');
+    if (message) {
+      return [500, { error: [{ message }] }];
+    }
+
+    const limit = Number(params.get('limit') || 25);
+    const after = params.get('after');
+    const start = after ? this.objects.findIndex(object => object.id === after) + 1 : 0;
+    const objects = this.objects.slice(start, start + limit).map(object => ({ class: this.className, ...object }));
+    return [200, { objects, totalResults: objects.length }];
+  }
+
+  // Store an object, embedding it unless it brings its own vector
+  store({ id, properties, vector }) {
+    const object = { id, properties: { ...properties }, vector: vector || this.vectorize(properties) };
+    if (!vector) {
+      this.vectorized.push(id);
+    }
+    const index = this.objects.findIndex(existing => existing.id === id);
+    if (index >= 0) {
+      this.objects[index] = object;
+    } else {
+      this.objects.push(object);
+      this.objects.sort((a, b) => a.id.localeCompare(b.id));
+    }
+    return object;
+  }
+
+  // POST /v1/objects: 422 when the ID is taken, like the real endpoint
+  createObject(body) {
+    if (body.class !== this.className) {
+      return [422, { error: [{ message: `class ${body.class} not found` }] }];
+    }
+    if (this.objects.some(object => object.id === body.id)) {
+      return [422, { error: [{ message: `id '${body.id}' already exists` }] }];
+    }
+    const { id, properties } = this.store(body);
+    return [200, { class: this.className, id, properties }];
+  }
+
+  // One object of POST /v1/batch/objects: created or replaced
+  batchObject(body) {
+    if (body.class !== this.className) {
+      return { ...body, result: { errors: { error: [{ message: `class ${body.class} not found` }] } } };
+    }
+    const { id, properties } = this.store(body);
+    return { class: this.className, id, properties, result: {} };
+  }
+
+  // HEAD, GET (?include=vector) and DELETE /v1/objects/{class}/{id}
+  objectById(method, id, params) {
+    const index = this.objects.findIndex(object => object.id === id);
+    if (index < 0) {
+      return [404, null];
+    }
+    const object = this.objects[index];
+    switch (method) {
+      case 'HEAD':
+        return [204, null];
+      case 'GET': {
+        const includeVector = (params.get('include') || '').split(',').includes('vector');
+        return [200, { class: this.className, id, properties: object.properties, ...(includeVector ? { vector: object.vector || this.vectorize(object.properties) } : {}) }];
+      }
+      case 'DELETE':
+        this.objects.splice(index, 1);
+        return [204, null];
+      default:
+        return [405, { error: [{ message: `${method} /v1/objects/{class}/{id} is not implemented by the fake` }] }];
+    }
+  }
+
+  graphql(query) {
+    const [root] = new GraphQLParser(query).selection();
+    const [target] = root.fields;
+    if (target.name !== this.className) {
+      return { errors: [{ message: `Cannot query field "${target.name}" on type "${root.name}"` }] };
+    }
+
+    if (root.name === 'Get') {
+      const failureTarget = target.args.hybrid ? 'hybrid' : target.args.nearText ? 'nearText' : 'get';
+      const message = this.takeFailure(failureTarget);
+      if (message) return { data: { Get: { [this.className]: null } }, errors: [{ message }] };
+      // Like Weaviate: cursors cannot be combined with where filters
+      if (target.args.after && target.args.where) {
+        return { data: { Get: { [this.className]: null } }, errors: [{ message: 'invalid search: cursor api: invalid \'after\' parameter: where cannot be set' }] };
+      }
+      return { data: { Get: { [this.className]: this.get(target.args, target.fields) } } };
+    }
+    if (root.name === 'Aggregate') {
+      const message = this.takeFailure('aggregate');
+      if (message) return { data: { Aggregate: { [this.className]: null } }, errors: [{ message }] };
+      return { data: { Aggregate: { [this.className]: this.aggregate(target.args, target.fields) } } };
+    }
+    return { errors: [{ message: `Unsupported operation: ${root.name}` }] };
+  }
+
+  get(args, fields) {
+    let candidates = this.objects.filter(object => !args.where || this.matches(object.properties, args.where));
+    let ranked;
+
+    if (args.hybrid) {
+      ranked = this.hybrid(candidates, args.hybrid);
+    } else if (args.nearText) {
+      ranked = this.nearText(candidates, args.nearText.concepts.join(' '));
+    } else {
+      if (args.after) {
+        candidates = candidates.slice(candidates.findIndex(object => object.id === args.after) + 1);
+      }
+      ranked = candidates.map(object => ({ object, additional: {} }));
+    }
+
+    const offset = args.offset ?? 0;
+    return ranked.slice(offset, offset + (args.limit ?? 100)).map(({ object, additional }) => this.project(object, additional, fields));
+  }
+
+  // Requested properties plus the requested _additional fields
+  project(object, additional, fields) {
+    const result = {};
+    for (const field of fields) {
+      if (field.name === '_additional') {
+        result._additional = Object.fromEntries(field.fields.map(({ name }) => [name, name === 'id' ? object.id : additional[name] ?? null]));
+      } else {
+        result[field.name] = object.properties[field.name] ?? null;
+      }
+    }
+    return result;
+  }
+
+  // Stand-in vector: word counts of the ticket text hashed into 16 dimensions
+  vectorize(properties) {
+    const vector = new Array(16).fill(0);
+    for (const token of VECTOR_PROPERTIES.flatMap(property => tokenize(properties[property]))) {
+      const hash = [...token].reduce((sum, char) => (sum * 31 + char.charCodeAt(0)) % 65521, 7);
+      vector[hash % vector.length]++;
+    }
+    return vector;
+  }
+
+  // Stand-in vectorizer: cosine similarity of word counts over the ticket text
+  similarity(queryTokens, properties) {
+    const counts = new Map();
+    VECTOR_PROPERTIES.flatMap(property => tokenize(properties[property])).forEach(token => counts.set(token, (counts.get(token) || 0) + 1));
+    const queryCounts = new Map();
+    queryTokens.forEach(token => queryCounts.set(token, (queryCounts.get(token) || 0) + 1));
+
+    let dot = 0;
+    queryCounts.forEach((count, token) => { dot += count * (counts.get(token) || 0); });
+    const norm = map => Math.sqrt([...map.values()].reduce((sum, count) => sum + count * count, 0));
+    return dot > 0 ? dot / (norm(counts) * norm(queryCounts)) : 0;
+  }
+
+  nearText(objects, text) {
+    const queryTokens = tokenize(text);
+    return objects
+      .map(object => ({ object, additional: { distance: 1 - this.similarity(queryTokens, object.properties) } }))
+      .sort((a, b) => a.additional.distance - b.additional.distance);
+  }
+
+  // BM25 over the given properties
+  bm25(objects, queryTokens, properties) {
+    const documents = objects.map(object => properties.flatMap(property => tokenize(object.properties[property])));
+    const averageLength = documents.reduce((sum, tokens) => sum + tokens.length, 0) / (documents.length || 1);
+    const frequency = token => documents.filter(tokens => tokens.includes(token)).length;
+
+    return documents.map(tokens => queryTokens.reduce((score, token) => {
+      const count = tokens.filter(candidate => candidate === token).length;
+      if (count === 0) return score;
+      const idf = Math.log(1 + (documents.length - frequency(token) + 0.5) / (frequency(token) + 0.5));
+      return score + idf * (count * 2.2) / (count + 1.2 * (0.25 + 0.75 * tokens.length / averageLength));
+    }, 0));
+  }
+
+  // relativeScoreFusion: keyword and vector scores scaled to 0-1 and blended by alpha
+  hybrid(objects, { query, alpha = 0.75, properties = VECTOR_PROPERTIES }) {
+    const queryTokens = tokenize(query);
+    const keyword = this.bm25(objects, queryTokens, properties);
+    const vector = objects.map(object => this.similarity(queryTokens, object.properties));
+    const scale = values => {
+      const max = Math.max(0, ...values);
+      return values.map(value => (max > 0 ? value / max : 0));
+    };
+    const keywordNormalized = scale(keyword);
+    const vectorNormalized = scale(vector);
+
+    return objects
+      .map((object, index) => {
+        const keywordScore = (1 - alpha) * keywordNormalized[index];
+        const vectorScore = alpha * vectorNormalized[index];
+        return {
+          object,
+          additional: {
+            score: String(keywordScore + vectorScore),
+            explainScore: `(Result Set keyword,bm25) Document ${object.id}: original score ${keyword[index]}, normalized score: ${keywordScore} - ` +
+              `(Result Set vector,hybridVector) Document ${object.id}: original score ${vector[index]}, normalized score: ${vectorScore}`
+          }
+        };
+      })
+      .filter(({ additional }) => Number(additional.score) > 0)
+      .sort((a, b) => Number(b.additional.score) - Number(a.additional.score));
+  }
+
+  aggregate(args, fields) {
+    const objects = this.objects.filter(object => !args.where || this.matches(object.properties, args.where));
+    if (!args.groupBy) {
+      return [this.aggregateFields(objects, fields)];
+    }
+
+    const [property] = args.groupBy;
+    const groups = new Map();
+    for (const object of objects) {
+      const value = object.properties[property];
+      if (value === null || value === undefined || value === '') continue;
+      const key = String(value);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(object);
+    }
+    return [...groups.entries()].map(([value, members]) => ({
+      ...this.aggregateFields(members, fields),
+      groupedBy: { path: [property], value }
+    }));
+  }
+
+  // meta { count } and numeric property statistics (count, mean, minimum, maximum, sum)
+  aggregateFields(objects, fields) {
+    const result = {};
+    for (const field of fields) {
+      if (field.name === 'groupedBy') continue;
+      if (field.name === 'meta') {
+        result.meta = { count: objects.length };
+        continue;
+      }
+
+      const values = objects.map(object => object.properties[field.name]).filter(value => typeof value === 'number');
+      const sum = values.reduce((total, value) => total + value, 0);
+      const statistics = {
+        count: values.length,
+        mean: values.length ? sum / values.length : null,
+        minimum: values.length ? Math.min(...values) : null,
+        maximum: values.length ? Math.max(...values) : null,
+        sum: values.length ? sum : null
+      };
+      result[field.name] = Object.fromEntries(field.fields.map(({ name }) => [name, statistics[name] ?? null]));
+    }
+    return result;
+  }
+
+  // Weaviate where semantics: word-tokenized text Equal, wildcard Like, typed comparisons, And/Or
+  matches(properties, clause) {
+    switch (clause.operator) {
+      case 'And': return clause.operands.every(operand => this.matches(properties, operand));
+      case 'Or': return clause.operands.some(operand => this.matches(properties, operand));
+      case 'IsNull': return (properties[clause.path[0]] === null || properties[clause.path[0]] === undefined) === clause.valueBoolean;
+    }
+
+    const actual = properties[clause.path[0]];
+    if (actual === null || actual === undefined) {
+      return clause.operator === 'NotEqual';
+    }
+
+    const text = clause.valueText ?? clause.valueString;
+    if (text !== undefined) {
+      if (clause.operator === 'Like') {
+        const pattern = new RegExp(`^${text.toLowerCase().replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.')}$`);
+        return tokenize(actual).some(token => pattern.test(token)) || pattern.test(String(actual).toLowerCase());
+      }
+      const actualTokens = tokenize(actual);
+      const equal = tokenize(text).every(token => actualTokens.includes(token));
+      if (clause.operator === 'Equal') return equal;
+      if (clause.operator === 'NotEqual') return !equal;
+      throw new Error(`Operator ${clause.operator} is not supported on text by the fake`);
+    }
+
+    const toValue = value => (clause.valueDate !== undefined ? new Date(value).getTime() : value);
+    const left = toValue(actual);
+    const right = toValue(clause.valueDate ?? clause.valueInt ?? clause.valueNumber ?? clause.valueBoolean);
+    switch (clause.operator) {
+      case 'Equal': return left === right;
+      case 'NotEqual': return left !== right;
+      case 'GreaterThan': return left > right;
+      case 'GreaterThanEqual': return left >= right;
+      case 'LessThan': return left < right;
+      case 'LessThanEqual': return left <= right;
+      default:
+        throw new Error(`Operator ${clause.operator} is not supported by the fake`);
+    }
+  }
+}
+
+export { FAILURE_TARGETS, GraphQLParser };
+export default FakeWeaviate;
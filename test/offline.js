@@ -0,0 +1,432 @@
+// Offline test suite: runs the agents against an in-process fake Weaviate seeded from test/fixtures/tickets.csv
+// and the scripted LLM provider (test/fixtures/llm-script.json), so it needs no network, Docker or API keys
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const fixtures = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+// Cache invalidations write the data generation marker here instead of ./data/cache in the working tree
+const cacheDirectory = await fs.mkdtemp(path.join(os.tmpdir(), 'offline-cache-'));
+
+// config.js reads the environment when it is first imported, so everything else is imported after this
+Object.assign(process.env, {
+  LLM_PROVIDER: 'scripted',
+  LLM_SCRIPT: path.join(fixtures, 'llm-script.json'),
+  TENANCY_MODE: 'filter',
+  MEMORY_STORE: 'memory',
+  CACHE_ENABLED: 'false',
+  CACHE_DIR: cacheDirectory,
+  RERANK_STRATEGIES: '',
+  CITATIONS_UNVERIFIED: 'flag'
+});
+
+const { default: config } = await import('../config.js');
+const { default: FakeWeaviate } = await import('./fakeWeaviate.js');
+
+const weaviate = await FakeWeaviate.fromCSV(path.join(fixtures, 'tickets.csv'));
+// Agents read the Weaviate URL when they are constructed
+config.weaviate.url = await weaviate.start();
+
+const { default: ComprehensiveAgentTester } = await import('../test_agents.js');
+const { metrics } = await import('../agents/metrics.js');
+const { logger } = await import('../agents/logger.js');
+const { traceQuery } = await import('../agents/debugTrace.js');
+const { default: TicketStore } = await import('../agents/ticketStore.js');
+const { default: TenantManager } = await import('../agents/tenantManager.js');
+const { default: SupportAssistantServer } = await import('../server.js');
+const { cleanTicketData, ticketObjectId } = await import('../weaviate/ticket_data.js');
+const { default: QueryFilterExtractor } = await import('../agents/queryFilters.js');
+const { InMemoryResponseCache } = await import('../agents/responseCache.js');
+
+// Transformer outages are what send hybrid search to the keyword fallback
+const TRANSFORMER_ERROR = 'vectorize target vector: send POST request: dial tcp: lookup t2v-transformers: no such host';
+
+class OfflineAgentTester extends ComprehensiveAgentTester {
+  constructor(fake) {
+    super();
+    this.weaviate = fake;
+  }
+
+  // GraphQL queries the fake received since a given request index
+  graphqlSince(index) {
+    return this.weaviate.requests.slice(index)
+      .filter(request => request.path === '/v1/graphql')
+      .map(request => JSON.parse(request.body).query);
+  }
+
+  // Test 1: Hybrid, vector and filtered retrieval over the fixture tickets
+  async testOfflineSearch() {
+    console.log('\n🔍 Testing Offline Retrieval...');
+
+    try {
+      const tickets = await this.ragAgent.searchTickets('GoPro battery drains', 'GoPro Hero', 3, { rerank: [] });
+      const ids = tickets.map(ticket => ticket.ticketId);
+      const search = this.ragAgent.describeSearchResults(tickets);
+      this.recordTest('Offline Search - Hybrid Ranking and Tenant Filter',
+        ['1', '2'].every(id => ids.slice(0, 2).includes(id)) &&
+        tickets.every(ticket => ticket.productPurchased === 'GoPro Hero') &&
+        search.mode === 'hybrid' && search.scores[0].keywordScore.normalized > 0);
+
+      const vector = await this.ragAgent.searchTickets('kindle cannot connect to wi-fi', null, 3, { mode: 'vector', rerank: [] });
+      const distances = vector.map(ticket => ticket._additional.distance);
+      this.recordTest('Offline Search - Vector Ranking',
+        vector[0].ticketId === '17' && distances.every((distance, index) => index === 0 || distance >= distances[index - 1]));
+
+      const filters = await this.ragAgent.queryFilters.extract('open critical tickets about the screen');
+      const filtered = await this.ragAgent.searchTickets('screen flickers', null, 5, { filters, rerank: [] });
+      this.recordTest('Offline Search - Structured Filters',
+        filtered.length === 1 && filtered[0].ticketId === '9');
+
+      // The scripted reranking LLM grades ticket 2 above ticket 1
+      const reranked = await this.ragAgent.searchTickets('GoPro battery life', 'GoPro Hero', 2, { rerank: ['llm'] });
+      this.recordTest('Offline Search - LLM Reranking',
+        reranked[0].ticketId === '2' && reranked[0]._additional.rerank.llm === 1 && reranked[1]._additional.rerank.llm === 0.3);
+    } catch (error) {
+      this.recordTest('Offline Search', false, error);
+    }
+  }
+
+  // Test 2: Exact analytics from Aggregate queries
+  async testOfflineAnalytics() {
+    console.log('\n📊 Testing Offline Analytics...');
+
+    try {
+      const all = await this.chartTool.getAnalyticsData();
+      this.recordTest('Offline Analytics - Status and Priority Counts',
+        all.strategy.totalTickets === 20 &&
+        all.statusDistribution.Closed === 13 && all.statusDistribution.Open === 4 &&
+        all.statusDistribution['Pending Customer Response'] === 3 &&
+        all.priorityDistribution.Critical === 4 && all.priorityDistribution.High === 6);
+
+      this.recordTest('Offline Analytics - Satisfaction',
+        all.satisfactionStats.count === 13 && all.satisfactionStats.average === 3.77 &&
+        all.satisfactionStats.distribution[5] === 4 && all.satisfactionStats.distribution[1] === 1);
+
+      const iphone = await this.chartTool.getAnalyticsData('iPhone');
+      this.recordTest('Offline Analytics - Tenant Counts',
+        iphone.strategy.totalTickets === 6 && iphone.statusDistribution.Closed === 4 &&
+        iphone.resolutionTimeStats.count === 4);
+
+      // Filtered rows are read with the where clause; the whole class is only scanned beyond the result window
+      const iphoneTrends = await this.chartTool.getTrendData('iPhone');
+      const maxQueryResults = config.charts.maxQueryResults;
+      config.charts.maxQueryResults = 5;
+      const beyondWindow = await this.chartTool.getAnalyticsData('iPhone').finally(() => {
+        config.charts.maxQueryResults = maxQueryResults;
+      });
+      this.recordTest('Offline Analytics - Filtered Row Reads',
+        all.strategy.rowStrategy === 'cursor' && all.strategy.rowsScanned === 20 &&
+        iphone.strategy.rowStrategy === 'where' && iphone.strategy.rowsScanned === 6 &&
+        iphoneTrends.strategy.strategy === 'where' && iphoneTrends.tickets.length === 6 &&
+        beyondWindow.strategy.rowStrategy === 'cursor-filtered' && beyondWindow.strategy.rowsScanned === 20 &&
+        JSON.stringify(beyondWindow.resolutionTimeStats) === JSON.stringify(iphone.resolutionTimeStats));
+
+      // The fixture has the bundled export's columns, without a creation timestamp: no first response times, while
+      // resolution times (first response → resolution) are still there
+      const responseChart = await this.chartTool.generateChart('responseTimeChart');
+      const created = cleanTicketData({ 'Ticket Created At': '2023-06-01T08:00:00Z', 'Date of Purchase': '2021-01-12', 'First Response Time': '2023-06-01T09:30:00Z' });
+      const purchased = cleanTicketData({ 'Date of Purchase': '2021-01-12', 'First Response Time': '2023-06-01T09:30:00Z' });
+      this.recordTest('Offline Analytics - First Response Times Without Creation Column',
+        all.responseTimeStats.count === 0 && all.resolutionTimeStats.count > 0 &&
+        all.durationsByPriority.High.response.count === 0 &&
+        responseChart.options.plugins.title.text.includes('not available') &&
+        created.firstResponseHours === 1.5 && purchased.firstResponseHours === null);
+    } catch (error) {
+      this.recordTest('Offline Analytics', false, error);
+    }
+  }
+
+  // Test 3: Routing, answers and citations through the Delegating Agent
+  async testOfflineDelegation() {
+    console.log('\n🎯 Testing Offline Delegation...');
+
+    try {
+      const answer = await this.delegatingAgent.handleQuery('How do I fix GoPro battery life problems?', 'GoPro Hero');
+      this.recordTest('Offline Delegation - Cited Answer',
+        answer.answer.includes('Recalibrated the battery') &&
+        JSON.stringify(answer.references.ticketIds) === JSON.stringify(['1', '2']) &&
+        answer.references.citations.length === 2 && answer.chart === null);
+
+      const analytics = await this.delegatingAgent.handleQuery('Show me analytics for these tickets', 'iPhone');
+      const statusCounts = analytics.chart && analytics.chart.statusDistribution.data.datasets[0].data;
+      this.recordTest('Offline Delegation - Chart Routing',
+        !analytics.references.ticketIds && Array.isArray(statusCounts) &&
+        statusCounts.reduce((sum, count) => sum + count, 0) === 6);
+
+      const flagged = await this.delegatingAgent.handleQuery('Kindle battery problems', 'Amazon Kindle');
+      this.recordTest('Offline Delegation - Unverified Citations',
+        JSON.stringify(flagged.references.ticketIds) === JSON.stringify(['20']) &&
+        JSON.stringify(flagged.references.unverifiedTicketIds) === JSON.stringify(['999']));
+
+      // Streamed tokens (replace discards the text so far) add up to the combined answer, analytics included
+      let streamed = '';
+      const combined = await this.delegatingAgent.handleQuery('What are common iPhone problems? Show analytics too', 'iPhone', null, {
+        onEvent: (type, data) => {
+          if (type === 'token') streamed = data.replace ? data.text : streamed + data.text;
+        }
+      });
+      // Whitespace around the RAG answer must not shift what is appended after it
+      const padded = await this.delegatingAgent.combineResults({
+        ragResult: { answer: '  Restart the phone.\n' },
+        trendResult: { volumeTrend: { type: 'line', data: { labels: ['2021-01'], datasets: [{ label: 'Tickets', data: [3] }] } } }
+      });
+      this.recordTest('Offline Delegation - Streamed Combined Answer',
+        combined.answer.includes('📊 **Analytics Dashboard:**') && streamed.trim() === combined.answer &&
+        streamed.split('📊 **Analytics Dashboard:**').length === 2 &&
+        padded.answer === `Restart the phone.${padded.appended}` && padded.appended.startsWith('\n\n📈 **Trends:**\n'));
+
+      // Every line the agents log for a query carries its request ID, charts and answers alike
+      const lines = [];
+      const write = logger.write;
+      logger.write = (level, line) => lines.push(line);
+      try {
+        await this.delegatingAgent.handleQuery('What are common iPhone problems? Show analytics too', 'iPhone', null, { requestId: 'offline-request-1' });
+      } finally {
+        logger.write = write;
+      }
+      this.recordTest('Offline Delegation - Request ID on Agent Logs',
+        lines.length > 3 && lines.every(line => line.includes('offline-request-1')) && logger.requestId() === null);
+    } catch (error) {
+      this.recordTest('Offline Delegation', false, error);
+    }
+  }
+
+  // Test 4: searchTickets → fallbackSearch → fetchObjectsFallback when Weaviate queries fail
+  async testOfflineFallbacks() {
+    console.log('\n🛡️ Testing Offline Fallback Chain...');
+
+    const fallbacks = ['transformer_error', 'graphql_fallback', 'fetch_objects'];
+    const before = fallbacks.map(fallback => metrics.fallbacks.get({ fallback }));
+
+    try {
+      let start = this.weaviate.requests.length;
+      this.weaviate.fail('hybrid', TRANSFORMER_ERROR, 1);
+      const keyword = await this.ragAgent.searchTickets('GoPro battery', 'GoPro Hero', 5, { rerank: [] });
+      const queries = this.graphqlSince(start);
+      this.recordTest('Fallback - Keyword GraphQL Search',
+        keyword.length === 5 && keyword.every(ticket => ticket.productPurchased === 'GoPro Hero') &&
+        this.ragAgent.describeSearchResults(keyword).mode === 'keyword-fallback' &&
+        queries.length === 2 && queries[1].includes('Like'));
+
+      start = this.weaviate.requests.length;
+      this.weaviate.fail('hybrid', TRANSFORMER_ERROR, 1);
+      this.weaviate.fail('get', 'keyword query failed', 1);
+      const objects = await this.ragAgent.searchTickets('kindle battery', 'Amazon Kindle', 5, { rerank: [] });
+      const usedObjectsApi = this.weaviate.requests.slice(start).some(request => request.path === '/v1/objects');
+      this.recordTest('Fallback - Objects API Scan',
+        usedObjectsApi && objects.length === 4 &&
+        objects.every(ticket => ticket.productPurchased === 'Amazon Kindle' && ticket.ticketSubject));
+
+      this.weaviate.fail('hybrid', TRANSFORMER_ERROR, 1);
+      this.weaviate.fail('get', 'keyword query failed', 1);
+      this.weaviate.fail('objects', 'objects API unavailable', 1);
+      const result = await this.ragAgent.handleQuery('kindle battery', 'Amazon Kindle', 5, null, { search: { rerank: [] } });
+      this.recordTest('Fallback - Every API Failing',
+        result.references.ticketIds.length === 0 && result.answer.includes("couldn't find any relevant support tickets"));
+
+      // Three transformer errors, three keyword searches and two objects API scans
+      const counted = fallbacks.map((fallback, index) => metrics.fallbacks.get({ fallback }) - before[index]);
+      this.recordTest('Fallback - Metrics', counted.join() === '3,3,2');
+    } catch (error) {
+      this.recordTest('Offline Fallbacks', false, error);
+    } finally {
+      this.weaviate.clearFailures();
+    }
+  }
+
+  // Test 5: Follow-up questions rewritten from the conversation
+  async testOfflineThreads() {
+    console.log('\n🧵 Testing Offline Threads...');
+
+    try {
+      const first = await this.delegatingAgent.handleQuery('How do I fix battery life problems?');
+      const followUp = await this.delegatingAgent.handleQuery('What about the Kindle?', null, first.references.threadId);
+      this.recordTest('Offline Threads - Follow-up Rewrite',
+        followUp.references.threadId === first.references.threadId && followUp.references.turn === 2 &&
+        followUp.references.retrievedTicketIds.includes('20') &&
+        JSON.stringify(followUp.references.ticketIds) === JSON.stringify(['20']));
+    } catch (error) {
+      this.recordTest('Offline Threads', false, error);
+    }
+  }
+
+  // Test 6: Debug trace of a query whose vector search fails over to keyword Like filters
+  async testOfflineDebugTrace() {
+    console.log('\n🔬 Testing Offline Debug Trace...');
+
+    try {
+      this.weaviate.fail('hybrid', TRANSFORMER_ERROR, 1);
+      const { result, trace } = await traceQuery(() =>
+        this.delegatingAgent.handleQuery('How do I fix GoPro battery life problems?', 'GoPro Hero', null, { search: { rerank: [] } }));
+      const { steps } = trace.toJSON();
+      const find = (name, match = () => true) => steps.find(step => step.step === name && match(step));
+
+      const routing = find('routing');
+      const routingCall = find('llm', step => step.role === 'routing');
+      this.recordTest('Debug Trace - Routing Decision and Prompt',
+        routing.route === 'rag' && routing.reasoning === 'Support question' &&
+        routingCall.prompt.startsWith('Analyze this customer support query') && JSON.parse(routingCall.output).needsRAG === true &&
+        routingCall.durationMs >= 0);
+
+      const searches = steps.filter(step => step.step === 'search');
+      const keyword = searches[1];
+      this.recordTest('Debug Trace - Search Fallback and Where Clauses',
+        searches[0].strategy === 'hybrid' && searches[0].error.includes('t2v-transformers') &&
+        find('fallback', step => step.fallback === 'transformer_error') !== undefined &&
+        keyword.strategy === 'keyword-fallback' && JSON.stringify(keyword.where).includes('"operator":"Like"') &&
+        JSON.stringify(keyword.where).includes('"valueText":"GoPro Hero"') &&
+        keyword.candidates.length > 0 && keyword.candidates.every(candidate => candidate.ticketId && candidate.ticketSubject));
+
+      const answerCall = find('llm', step => step.role === 'answering');
+      const stages = steps.filter(step => step.step === 'stage').map(step => step.stage);
+      this.recordTest('Debug Trace - Answer, Citations and Stage Timings',
+        answerCall.prompt.includes('Relevant Support Tickets') && answerCall.output === result.answer &&
+        JSON.stringify(find('citations').citedTicketIds) === JSON.stringify(result.references.ticketIds) &&
+        stages.join() === 'routing,search,generation' &&
+        steps.filter(step => step.step === 'stage').every(step => typeof step.durationMs === 'number'));
+    } catch (error) {
+      this.recordTest('Offline Debug Trace', false, error);
+    } finally {
+      this.weaviate.clearFailures();
+    }
+  }
+
+  // Test 7: Ticket create, update and delete through the ticket store
+  async testOfflineTickets() {
+    console.log('\n🎫 Testing Offline Ticket CRUD...');
+
+    const store = new TicketStore();
+    try {
+      const fields = store.normalizeTicket({
+        ticketId: '9001',
+        customerEmail: 'jo.park@example.com',
+        productPurchased: 'Kindle',
+        ticketSubject: 'Screen freezes',
+        ticketDescription: 'The {product_purchased} screen freezes when turning pages.',
+        ticketStatus: 'Open',
+        ticketPriority: 'High',
+        ticketChannel: 'Email'
+      });
+      const missing = await store.find('9001');
+      const unused = !(await store.exists('9001', 'Kindle'));
+      await store.create(fields);
+      const created = await store.find('9001', { vector: true });
+      const found = await this.ragAgent.searchTickets('kindle screen freezes turning pages', 'Kindle', 1, { rerank: [] });
+      this.recordTest('Offline Tickets - Create and Find',
+        missing === null && unused && await store.exists('9001', 'Kindle') && created.id === ticketObjectId('9001') &&
+        created.properties.ticketDescription === 'The Kindle screen freezes when turning pages.' &&
+        created.vector !== null && this.weaviate.vectorized.includes(created.id) && found[0].ticketId === '9001');
+
+      const before = this.weaviate.vectorized.length;
+      const rated = await store.update(created, store.normalizeUpdate(created, { customerSatisfactionRating: 4 }));
+      const keptVector = await store.find('9001', { vector: true });
+      const closed = await store.update(keptVector, store.normalizeUpdate(keptVector, { ticketStatus: 'Closed', resolution: 'Updated the firmware.' }));
+      const after = await store.find('9001');
+      this.recordTest('Offline Tickets - Re-vectorize Only on Text Changes',
+        !rated.revectorized && JSON.stringify(keptVector.vector) === JSON.stringify(created.vector) &&
+        closed.revectorized && this.weaviate.vectorized.length === before + 1 &&
+        after.properties.ticketStatus === 'Closed' && after.properties.customerSatisfactionRating === 4 &&
+        after.properties.customerEmail === created.properties.customerEmail &&
+        after.properties.ticketDescriptionRaw === fields.ticketDescription);
+
+      await store.delete(after);
+      this.recordTest('Offline Tickets - Delete', (await store.find('9001')) === null);
+    } catch (error) {
+      this.recordTest('Offline Tickets', false, error);
+    }
+  }
+
+  // Test 8: Filter values re-read after an empty start and after the data generation changes
+  async testOfflineSchemaValues() {
+    console.log('\n🧮 Testing Offline Filter Schema Values...');
+
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'schema-values-'));
+    const stored = this.weaviate.objects;
+    try {
+      const cache = new InMemoryResponseCache({ directory });
+      const extractor = new QueryFilterExtractor({ cache });
+
+      this.weaviate.objects = [];
+      const empty = await extractor.getSchemaValues();
+      this.weaviate.objects = stored;
+      const loaded = await extractor.getSchemaValues();
+      this.recordTest('Filter Values - Empty Results Not Kept',
+        empty.ticketStatus.length === 0 && loaded.ticketStatus.includes('Open'));
+
+      // A write the extractor has not seen yet, then the cache invalidation every write is followed by
+      this.weaviate.objects = [...stored, { id: 'ffffffff-0000-0000-0000-000000000000', properties: { ...stored[0].properties, ticketType: 'Warranty claim' } }];
+      const beforeInvalidate = await extractor.getSchemaValues();
+      await cache.invalidate();
+      const afterInvalidate = await extractor.getSchemaValues();
+      this.recordTest('Filter Values - Reloaded on New Data Generation',
+        !beforeInvalidate.ticketType.includes('Warranty claim') && afterInvalidate.ticketType.includes('Warranty claim'));
+    } catch (error) {
+      this.recordTest('Offline Filter Schema Values', false, error);
+    } finally {
+      this.weaviate.objects = stored;
+      await fs.rm(directory, { recursive: true, force: true });
+    }
+  }
+
+  // Test 9: Existing tenants, as used for rate limit buckets and request metric labels
+  async testOfflineKnownTenants() {
+    console.log('\n🏢 Testing Offline Known Tenants...');
+
+    const stored = this.weaviate.objects;
+    try {
+      const tenants = new TenantManager();
+      const known = await tenants.isKnownTenant('iPhone') && !(await tenants.isKnownTenant('Made Up Phone')) &&
+        !(await tenants.isKnownTenant(null));
+
+      const server = new SupportAssistantServer();
+      const labels = [await server.tenantLabel('iPhone'), await server.tenantLabel('Made Up Phone'), await server.tenantLabel(null)];
+      this.recordTest('Known Tenants - Metric Labels', JSON.stringify(labels) === JSON.stringify(['iPhone', 'other', null]));
+
+      this.weaviate.objects = [...stored, { id: 'ffffffff-0000-0000-0000-000000000001', properties: { ...stored[0].properties, productPurchased: 'Pixel Watch' } }];
+      const beforeForget = await tenants.isKnownTenant('Pixel Watch');
+      tenants.forgetKnownTenants();
+      const afterForget = await tenants.isKnownTenant('Pixel Watch');
+      this.recordTest('Known Tenants - Existing Products Only, Re-read After Writes', known && !beforeForget && afterForget);
+    } catch (error) {
+      this.recordTest('Offline Known Tenants', false, error);
+    } finally {
+      this.weaviate.objects = stored;
+    }
+  }
+
+  // Suites that need no live services, then the offline scenarios
+  async runSuites() {
+    await this.testQueryFilters();
+    await this.testPIIRedaction();
+    await this.testTenancy();
+    await this.testApiKeys();
+    await this.testRateLimits();
+    await this.testResponseCache();
+    this.testCitations();
+    await this.testReranking();
+    this.testEvaluationMetrics();
+    await this.testMetrics();
+    await this.testLogging();
+    await this.testDebugTrace();
+    this.testTicketValidation();
+    await this.testOfflineSearch();
+    await this.testOfflineAnalytics();
+    await this.testOfflineDelegation();
+    await this.testOfflineFallbacks();
+    await this.testOfflineThreads();
+    await this.testOfflineDebugTrace();
+    await this.testOfflineTickets();
+    await this.testOfflineSchemaValues();
+    await this.testOfflineKnownTenants();
+  }
+}
+
+const tester = new OfflineAgentTester(weaviate);
+try {
+  await tester.runAllTests();
+} finally {
+  await weaviate.stop();
+  await fs.rm(cacheDirectory, { recursive: true, force: true });
+}
+process.exitCode = tester.testResults.failed > 0 ? 1 : 0;
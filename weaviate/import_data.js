@@ -3,6 +3,12 @@ import csv from 'csv-parser';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { validateFile, parseThreshold, exceedsThreshold, writeReport } from './validate_data.js';
+import { createNormalizer } from './normalize_text.js';
+import { CREATED_AT_COLUMNS, cleanTicketData, contentHash, ticketClassDefinition, ticketObjectId, ticketTenant } from './ticket_data.js';
+import TenantManager from '../agents/tenantManager.js';
+import createResponseCache from '../agents/responseCache.js';
+import config from '../config.js';
 
 // Get __dirname equivalent in ES modules
 const __filename = fileURLToPath(import.meta.url);
@@ -16,234 +22,246 @@ const client = weaviate.client({
 
 // CSV file path (now in same directory)
 const csvFilePath = path.join(__dirname, 'customer_support_tickets.csv');
+const defaultReportPath = path.join(__dirname, 'import-report.json');
 
-// Function to parse date strings
-function parseDate(dateString) {
-  if (!dateString || dateString.trim() === '') return null;
-  try {
-    return new Date(dateString).toISOString();
-  } catch (error) {
-    console.warn(`Invalid date format: ${dateString}`);
-    return null;
+const tenantManager = new TenantManager();
+const knownTenants = new Set(); // Native tenants that exist, filled while reading existing tickets
+
+// Customer identity properties, never vectorized
+const IDENTITY_PROPERTIES = ['customerName', 'customerEmail'];
+
+const CLASS_NAME = config.weaviate.className;
+const PAGE_SIZE = 1000; // Objects per page when reading existing tickets
+
+const USAGE = `Usage: npm run import -- [options]
+
+Options:
+  --changed-only      Only write tickets whose content hash differs from the stored object
+  --since <date>      Only write tickets with activity (created, responded, resolved) on or after <date>; implies --changed-only
+  --dry-run           Report insert/update/skip counts without writing anything
+  --delete-missing    Delete stored tickets that are no longer in the source CSV
+  --fail-threshold <n|n%>
+                      Abort before writing when more than n rows (or n% of rows) fail validation
+  --report <path>     Where to write the error report; .csv for CSV, anything else for JSON
+                      (default: weaviate/import-report.json)
+  --help              Show this message`;
+
+// Function to parse command line options
+function parseArgs(argv) {
+  const options = {
+    changedOnly: false,
+    since: null,
+    dryRun: false,
+    deleteMissing: false,
+    failThreshold: null,
+    reportPath: defaultReportPath,
+    help: false
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, ...rest] = argv[i].split('=');
+    const inlineValue = rest.length > 0 ? rest.join('=') : undefined;
+    switch (flag) {
+      case '--changed-only':
+        options.changedOnly = true;
+        break;
+      case '--since': {
+        const value = inlineValue ?? argv[++i];
+        const since = value ? new Date(value) : null;
+        if (!since || isNaN(since.getTime())) {
+          throw new Error(`--since expects a date, got: ${value || 'nothing'}`);
+        }
+        options.since = since.toISOString();
+        options.changedOnly = true;
+        break;
+      }
+      case '--dry-run':
+        options.dryRun = true;
+        break;
+      case '--delete-missing':
+        options.deleteMissing = true;
+        break;
+      case '--fail-threshold':
+        options.failThreshold = parseThreshold(inlineValue ?? argv[++i]);
+        break;
+      case '--report': {
+        const value = inlineValue ?? argv[++i];
+        if (!value) {
+          throw new Error('--report expects a file path');
+        }
+        options.reportPath = path.resolve(value);
+        break;
+      }
+      case '--help':
+        options.help = true;
+        break;
+      default:
+        throw new Error(`Unknown option: ${argv[i]}`);
+    }
   }
+
+  return options;
 }
 
-// Function to parse numeric values
-function parseNumber(value) {
-  if (!value || value.trim() === '') return null;
-  const parsed = parseFloat(value);
-  return isNaN(parsed) ? null : parsed;
+// Function to key a stored ticket; in native mode the same ID can exist in several tenant shards
+function ticketKey(id, tenant) {
+  return tenant ? `${tenant}/${id}` : id;
 }
 
-// Function to clean and validate data
-function cleanTicketData(row) {
-  return {
-    ticketId: row['Ticket ID'] || '',
-    customerName: row['Customer Name'] || '',
-    customerEmail: row['Customer Email'] || '',
-    customerAge: parseNumber(row['Customer Age']),
-    customerGender: row['Customer Gender'] || '',
-    productPurchased: row['Product Purchased'] || '',
-    dateOfPurchase: parseDate(row['Date of Purchase']),
-    ticketType: row['Ticket Type'] || '',
-    ticketSubject: row['Ticket Subject'] || '',
-    ticketDescription: row['Ticket Description'] || '',
-    ticketStatus: row['Ticket Status'] || '',
-    resolution: row['Resolution'] || '',
-    ticketPriority: row['Ticket Priority'] || '',
-    ticketChannel: row['Ticket Channel'] || '',
-    firstResponseTime: parseDate(row['First Response Time']),
-    timeToResolution: parseNumber(row['Time to Resolution']),
-    customerSatisfactionRating: parseNumber(row['Customer Satisfaction Rating'])
-  };
+// Function to check whether a ticket had any activity on or after a date
+// Tickets without any timestamp are kept, the content hash decides for them
+function hasActivitySince(record, since) {
+  const timestamps = [record.ticketCreatedAt, record.firstResponseTime, record.resolvedAt].filter(Boolean);
+  return timestamps.length === 0 || timestamps.some(timestamp => timestamp >= since);
+}
+
+// Function to decide what happens to a ticket: insert, update, unchanged or outside the --since window
+function classifyTicket(key, hash, record, existing, options) {
+  if (options.since && !hasActivitySince(record, options.since)) {
+    return 'outside';
+  }
+  if (!existing.has(key)) {
+    return 'insert';
+  }
+  return existing.get(key).hash === hash ? 'unchanged' : 'update';
+}
+
+// Function to find the SupportTicket class in the schema
+async function getExistingClass() {
+  const schema = await client.schema.getter().do();
+  return (schema.classes || []).find(cls => cls.class === CLASS_NAME) || null;
+}
+
+// Function to load the IDs and content hashes of stored tickets (cursor paging, one pass per native tenant)
+// Returns Map ticketKey -> { id, tenant, hash }
+async function fetchExistingTickets() {
+  const existing = new Map();
+  const existingClass = await getExistingClass();
+  if (!existingClass) {
+    return existing;
+  }
+
+  // Objects imported before content hashes were stored are treated as changed
+  const hasHash = (existingClass.properties || []).some(property => property.name === 'contentHash');
+  const fields = hasHash ? 'contentHash _additional { id }' : '_additional { id }';
+
+  let scopes = [null];
+  if (tenantManager.isNative()) {
+    const tenants = await tenantManager.listTenants();
+    tenants.forEach(tenant => knownTenants.add(tenant.name));
+    const inactive = tenants.filter(tenant => !tenant.active).map(tenant => tenant.name);
+    if (inactive.length > 0) {
+      console.warn(`⚠️ Inactive tenants are not read or updated: ${inactive.join(', ')}; activate them with PATCH /tenants/:tenant first`);
+    }
+    scopes = tenants.filter(tenant => tenant.active).map(tenant => tenant.name);
+  }
+
+  for (const scope of scopes) {
+    let after = null;
+
+    while (true) {
+      let query = client.graphql
+        .get()
+        .withClassName(CLASS_NAME)
+        .withFields(fields)
+        .withLimit(PAGE_SIZE);
+      if (after) {
+        query = query.withAfter(after);
+      }
+
+      const result = await tenantManager.scoped(query, scope).do();
+      if (result.errors) {
+        throw new Error(`Failed to read existing tickets${scope ? ` of tenant ${scope}` : ''}: ${result.errors.map(error => error.message).join('; ')}`);
+      }
+
+      const page = result.data.Get[CLASS_NAME] || [];
+      for (const object of page) {
+        const id = object._additional.id;
+        existing.set(ticketKey(id, scope), { id, tenant: scope, hash: object.contentHash || null });
+      }
+      if (page.length < PAGE_SIZE) {
+        break;
+      }
+      after = page[page.length - 1]._additional.id;
+    }
+  }
+
+  return existing;
+}
+
+// Function to delete stored tickets ([{ id, tenant }])
+async function deleteTickets(tickets) {
+  let deleted = 0;
+  for (const { id, tenant } of tickets) {
+    try {
+      let deleter = client.data.deleter().withClassName(CLASS_NAME).withId(id);
+      if (tenant) {
+        deleter = deleter.withTenant(tenant);
+      }
+      await deleter.do();
+      deleted++;
+      if (deleted % 100 === 0) {
+        console.log(`Deleted ${deleted} of ${tickets.length} records...`);
+      }
+    } catch (error) {
+      console.error(`Error deleting ${ticketKey(id, tenant)}:`, error.message);
+    }
+  }
+  return deleted;
+}
+
+// Function to create the native tenants a batch writes to, if they do not exist yet
+async function ensureTenants(batch) {
+  const missing = [...new Set(batch.map(record => record.tenant))].filter(tenant => tenant && !knownTenants.has(tenant));
+  if (missing.length === 0) {
+    return;
+  }
+
+  const created = await tenantManager.createTenants(missing);
+  missing.forEach(tenant => knownTenants.add(tenant));
+  if (created.length > 0) {
+    console.log(`🏢 Created tenants: ${created.join(', ')}`);
+  }
 }
 
 // Function to create or verify schema
 async function ensureSchema() {
   try {
     // Check if SupportTicket class exists
-    const schema = await client.schema.getter().do();
-    const existingClass = schema.classes.find(cls => cls.class === 'SupportTicket');
-    
+    const existingClass = await getExistingClass();
+    const classDefinition = ticketClassDefinition();
+
     if (existingClass) {
-      console.log('SupportTicket class already exists in schema');
+      console.log(`${CLASS_NAME} class already exists in schema`);
+
+      // Multi-tenancy is fixed when a class is created
+      const multiTenant = Boolean(existingClass.multiTenancyConfig && existingClass.multiTenancyConfig.enabled);
+      if (multiTenant !== tenantManager.isNative()) {
+        throw new Error(`${CLASS_NAME} was created ${multiTenant ? 'with' : 'without'} multi-tenancy but TENANCY_MODE is ${config.weaviate.tenancy}; import into another class (WEAVIATE_CLASS) to migrate`);
+      }
+
+      // Vectorization settings of existing properties cannot be changed in place
+      const vectorizedIdentity = (existingClass.properties || []).filter(property =>
+        IDENTITY_PROPERTIES.includes(property.name) &&
+        !(property.moduleConfig && property.moduleConfig['text2vec-transformers'] && property.moduleConfig['text2vec-transformers'].skip));
+      if (vectorizedIdentity.length > 0) {
+        console.warn(`⚠️ ${vectorizedIdentity.map(property => property.name).join(', ')} still vectorized; delete the ${CLASS_NAME} class and re-import to stop embedding customer identity`);
+      }
+
+      // Add properties introduced after the class was created
+      const existingProperties = (existingClass.properties || []).map(property => property.name);
+      for (const property of classDefinition.properties) {
+        if (!existingProperties.includes(property.name)) {
+          await client.schema.propertyCreator().withClassName(CLASS_NAME).withProperty(property).do();
+          console.log(`Added property ${property.name} to ${CLASS_NAME}`);
+        }
+      }
       return;
     }
 
     // Create the schema if it doesn't exist
-    const classDefinition = {
-      class: 'SupportTicket',
-      description: 'Customer support ticket information',
-      vectorizer: 'text2vec-transformers',
-      moduleConfig: {
-        'text2vec-transformers': {
-          poolingStrategy: 'masked_mean',
-          vectorizeClassName: false
-        }
-      },
-      properties: [
-        {
-          name: 'ticketId',
-          dataType: ['text'],
-          description: 'Unique ticket identifier',
-          moduleConfig: {
-            'text2vec-transformers': {
-              skip: false,
-              vectorizePropertyName: false
-            }
-          }
-        },
-        {
-          name: 'customerName',
-          dataType: ['text'],
-          description: 'Customer name',
-          moduleConfig: {
-            'text2vec-transformers': {
-              skip: false,
-              vectorizePropertyName: false
-            }
-          }
-        },
-        {
-          name: 'customerEmail',
-          dataType: ['text'],
-          description: 'Customer email address',
-          moduleConfig: {
-            'text2vec-transformers': {
-              skip: false,
-              vectorizePropertyName: false
-            }
-          }
-        },
-        {
-          name: 'customerAge',
-          dataType: ['int'],
-          description: 'Customer age'
-        },
-        {
-          name: 'customerGender',
-          dataType: ['text'],
-          description: 'Customer gender',
-          moduleConfig: {
-            'text2vec-transformers': {
-              skip: false,
-              vectorizePropertyName: false
-            }
-          }
-        },
-        {
-          name: 'productPurchased',
-          dataType: ['text'],
-          description: 'Product that was purchased',
-          moduleConfig: {
-            'text2vec-transformers': {
-              skip: false,
-              vectorizePropertyName: false
-            }
-          }
-        },
-        {
-          name: 'dateOfPurchase',
-          dataType: ['date'],
-          description: 'Date when the product was purchased'
-        },
-        {
-          name: 'ticketType',
-          dataType: ['text'],
-          description: 'Type of support ticket',
-          moduleConfig: {
-            'text2vec-transformers': {
-              skip: false,
-              vectorizePropertyName: false
-            }
-          }
-        },
-        {
-          name: 'ticketSubject',
-          dataType: ['text'],
-          description: 'Subject of the support ticket',
-          moduleConfig: {
-            'text2vec-transformers': {
-              skip: false,
-              vectorizePropertyName: false
-            }
-          }
-        },
-        {
-          name: 'ticketDescription',
-          dataType: ['text'],
-          description: 'Detailed description of the issue',
-          moduleConfig: {
-            'text2vec-transformers': {
-              skip: false,
-              vectorizePropertyName: false
-            }
-          }
-        },
-        {
-          name: 'ticketStatus',
-          dataType: ['text'],
-          description: 'Current status of the ticket',
-          moduleConfig: {
-            'text2vec-transformers': {
-              skip: false,
-              vectorizePropertyName: false
-            }
-          }
-        },
-        {
-          name: 'resolution',
-          dataType: ['text'],
-          description: 'Resolution provided for the ticket',
-          moduleConfig: {
-            'text2vec-transformers': {
-              skip: false,
-              vectorizePropertyName: false
-            }
-          }
-        },
-        {
-          name: 'ticketPriority',
-          dataType: ['text'],
-          description: 'Priority level of the ticket',
-          moduleConfig: {
-            'text2vec-transformers': {
-              skip: false,
-              vectorizePropertyName: false
-            }
-          }
-        },
-        {
-          name: 'ticketChannel',
-          dataType: ['text'],
-          description: 'Channel through which ticket was created',
-          moduleConfig: {
-            'text2vec-transformers': {
-              skip: false,
-              vectorizePropertyName: false
-            }
-          }
-        },
-        {
-          name: 'firstResponseTime',
-          dataType: ['date'],
-          description: 'Time of first response to the ticket'
-        },
-        {
-          name: 'timeToResolution',
-          dataType: ['number'],
-          description: 'Time taken to resolve the ticket (in hours)'
-        },
-        {
-          name: 'customerSatisfactionRating',
-          dataType: ['number'],
-          description: 'Customer satisfaction rating for the resolution'
-        }
-      ]
-    };
-
     await client.schema.classCreator().withClass(classDefinition).do();
-    console.log('Created SupportTicket class in schema');
+    console.log(`Created ${CLASS_NAME} class in schema${tenantManager.isNative() ? ' (multi-tenant)' : ''}`);
   } catch (error) {
     console.error('Error ensuring schema:', error);
     throw error;
@@ -251,28 +269,114 @@ async function ensureSchema() {
 }
 
 // Function to import data in batches
-async function importData() {
+// Objects are keyed by ticket ID, so running the import again updates tickets instead of duplicating them
+// Rows are validated first; invalid rows are not imported and are listed in the error report
+async function importData(options = {}) {
   try {
-    console.log('Starting data import...');
-    
+    const {
+      changedOnly = false,
+      since = null,
+      dryRun = false,
+      deleteMissing = false,
+      failThreshold = null,
+      reportPath = defaultReportPath
+    } = options;
+    console.log(dryRun ? 'Starting data import (dry run, nothing will be written)...' : 'Starting data import...');
+    const normalize = createNormalizer();
+    console.log(`🧹 Text normalisation steps: ${config.import.normalization.steps.join(', ') || 'none'}`);
+
+    // Validation phase: nothing is written when too many rows are bad
+    const validation = await validateFile(csvFilePath);
+    const invalidCount = validation.invalidRows.size;
+    console.log(`🔎 Validated ${validation.rows} rows: ${validation.rows - invalidCount} valid, ${invalidCount} invalid`);
+
+    if (exceedsThreshold(failThreshold, invalidCount, validation.rows)) {
+      const limit = `${failThreshold.value}${failThreshold.percent ? '%' : ' rows'}`;
+      writeReport(buildReport({ rows: validation.rows, invalid: invalidCount, aborted: true }, validation.errors), reportPath);
+      console.error(`❌ ${invalidCount} invalid rows exceed --fail-threshold ${limit}; nothing was imported`);
+      console.log(`📄 Error report written to ${reportPath}`);
+      return { aborted: true, rows: validation.rows, invalid: invalidCount };
+    }
+
     // Ensure schema exists
-    await ensureSchema();
-    
+    if (!dryRun) {
+      await ensureSchema();
+    }
+
+    const existing = await fetchExistingTickets();
+    console.log(`Found ${existing.size} tickets already stored in ${CLASS_NAME} (${config.weaviate.tenancy} tenancy)`);
+
     const batchSize = 50; // Reduced batch size for memory efficiency
+    const sourceKeys = new Set();
+    const counts = { insert: 0, update: 0, unchanged: 0, outside: 0 };
+    const importErrors = [];
     let currentBatch = [];
+    let rowNumber = 0;
     let totalProcessed = 0;
     let successCount = 0;
-    let errorCount = 0;
+    let failedCount = 0;
+    let duplicateCount = 0;
+    let invalidDurationCount = 0;
     let isPaused = false;
 
     return new Promise((resolve, reject) => {
       const stream = fs.createReadStream(csvFilePath)
         .pipe(csv());
 
+      // Record every object of a batch that could not be written
+      const recordBatchResult = (result) => {
+        successCount += result.succeeded;
+        failedCount += result.failed.length;
+        importErrors.push(...result.failed);
+      };
+      const recordBatchFailure = (batch, error) => {
+        recordBatchResult({
+          succeeded: 0,
+          failed: batch.map(record => importError(record, error.message))
+        });
+      };
+
+      stream.on('headers', (headers) => {
+        if (!headers.some(header => CREATED_AT_COLUMNS.includes(header))) {
+          console.warn(`⚠️ No ${CREATED_AT_COLUMNS.join(' or ')} column: first response times are not available for these tickets`);
+        }
+      });
+
       stream.on('data', (row) => {
+        rowNumber++;
         try {
-          const cleanedData = cleanTicketData(row);
-          currentBatch.push(cleanedData);
+          if (validation.invalidRows.has(rowNumber)) {
+            // Keep the stored copy of a ticket whose new row is invalid
+            const ticketId = (row['Ticket ID'] || '').trim();
+            if (ticketId) {
+              sourceKeys.add(ticketKey(ticketObjectId(ticketId), ticketTenant((row['Product Purchased'] || '').trim())));
+            }
+            return;
+          }
+
+          const cleanedData = cleanTicketData(row, normalize);
+          if (cleanedData.resolvedAt && cleanedData.timeToResolution === null) {
+            invalidDurationCount++; // Resolved before the first response
+          }
+
+          const id = ticketObjectId(cleanedData.ticketId);
+          const tenant = ticketTenant(cleanedData.productPurchased);
+          const key = ticketKey(id, tenant);
+          if (sourceKeys.has(key)) {
+            duplicateCount++; // The last row for a ticket ID wins
+          }
+          sourceKeys.add(key);
+          totalProcessed++;
+
+          const hash = contentHash(cleanedData);
+          const action = classifyTicket(key, hash, cleanedData, existing, { since });
+          counts[action]++;
+
+          const shouldWrite = action === 'insert' || action === 'update' || (action === 'unchanged' && !changedOnly);
+          if (dryRun || !shouldWrite) {
+            return;
+          }
+          currentBatch.push({ id, tenant, row: rowNumber, properties: { ...cleanedData, contentHash: hash } });
           
           // Process batch when it reaches the batch size
           if (currentBatch.length >= batchSize) {
@@ -280,9 +384,8 @@ async function importData() {
             stream.pause(); // Pause the stream to prevent memory buildup
             
             processBatch([...currentBatch]) // Create a copy to avoid reference issues
-              .then(() => {
-                totalProcessed += currentBatch.length;
-                successCount += currentBatch.length;
+              .then((result) => {
+                recordBatchResult(result);
                 console.log(`Processed ${totalProcessed} records...`);
                 currentBatch = []; // Clear the batch
                 
@@ -294,7 +397,7 @@ async function importData() {
               })
               .catch((error) => {
                 console.error('Error processing batch:', error);
-                errorCount += currentBatch.length;
+                recordBatchFailure(currentBatch, error);
                 currentBatch = [];
                 setTimeout(() => {
                   isPaused = false;
@@ -304,7 +407,8 @@ async function importData() {
           }
         } catch (error) {
           console.error('Error processing row:', error);
-          errorCount++;
+          importErrors.push({ row: rowNumber, ticketId: row['Ticket ID'] || '', stage: 'import', field: '', value: '', reason: error.message });
+          failedCount++;
         }
       });
 
@@ -317,17 +421,89 @@ async function importData() {
           
           // Process remaining records in the last batch
           if (currentBatch.length > 0) {
-            await processBatch(currentBatch);
-            totalProcessed += currentBatch.length;
-            successCount += currentBatch.length;
+            try {
+              recordBatchResult(await processBatch(currentBatch));
+            } catch (error) {
+              recordBatchFailure(currentBatch, error);
+            }
           }
-          
-          console.log('\n=== Import Summary ===');
+
+          // Stored tickets whose ID is not derived from a source row (removed tickets, random-ID imports,
+          // or tickets whose product moved them to another tenant)
+          const missing = [...existing.entries()].filter(([key]) => !sourceKeys.has(key)).map(([, ticket]) => ticket);
+          let deletedCount = 0;
+          if (deleteMissing && !dryRun && missing.length > 0) {
+            deletedCount = await deleteTickets(missing);
+          }
+
+          // Cached search results, answers and analytics no longer match the stored tickets
+          if (!dryRun && (successCount > 0 || deletedCount > 0)) {
+            try {
+              await createResponseCache().invalidate();
+              console.log('🧽 Response cache invalidated');
+            } catch (error) {
+              console.warn(`⚠️ Could not invalidate the response cache (${config.cache.directory}): ${error.message}`);
+            }
+          }
+
+          const verb = dryRun ? 'Would be ' : '';
+          console.log(`\n=== Import Summary${dryRun ? ' (dry run)' : ''} ===`);
+          console.log(`Rows in source: ${validation.rows}`);
+          console.log(`Invalid rows (not imported): ${invalidCount}`);
           console.log(`Total processed: ${totalProcessed}`);
-          console.log(`Successful imports: ${successCount}`);
-          console.log(`Errors: ${errorCount}`);
-          console.log('Data import completed successfully!');
-          resolve();
+          console.log(`${verb}Inserted: ${counts.insert}`);
+          console.log(`${verb}Updated: ${counts.update}`);
+          console.log(`Unchanged${changedOnly ? ' (skipped)' : ' (rewritten)'}: ${counts.unchanged}`);
+          if (since) {
+            console.log(`Skipped (no activity since ${since}): ${counts.outside}`);
+          }
+          if (deleteMissing) {
+            console.log(`${verb}Deleted (no longer in source): ${dryRun ? missing.length : deletedCount}`);
+          } else if (missing.length > 0) {
+            console.log(`Stored but no longer in source: ${missing.length} (use --delete-missing to remove)`);
+          }
+          if (duplicateCount > 0) {
+            console.log(`Duplicate ticket IDs in source (last row kept): ${duplicateCount}`);
+          }
+          if (!dryRun) {
+            console.log(`Successful writes: ${successCount}`);
+            console.log(`Failed writes: ${failedCount}`);
+          }
+          console.log(`Resolution times skipped (resolved before first response): ${invalidDurationCount}`);
+
+          const totals = {
+            rows: validation.rows,
+            invalid: invalidCount,
+            processed: totalProcessed,
+            inserted: counts.insert,
+            updated: counts.update,
+            unchanged: counts.unchanged,
+            written: successCount,
+            failed: failedCount,
+            deleted: deletedCount,
+            dryRun
+          };
+          writeReport(buildReport(totals, validation.errors.concat(importErrors)), reportPath);
+          console.log(`📄 Error report written to ${reportPath}`);
+
+          if (failedCount > 0) {
+            console.log(`⚠️ Import finished with ${failedCount} failed writes`);
+          } else {
+            console.log(dryRun ? 'Dry run completed, no changes were made.' : 'Data import completed successfully!');
+          }
+          resolve({
+            rows: validation.rows,
+            invalid: invalidCount,
+            totalProcessed,
+            inserted: counts.insert,
+            updated: counts.update,
+            unchanged: counts.unchanged,
+            skipped: counts.outside + (changedOnly ? counts.unchanged : 0),
+            missing: missing.length,
+            deleted: deletedCount,
+            written: successCount,
+            failed: failedCount
+          });
         } catch (error) {
           console.error('Error processing final batch:', error);
           reject(error);
@@ -345,28 +521,52 @@ async function importData() {
   }
 }
 
+// Function to describe a record that could not be written, in the error report format
+function importError(record, reason) {
+  return { row: record.row, ticketId: record.properties.ticketId, stage: 'import', field: '', value: '', reason };
+}
+
+// Function to assemble the machine-readable import report
+function buildReport(totals, errors) {
+  return {
+    generatedAt: new Date().toISOString(),
+    source: csvFilePath,
+    totals,
+    errors
+  };
+}
+
 // Function to process a batch of records
+// Each record carries its deterministic ID (and tenant in native mode); writing an existing ID replaces the stored object
+// Resolves to { succeeded, failed: [report entries] } so rejected objects are not counted as imported
 async function processBatch(batch) {
   try {
+    await ensureTenants(batch);
     let batcher = client.batch.objectsBatcher();
     
     for (const record of batch) {
       batcher = batcher.withObject({
-        class: 'SupportTicket',
-        properties: record
+        class: CLASS_NAME,
+        id: record.id,
+        properties: record.properties,
+        ...(record.tenant ? { tenant: record.tenant } : {})
       });
     }
     
     const result = await batcher.do();
-    
-    // Check for any errors in the batch
-    if (result && result.length > 0) {
-      for (const item of result) {
-        if (item.result && item.result.errors) {
-          console.error('Batch error:', item.result.errors);
-        }
+    const records = new Map(batch.map(record => [record.id, record]));
+    const failed = [];
+
+    // Collect the objects Weaviate rejected
+    for (const item of result || []) {
+      if (item.result && item.result.errors) {
+        const messages = (item.result.errors.error || []).map(error => error.message).join('; ') || 'Object rejected';
+        console.error(`Batch error for ${item.id}:`, messages);
+        failed.push(importError(records.get(item.id) || { properties: item.properties || {} }, messages));
       }
     }
+
+    return { succeeded: batch.length - failed.length, failed };
   } catch (error) {
     console.error('Error processing batch:', error);
     throw error;
@@ -389,6 +589,19 @@ async function testConnection() {
 
 // Main execution function
 async function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`❌ ${error.message}\n`);
+    console.log(USAGE);
+    process.exit(1);
+  }
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+
   try {
     // Test connection first
     const isConnected = await testConnection();
@@ -405,7 +618,10 @@ async function main() {
     console.log(`📊 CSV file found: ${csvFilePath}`);
     
     // Start the import process
-    await importData();
+    const result = await importData(options);
+    if (result.aborted || result.failed > 0) {
+      process.exitCode = 1;
+    }
     
   } catch (error) {
     console.error('Fatal error:', error);
@@ -418,4 +634,4 @@ if (import.meta.url === `file://${process.argv[1]}`) {
   main();
 }
 
-export { importData, testConnection, ensureSchema };
+export { importData, testConnection, ensureSchema, parseArgs };
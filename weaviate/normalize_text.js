@@ -0,0 +1,159 @@
+// Text normalisation for imported tickets: a pipeline of named steps applied in order
+import PIIRedactor from '../agents/piiRedactor.js';
+import config from '../config.js';
+
+const piiRedactor = new PIIRedactor();
+
+// Placeholder names (lowercased, non-alphanumerics as "_") mapped to the CSV column that fills them
+const PLACEHOLDER_FIELDS = {
+  product_purchased: 'Product Purchased',
+  products_purchased: 'Product Purchased',
+  product_purchases: 'Product Purchased',
+  product_purchased_name: 'Product Purchased',
+  purchased_product: 'Product Purchased',
+  product: 'Product Purchased',
+  product_name: 'Product Purchased',
+  productname: 'Product Purchased',
+  product_title: 'Product Purchased',
+  item: 'Product Purchased',
+  item_name: 'Product Purchased',
+  device: 'Product Purchased',
+  device_name: 'Product Purchased',
+  model: 'Product Purchased',
+  model_name: 'Product Purchased',
+  customer_name: 'Customer Name',
+  customer_email: 'Customer Email',
+  email: 'Customer Email',
+  ticket_id: 'Ticket ID',
+  ticket_type: 'Ticket Type',
+  ticket_channel: 'Ticket Channel',
+  date_of_purchase: 'Date of Purchase',
+  purchase_date: 'Date of Purchase'
+};
+
+// Simple "{name}" / "{{ name }}" placeholders; code fragments in braces are left alone
+const PLACEHOLDER_PATTERN = /\{\{?\s*\$?([A-Za-z_][\w .-]{0,40}?)\s*\}\}?/g;
+
+// Sentences that carry no information about the issue
+const BOILERPLATE_SENTENCES = [
+  /^please assist[.!]?$/i,
+  /^please help( me)?[.!]?$/i,
+  /^thank you( very much| in advance)?[.!]?$/i,
+  /^thanks( in advance)?[.!]?$/i
+];
+
+// Frequent function words per language, used by the optional language detection
+const LANGUAGE_STOPWORDS = {
+  en: ['the', 'and', 'is', 'my', 'it', 'to', 'of', 'with', 'not', 'have', 'this', 'for'],
+  es: ['el', 'la', 'de', 'que', 'y', 'en', 'mi', 'no', 'con', 'es', 'por', 'una'],
+  fr: ['le', 'la', 'de', 'et', 'est', 'mon', 'je', 'ne', 'pas', 'avec', 'pour', 'une'],
+  de: ['der', 'die', 'das', 'und', 'ist', 'mein', 'ich', 'nicht', 'mit', 'ein', 'für', 'zu'],
+  pt: ['o', 'a', 'de', 'que', 'e', 'meu', 'não', 'com', 'um', 'uma', 'para', 'está'],
+  it: ['il', 'la', 'di', 'che', 'e', 'mio', 'non', 'con', 'un', 'una', 'per', 'è']
+};
+
+// Function to turn a placeholder name into a PLACEHOLDER_FIELDS key
+function placeholderKey(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+}
+
+// Step: fill placeholders from the row's own fields; unknown ones become a readable "[error message]"
+function substitutePlaceholders(text, row = {}) {
+  return text.replace(PLACEHOLDER_PATTERN, (match, name) => {
+    const field = PLACEHOLDER_FIELDS[placeholderKey(name)];
+    const value = field && row[field] ? row[field].trim() : '';
+    return value || `[${name.trim().replace(/[_.]+/g, ' ').toLowerCase()}]`;
+  });
+}
+
+// Step: canonical unicode (NFKC), plain quotes and dashes, no zero-width or control characters
+function normalizeUnicode(text) {
+  return text
+    .normalize('NFKC')
+    .replace(/[\u2018\u2019\u201A\u201B]/g, "'")
+    .replace(/[\u201C\u201D\u201E\u201F]/g, '"')
+    .replace(/[\u2013\u2014]/g, '-')
+    .replace(/[\u200B-\u200D\u2060\uFEFF]/g, '')
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F]/g, '');
+}
+
+// Step: drop courtesy sentences and sentences repeated earlier in the same text
+function stripBoilerplate(text) {
+  const seen = new Set();
+  return text
+    .split(/\n\s*\n/)
+    .map(paragraph => paragraph
+      .split(/(?<=[.!?])\s+/)
+      .filter(sentence => {
+        const key = sentence.trim().toLowerCase();
+        if (!key || BOILERPLATE_SENTENCES.some(pattern => pattern.test(key)) || seen.has(key)) {
+          return false;
+        }
+        seen.add(key);
+        return true;
+      })
+      .join(' '))
+    .filter(paragraph => paragraph.trim())
+    .join('\n\n');
+}
+
+// Step: mask emails, phone numbers, card numbers and the row's customer name
+function redactPII(text, row = {}) {
+  return piiRedactor.redactText(text, [row['Customer Name']]);
+}
+
+// Step: collapse runs of spaces, trim lines and keep at most one blank line between paragraphs
+function normalizeWhitespace(text) {
+  return text
+    .replace(/\r\n?/g, '\n')
+    .replace(/[^\S\n]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// Available steps, by the names used in config.import.normalization.steps
+const NORMALIZATION_STEPS = {
+  placeholders: substitutePlaceholders,
+  unicode: normalizeUnicode,
+  boilerplate: stripBoilerplate,
+  pii: redactPII,
+  whitespace: normalizeWhitespace
+};
+
+// Function to add a custom step: step(text, row) returns the new text
+function registerStep(name, step) {
+  if (typeof step !== 'function') {
+    throw new Error(`Normalization step ${name} must be a function`);
+  }
+  NORMALIZATION_STEPS[name] = step;
+}
+
+// Function to build a normalizer (text, row) => text from step names, validated up front
+function createNormalizer(stepNames = config.import.normalization.steps) {
+  const steps = stepNames.map(name => {
+    if (!NORMALIZATION_STEPS[name]) {
+      throw new Error(`Unknown normalization step: ${name}. Available steps: ${Object.keys(NORMALIZATION_STEPS).join(', ')}`);
+    }
+    return NORMALIZATION_STEPS[name];
+  });
+
+  return (text, row = {}) => steps.reduce((current, step) => step(current, row), text || '');
+}
+
+// Function to guess the language of a text from stopword counts; 'unknown' when nothing stands out
+function detectLanguage(text) {
+  const words = (text || '').toLowerCase().match(/[\p{L}']+/gu) || [];
+  if (words.length < 3) return 'unknown';
+
+  let best = { language: 'unknown', hits: 0 };
+  for (const [language, stopwords] of Object.entries(LANGUAGE_STOPWORDS)) {
+    const hits = words.filter(word => stopwords.includes(word)).length;
+    if (hits > best.hits) {
+      best = { language, hits };
+    }
+  }
+  return best.hits >= 2 ? best.language : 'unknown';
+}
+
+export { NORMALIZATION_STEPS, registerStep, createNormalizer, detectLanguage };
@@ -0,0 +1,324 @@
+// Ticket records shared by the CSV import and the /tickets API: cleaning a CSV row into stored properties, object
+// IDs, tenant shards, content hashes and the class definition. Nothing here connects to Weaviate
+import { generateUuid5 } from 'weaviate-ts-client';
+import crypto from 'crypto';
+import { createNormalizer, detectLanguage } from './normalize_text.js';
+import PIIRedactor from '../agents/piiRedactor.js';
+import { toTenantName } from '../agents/tenantManager.js';
+import config from '../config.js';
+
+const piiRedactor = new PIIRedactor();
+
+const CLASS_NAME = config.weaviate.className;
+const CREATED_AT_COLUMNS = ['Ticket Created At', 'Created At']; // Creation timestamp columns, in order of preference
+
+// Function to parse date strings
+function parseDate(dateString) {
+  if (!dateString || dateString.trim() === '') return null;
+  try {
+    return new Date(dateString).toISOString();
+  } catch (error) {
+    console.warn(`Invalid date format: ${dateString}`);
+    return null;
+  }
+}
+
+// Function to parse numeric values
+function parseNumber(value) {
+  if (!value || value.trim() === '') return null;
+  const parsed = parseFloat(value);
+  return isNaN(parsed) ? null : parsed;
+}
+
+// Function to compute the duration between two ISO timestamps in hours
+// Returns null when either is missing or the end precedes the start
+function hoursBetween(start, end) {
+  if (!start || !end) return null;
+  const hours = (new Date(end).getTime() - new Date(start).getTime()) / (60 * 60 * 1000);
+  return hours < 0 ? null : Math.round(hours * 100) / 100;
+}
+
+// Function to clean and validate data
+// Descriptions and resolutions go through the normalisation pipeline; the raw text is kept alongside
+function cleanTicketData(row, normalize = createNormalizer()) {
+  // The bundled CSV has no creation timestamp; other exports may provide one
+  const ticketCreatedAt = parseDate(CREATED_AT_COLUMNS.map(column => row[column]).find(Boolean));
+  const firstResponseTime = parseDate(row['First Response Time']);
+  // "Time to Resolution" holds the resolution timestamp, not a duration
+  const resolvedAt = parseDate(row['Time to Resolution']);
+  const ticketDescriptionRaw = row['Ticket Description'] || '';
+  const resolutionRaw = row['Resolution'] || '';
+  const ticketDescription = normalize(ticketDescriptionRaw, row);
+
+  return {
+    ticketId: row['Ticket ID'] || '',
+    customerName: row['Customer Name'] || '',
+    customerEmail: piiRedactor.protectEmail(row['Customer Email'] || ''), // Hashed or redacted per config.pii.emailStorage
+    customerAge: parseNumber(row['Customer Age']),
+    customerGender: row['Customer Gender'] || '',
+    productPurchased: row['Product Purchased'] || '',
+    dateOfPurchase: parseDate(row['Date of Purchase']),
+    ticketType: row['Ticket Type'] || '',
+    ticketSubject: row['Ticket Subject'] || '',
+    ticketDescription,
+    ticketDescriptionRaw,
+    descriptionLanguage: config.import.normalization.detectLanguage ? detectLanguage(ticketDescription) : null,
+    ticketStatus: row['Ticket Status'] || '',
+    resolution: normalize(resolutionRaw, row),
+    resolutionRaw,
+    ticketPriority: row['Ticket Priority'] || '',
+    ticketChannel: row['Ticket Channel'] || '',
+    ticketCreatedAt,
+    firstResponseTime,
+    resolvedAt,
+    firstResponseHours: hoursBetween(ticketCreatedAt, firstResponseTime), // null without a creation timestamp
+    timeToResolution: hoursBetween(firstResponseTime, resolvedAt),
+    customerSatisfactionRating: parseNumber(row['Customer Satisfaction Rating'])
+  };
+}
+
+// Function to derive the object ID from the ticket ID, so re-imports update instead of duplicating
+function ticketObjectId(ticketId) {
+  return generateUuid5(ticketId, CLASS_NAME);
+}
+
+// Function to pick the native tenant a ticket is written to (null in filter mode)
+function ticketTenant(productPurchased) {
+  return config.weaviate.tenancy === 'native' && productPurchased ? toTenantName(productPurchased) : null;
+}
+
+// Function to hash the cleaned ticket, used to detect changed tickets
+function contentHash(record) {
+  return crypto.createHash('sha256').update(JSON.stringify(record)).digest('hex');
+}
+
+// Function to build the SupportTicket class definition (also used to tell which properties are vectorized)
+function ticketClassDefinition() {
+  return {
+    class: CLASS_NAME,
+    description: 'Customer support ticket information',
+    // One tenant shard per product in native tenancy mode
+    ...(config.weaviate.tenancy === 'native' ? { multiTenancyConfig: { enabled: true } } : {}),
+    vectorizer: 'text2vec-transformers',
+    moduleConfig: {
+      'text2vec-transformers': {
+        poolingStrategy: 'masked_mean',
+        vectorizeClassName: false
+      }
+    },
+    properties: [
+      {
+        name: 'ticketId',
+        dataType: ['text'],
+        description: 'Unique ticket identifier',
+        moduleConfig: {
+          'text2vec-transformers': {
+            skip: false,
+            vectorizePropertyName: false
+          }
+        }
+      },
+      {
+        name: 'customerName',
+        dataType: ['text'],
+        description: 'Customer name',
+        moduleConfig: {
+          'text2vec-transformers': {
+            skip: true
+          }
+        }
+      },
+      {
+        name: 'customerEmail',
+        dataType: ['text'],
+        description: 'Customer email address (hashed or redacted unless PII_EMAIL_STORAGE=plain)',
+        moduleConfig: {
+          'text2vec-transformers': {
+            skip: true
+          }
+        }
+      },
+      {
+        name: 'customerAge',
+        dataType: ['int'],
+        description: 'Customer age'
+      },
+      {
+        name: 'customerGender',
+        dataType: ['text'],
+        description: 'Customer gender',
+        moduleConfig: {
+          'text2vec-transformers': {
+            skip: false,
+            vectorizePropertyName: false
+          }
+        }
+      },
+      {
+        name: 'productPurchased',
+        dataType: ['text'],
+        description: 'Product that was purchased',
+        moduleConfig: {
+          'text2vec-transformers': {
+            skip: false,
+            vectorizePropertyName: false
+          }
+        }
+      },
+      {
+        name: 'dateOfPurchase',
+        dataType: ['date'],
+        description: 'Date when the product was purchased'
+      },
+      {
+        name: 'ticketType',
+        dataType: ['text'],
+        description: 'Type of support ticket',
+        moduleConfig: {
+          'text2vec-transformers': {
+            skip: false,
+            vectorizePropertyName: false
+          }
+        }
+      },
+      {
+        name: 'ticketSubject',
+        dataType: ['text'],
+        description: 'Subject of the support ticket',
+        moduleConfig: {
+          'text2vec-transformers': {
+            skip: false,
+            vectorizePropertyName: false
+          }
+        }
+      },
+      {
+        name: 'ticketDescription',
+        dataType: ['text'],
+        description: 'Detailed description of the issue',
+        moduleConfig: {
+          'text2vec-transformers': {
+            skip: false,
+            vectorizePropertyName: false
+          }
+        }
+      },
+      {
+        name: 'ticketDescriptionRaw',
+        dataType: ['text'],
+        description: 'Description as it appears in the source, before normalisation',
+        moduleConfig: {
+          'text2vec-transformers': {
+            skip: true
+          }
+        }
+      },
+      {
+        name: 'descriptionLanguage',
+        dataType: ['text'],
+        description: 'Detected language of the description (when detection is enabled)',
+        moduleConfig: {
+          'text2vec-transformers': {
+            skip: true
+          }
+        }
+      },
+      {
+        name: 'ticketStatus',
+        dataType: ['text'],
+        description: 'Current status of the ticket',
+        moduleConfig: {
+          'text2vec-transformers': {
+            skip: false,
+            vectorizePropertyName: false
+          }
+        }
+      },
+      {
+        name: 'resolution',
+        dataType: ['text'],
+        description: 'Resolution provided for the ticket',
+        moduleConfig: {
+          'text2vec-transformers': {
+            skip: false,
+            vectorizePropertyName: false
+          }
+        }
+      },
+      {
+        name: 'resolutionRaw',
+        dataType: ['text'],
+        description: 'Resolution as it appears in the source, before normalisation',
+        moduleConfig: {
+          'text2vec-transformers': {
+            skip: true
+          }
+        }
+      },
+      {
+        name: 'ticketPriority',
+        dataType: ['text'],
+        description: 'Priority level of the ticket',
+        moduleConfig: {
+          'text2vec-transformers': {
+            skip: false,
+            vectorizePropertyName: false
+          }
+        }
+      },
+      {
+        name: 'ticketChannel',
+        dataType: ['text'],
+        description: 'Channel through which ticket was created',
+        moduleConfig: {
+          'text2vec-transformers': {
+            skip: false,
+            vectorizePropertyName: false
+          }
+        }
+      },
+      {
+        name: 'ticketCreatedAt',
+        dataType: ['date'],
+        description: 'Time the ticket was created (when the source data provides it)'
+      },
+      {
+        name: 'firstResponseTime',
+        dataType: ['date'],
+        description: 'Time of first response to the ticket'
+      },
+      {
+        name: 'resolvedAt',
+        dataType: ['date'],
+        description: 'Time the ticket was resolved'
+      },
+      {
+        name: 'firstResponseHours',
+        dataType: ['number'],
+        description: 'Hours from ticket creation to first response'
+      },
+      {
+        name: 'timeToResolution',
+        dataType: ['number'],
+        description: 'Hours from first response to resolution'
+      },
+      {
+        name: 'customerSatisfactionRating',
+        dataType: ['number'],
+        description: 'Customer satisfaction rating for the resolution'
+      },
+      {
+        name: 'contentHash',
+        dataType: ['text'],
+        description: 'SHA-256 of the imported ticket, used for incremental imports',
+        moduleConfig: {
+          'text2vec-transformers': {
+            skip: true
+          }
+        }
+      }
+    ]
+  };
+}
+
+export { CREATED_AT_COLUMNS, cleanTicketData, contentHash, ticketClassDefinition, ticketObjectId, ticketTenant };
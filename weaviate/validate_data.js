@@ -0,0 +1,120 @@
+// Row validation and error reports for the ticket import
+import csv from 'csv-parser';
+import fs from 'fs';
+import path from 'path';
+import { DEFAULT_SCHEMA_VALUES } from '../agents/queryFilters.js';
+
+// Checks applied to every CSV row before it is imported (keys are CSV column names)
+const VALIDATION_RULES = {
+  required: ['Ticket ID', 'Product Purchased', 'Ticket Subject', 'Ticket Description', 'Ticket Status', 'Ticket Priority', 'Ticket Channel'],
+  enums: {
+    'Ticket Status': DEFAULT_SCHEMA_VALUES.ticketStatus,
+    'Ticket Priority': DEFAULT_SCHEMA_VALUES.ticketPriority,
+    'Ticket Channel': DEFAULT_SCHEMA_VALUES.ticketChannel
+  },
+  dates: ['Date of Purchase', 'Ticket Created At', 'Created At', 'First Response Time', 'Time to Resolution'],
+  numbers: {
+    'Customer Age': { min: 0, max: 120, integer: true },
+    'Customer Satisfaction Rating': { min: 1, max: 5 }
+  }
+};
+
+const REPORT_COLUMNS = ['row', 'ticketId', 'stage', 'field', 'value', 'reason'];
+
+// Function to validate one CSV row, returning [{ field, value, reason }] (empty when valid)
+function validateTicket(row) {
+  const issues = [];
+  const value = field => (row[field] || '').trim();
+
+  for (const field of VALIDATION_RULES.required) {
+    if (!value(field)) {
+      issues.push({ field, value: '', reason: 'required field is empty' });
+    }
+  }
+
+  for (const [field, allowed] of Object.entries(VALIDATION_RULES.enums)) {
+    if (value(field) && !allowed.includes(value(field))) {
+      issues.push({ field, value: value(field), reason: `not an allowed value (${allowed.join(', ')})` });
+    }
+  }
+
+  for (const field of VALIDATION_RULES.dates) {
+    if (value(field) && isNaN(new Date(value(field)).getTime())) {
+      issues.push({ field, value: value(field), reason: 'not a valid date' });
+    }
+  }
+
+  for (const [field, { min, max, integer }] of Object.entries(VALIDATION_RULES.numbers)) {
+    if (!value(field)) continue;
+    const number = Number(value(field));
+    if (isNaN(number)) {
+      issues.push({ field, value: value(field), reason: 'not a number' });
+    } else if (integer && !Number.isInteger(number)) {
+      issues.push({ field, value: value(field), reason: 'not a whole number' });
+    } else if (number < min || number > max) {
+      issues.push({ field, value: value(field), reason: `out of range (${min}-${max})` });
+    }
+  }
+
+  return issues;
+}
+
+// Function to validate a whole CSV file before anything is written
+// Rows are numbered from 1, not counting the header
+async function validateFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const errors = [];
+    const invalidRows = new Set();
+    let rows = 0;
+
+    fs.createReadStream(filePath)
+      .pipe(csv())
+      .on('data', (row) => {
+        rows++;
+        const issues = validateTicket(row);
+        if (issues.length > 0) {
+          invalidRows.add(rows);
+          const ticketId = (row['Ticket ID'] || '').trim();
+          errors.push(...issues.map(issue => ({ row: rows, ticketId, stage: 'validation', ...issue })));
+        }
+      })
+      .on('end', () => resolve({ rows, invalidRows, errors }))
+      .on('error', reject);
+  });
+}
+
+// Function to parse --fail-threshold: a row count ("25") or a share of all rows ("5%")
+function parseThreshold(value) {
+  const match = /^(\d+(?:\.\d+)?)(%?)$/.exec(String(value || '').trim());
+  if (!match) {
+    throw new Error(`--fail-threshold expects a row count or a percentage, got: ${value || 'nothing'}`);
+  }
+  return { value: parseFloat(match[1]), percent: match[2] === '%' };
+}
+
+// Function to check whether the number of invalid rows is over the threshold
+function exceedsThreshold(threshold, invalidCount, totalRows) {
+  if (!threshold) return false;
+  const limit = threshold.percent ? (threshold.value / 100) * totalRows : threshold.value;
+  return invalidCount > limit;
+}
+
+// Function to quote a CSV field when needed
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Function to write the report as CSV (one line per error) or JSON (totals and errors), chosen by extension
+function writeReport(report, filePath) {
+  if (path.extname(filePath).toLowerCase() === '.csv') {
+    const lines = [REPORT_COLUMNS.join(',')]
+      .concat(report.errors.map(error => REPORT_COLUMNS.map(column => csvField(error[column])).join(',')));
+    fs.writeFileSync(filePath, lines.join('\n') + '\n');
+  } else {
+    fs.writeFileSync(filePath, JSON.stringify(report, null, 2));
+  }
+  return filePath;
+}
+
+export { VALIDATION_RULES, validateTicket, validateFile, parseThreshold, exceedsThreshold, writeReport };